@@ -0,0 +1,308 @@
+/**
+ * Pizza Royale - API Client
+ * Single entry point for all backend requests: configurable base URL, timeouts, retries and typed errors
+ * Base URL: ?api= query parameter (kept as setting) → settings panel → config.json → DEFAULT_API_BASE_URL
+ * In demo mode every request is answered by the in-browser mock backend instead
+ */
+
+import { isDemoMode, handleMockRequest, getMockImageUrl } from './mock-backend.js';
+
+export const DEFAULT_API_BASE_URL = 'http://localhost:4000';
+
+const API_BASE_URL_STORAGE_KEY = 'pizzaRoyale.apiBaseUrl';
+const CONFIG_FILE_URL = new URL('../config.json', import.meta.url);  // Optional { "apiBaseUrl": "..." } next to index.html
+const DEFAULT_TIMEOUT = 10000;    // ms per attempt
+const DEFAULT_RETRIES = 2;        // Extra attempts for idempotent requests
+const RETRY_DELAY = 300;          // ms before the first retry, doubled for every further one
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'PUT', 'DELETE']);
+
+let baseUrlPromise = null;
+
+/**
+ * Base class of all backend errors, the message can be shown to the user as is
+ */
+export class ApiError extends Error {
+    /**
+     * @param {string} message - User-facing (German) message
+     * @param {Object} [details]
+     * @param {string} [details.method] - HTTP method
+     * @param {string} [details.url] - Requested URL
+     * @param {*} [details.cause] - Underlying error
+     */
+    constructor(message, { method, url, cause } = {}) {
+        super(message, { cause });
+        this.name = 'ApiError';
+        this.method = method;
+        this.url = url;
+    }
+}
+
+/**
+ * The backend did not answer within the timeout
+ */
+export class ApiTimeoutError extends ApiError {
+    constructor(timeout, details) {
+        super(`Backend antwortet nicht (Zeitüberschreitung nach ${timeout / 1000}s)`, details);
+        this.name = 'ApiTimeoutError';
+        this.timeout = timeout;
+    }
+}
+
+/**
+ * The backend could not be reached (offline, wrong URL, CORS)
+ */
+export class ApiNetworkError extends ApiError {
+    constructor(details) {
+        super(`Backend nicht erreichbar (${new URL(details.url).origin})`, details);
+        this.name = 'ApiNetworkError';
+    }
+}
+
+/**
+ * The backend answered with an error status
+ */
+export class ApiHttpError extends ApiError {
+    /**
+     * @param {number} status - HTTP status
+     * @param {*} body - Parsed response body (JSON or text), null if empty
+     * @param {Object} details - See ApiError
+     * @param {string} [statusText] - HTTP status text, shown if the body has no readable message
+     */
+    constructor(status, body, details, statusText = '') {
+        const serverMessage = readServerMessage(body) || statusText;
+        super(`Backend-Fehler ${status}${serverMessage ? `: ${serverMessage}` : ''}`, details);
+        this.name = 'ApiHttpError';
+        this.status = status;
+        this.body = body;
+    }
+}
+
+/**
+ * Returns the base URL stored in the settings
+ * @returns {string} Base URL, empty if none is set
+ */
+export function getStoredApiBaseUrl() {
+    return localStorage.getItem(API_BASE_URL_STORAGE_KEY) || '';
+}
+
+/**
+ * Stores the base URL setting, used from the next request on
+ * @param {string} url - Base URL (e.g. https://api.example.com:8443), empty to use config.json or the default
+ * @throws {Error} If the URL is not an http(s) URL
+ */
+export function setApiBaseUrl(url) {
+    const trimmed = String(url || '').trim();
+    if (!trimmed) {
+        localStorage.removeItem(API_BASE_URL_STORAGE_KEY);
+    } else {
+        localStorage.setItem(API_BASE_URL_STORAGE_KEY, normalizeBaseUrl(trimmed));
+    }
+    baseUrlPromise = null;
+}
+
+/**
+ * Resolves the backend base URL (once per page load)
+ * @returns {Promise<string>} Base URL without trailing slash
+ */
+export function getApiBaseUrl() {
+    if (!baseUrlPromise) baseUrlPromise = resolveBaseUrl();
+    return baseUrlPromise;
+}
+
+/**
+ * Builds the full URL of an endpoint (e.g. for img.src)
+ * @param {string} path - Endpoint path starting with /api/
+ * @param {Object} [params] - Query parameters
+ * @returns {Promise<string>} Absolute URL
+ */
+export async function apiUrl(path, params) {
+    const query = params ? `?${new URLSearchParams(params)}` : '';
+    return `${await getApiBaseUrl()}${path}${query}`;
+}
+
+/**
+ * Builds a canvas-safe URL for a cross-origin image (Instagram CDN) via the image proxy
+ * @param {string} url - Original image URL
+ * @returns {Promise<string>} Proxy URL, in demo mode an object URL or placeholder avatar
+ */
+export async function proxyImageUrl(url) {
+    if (isDemoMode()) return getMockImageUrl(url);
+    return apiUrl('/api/proxy-image', { url });
+}
+
+/**
+ * Sends a request to the backend
+ * GET, PUT and DELETE are retried with backoff after network errors, timeouts and 429/5xx responses.
+ * In demo mode the mock backend answers without timeout or retries.
+ * @param {string} path - Endpoint path starting with /api/
+ * @param {Object} [options]
+ * @param {string} [options.method] - HTTP method (default: GET)
+ * @param {*} [options.body] - Sent as JSON
+ * @param {number} [options.timeout] - ms per attempt
+ * @param {number} [options.retries] - Extra attempts (default: 2 for idempotent methods, 0 otherwise)
+ * @returns {Promise<*>} Parsed JSON response, null for an empty body
+ * @throws {ApiError} ApiTimeoutError, ApiNetworkError, ApiHttpError or ApiError for an unreadable response
+ */
+export async function apiRequest(path, { method = 'GET', body, timeout = DEFAULT_TIMEOUT, retries } = {}) {
+    method = method.toUpperCase();
+    if (isDemoMode()) return requestMock(method, path, body);
+
+    const url = await apiUrl(path);
+    const maxRetries = retries ?? (IDEMPOTENT_METHODS.has(method) ? DEFAULT_RETRIES : 0);
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await send(url, method, body, timeout);
+        } catch (error) {
+            if (attempt >= maxRetries || !isRetryable(error)) throw error;
+            const delay = RETRY_DELAY * 2 ** attempt;
+            console.warn(`${method} ${path} failed (${error.message}), retry ${attempt + 1}/${maxRetries} in ${delay} ms`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+/**
+ * GET request, see apiRequest()
+ * @param {string} path - Endpoint path
+ * @param {Object} [options] - timeout, retries
+ * @returns {Promise<*>} Parsed response
+ */
+export function apiGet(path, options = {}) {
+    return apiRequest(path, { ...options, method: 'GET' });
+}
+
+/**
+ * POST request (not retried unless options.retries is set), see apiRequest()
+ * @param {string} path - Endpoint path
+ * @param {*} [body] - Sent as JSON
+ * @param {Object} [options] - timeout, retries
+ * @returns {Promise<*>} Parsed response
+ */
+export function apiPost(path, body, options = {}) {
+    return apiRequest(path, { ...options, method: 'POST', body });
+}
+
+/**
+ * PUT request, see apiRequest()
+ * @param {string} path - Endpoint path
+ * @param {*} body - Sent as JSON
+ * @param {Object} [options] - timeout, retries
+ * @returns {Promise<*>} Parsed response
+ */
+export function apiPut(path, body, options = {}) {
+    return apiRequest(path, { ...options, method: 'PUT', body });
+}
+
+/**
+ * DELETE request, see apiRequest()
+ * @param {string} path - Endpoint path
+ * @param {Object} [options] - timeout, retries
+ * @returns {Promise<*>} Parsed response
+ */
+export function apiDelete(path, options = {}) {
+    return apiRequest(path, { ...options, method: 'DELETE' });
+}
+
+async function resolveBaseUrl() {
+    // A query parameter wins and is kept, so links to other pages (import.html) use the same backend
+    const fromQuery = new URLSearchParams(location.search).get('api');
+    if (fromQuery) {
+        try {
+            setApiBaseUrl(fromQuery);
+        } catch (error) {
+            console.warn(`Ignoring ?api=${fromQuery}:`, error.message);
+        }
+    }
+
+    const stored = getStoredApiBaseUrl();
+    if (stored) return stored;
+
+    try {
+        const response = await fetch(CONFIG_FILE_URL, { cache: 'no-cache' });
+        if (response.ok) {
+            const config = await response.json();
+            if (config?.apiBaseUrl) return normalizeBaseUrl(config.apiBaseUrl);
+        }
+    } catch (error) {
+        console.warn('Ignoring config.json:', error.message);
+    }
+
+    return DEFAULT_API_BASE_URL;
+}
+
+function normalizeBaseUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw new Error(`Ungültige Backend-URL: ${url}`);
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new Error(`Backend-URL muss mit http:// oder https:// beginnen: ${url}`);
+    }
+    return parsed.href.replace(/\/+$/, '');
+}
+
+async function send(url, method, body, timeout) {
+    const details = { method, url };
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    const init = { method, signal: controller.signal };
+    if (body !== undefined) {
+        init.headers = { 'Content-Type': 'application/json' };
+        init.body = JSON.stringify(body);
+    }
+
+    let response;
+    let text;
+    try {
+        response = await fetch(url, init);
+        text = await response.text();
+    } catch (error) {
+        if (controller.signal.aborted) throw new ApiTimeoutError(timeout, { ...details, cause: error });
+        throw new ApiNetworkError({ ...details, cause: error });
+    } finally {
+        clearTimeout(timer);
+    }
+
+    let data = null;
+    if (text) {
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            if (response.ok) throw new ApiError('Ungültige Antwort vom Backend (kein JSON)', { ...details, cause: error });
+            data = text;
+        }
+    }
+
+    if (!response.ok) throw new ApiHttpError(response.status, data, details, response.statusText);
+    return data;
+}
+
+async function requestMock(method, path, body) {
+    const details = { method, url: `demo:${path}` };
+    let response;
+    try {
+        response = await handleMockRequest(method, path, body);
+    } catch (error) {
+        throw new ApiError(`Demo-Backend-Fehler: ${error.message}`, { ...details, cause: error });
+    }
+    if (response.status >= 400) throw new ApiHttpError(response.status, response.body, details);
+    return response.body;
+}
+
+/**
+ * Reads the error message of a response body
+ * Accepts { error: '...' }, { message: '...' }, { error: { message: '...' } } and plain text
+ */
+function readServerMessage(body) {
+    if (typeof body === 'string') return body;
+    const candidates = [body?.error, body?.message, body?.error?.message];
+    return candidates.find(value => typeof value === 'string' && value.trim()) || '';
+}
+
+function isRetryable(error) {
+    if (error instanceof ApiTimeoutError || error instanceof ApiNetworkError) return true;
+    return error instanceof ApiHttpError && (error.status === 429 || error.status >= 500);
+}
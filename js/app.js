@@ -4,6 +4,7 @@
  */
 
 import { initializeMenu } from './menu.js';
+import { startOutboxSync } from './session-outbox.js';
 
 /**
  * Application startup
@@ -15,6 +16,9 @@ function initializeApp() {
     // Initialize menu functionality
     initializeMenu();
 
+    // Resend game sessions that could not be saved earlier
+    startOutboxSync();
+
     console.log('✅ Pizza Royale ready!');
 }
 
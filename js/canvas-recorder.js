@@ -1,433 +1,223 @@
 /**
- * Pizza Royale - Enhanced Canvas Recorder
- * High-quality canvas recording with manual frame capture and optimized video generation
+ * Pizza Royale - Frame Capture Recorder Strategy
+ * Captures the canvas as JPEG frames and replays them through MediaRecorder once the recording stops
+ * Works in every browser with MediaRecorder, falls back to the single frames without captureStream
  */
 
+import { createFrameStore } from './frame-store.js';
+import { createOutputCanvas, preferredMimeTypes } from './recording-config.js';
+
 /**
- * Creates a high-quality recorder specifically for the game canvas
+ * Creates the frame capture strategy (see recorder.js for the strategy interface)
  * @param {HTMLCanvasElement} canvas - The game canvas to record
- * @returns {Object} Recorder with enhanced controls
+ * @param {Object} [options] - Strategy options
+ * @param {number} [options.fps] - Capture and video frame rate
+ * @param {number} [options.bitrate] - Video bitrate in bits per second
+ * @param {number} [options.quality] - JPEG quality (0-1)
+ * @param {number} [options.width] - Output width (default: canvas width)
+ * @param {number} [options.height] - Output height (default: canvas height)
+ * @param {string} [options.codec] - Preferred codec (key of VIDEO_CODECS), the others are fallbacks
+ * @param {number} [options.memoryBudget] - Bytes of frames kept in memory before spilling to IndexedDB
+ * @returns {Object} Strategy with captureFrame(), finish() and getStats()
  */
-export function setupCanvasRecorder(canvas) {
-    let isRecording = false;
-    let frameData = [];
-    let startTime = null;
-    let frameInterval = null;
-    const targetFPS = 20; // Increased FPS for better quality
-    let frameCount = 0;
-
-    const recorder = {
-        async start() {
-            if (isRecording) return false;
-
-            console.log('🎬 Starting high-quality canvas recording at 20fps...');
-            console.log('Canvas dimensions:', canvas.width, 'x', canvas.height);
-
-            isRecording = true;
-            frameData = [];
-            frameCount = 0;
-            startTime = performance.now();
-
-            // Capture frames at reduced intervals for better performance
-            frameInterval = setInterval(() => {
-                if (!isRecording) return;
-
-                frameCount++;
-
+export function createFrameCaptureStrategy(canvas, {
+    fps = 20, bitrate = 8_000_000, quality = 0.95, width, height, codec = 'h264', memoryBudget
+} = {}) {
+    const output = createOutputCanvas(canvas, width, height);
+    const frameStore = createFrameStore({ memoryBudget });
+    let finished = false;
+
+    console.log(`🎬 Frame capture ready (${output.canvas.width}x${output.canvas.height}, ${fps}fps, JPEG ${Math.round(quality * 100)}%)`);
+
+    return {
+        fps,
+        frameDriven: false,
+
+        /**
+         * Captures the canvas during idle time
+         * @param {number} time - Recording time of the frame in seconds
+         */
+        captureFrame(time) {
+            if (window.requestIdleCallback) {
                 // Use requestIdleCallback to capture frames during idle time
-                if (window.requestIdleCallback) {
-                    requestIdleCallback(() => captureFrame(), { timeout: 50 });
-                } else {
-                    // Fallback for browsers without requestIdleCallback
-                    setTimeout(() => captureFrame(), 0);
-                }
-            }, 1000 / targetFPS);
-
-            return true;
-        },
-
-        stop() {
-            if (!isRecording) return;
-
-            console.log(`🎬 Stopping canvas recording. Total frames: ${frameData.length}`);
-            isRecording = false;
-
-            if (frameInterval) {
-                clearInterval(frameInterval);
-                frameInterval = null;
+                requestIdleCallback(() => storeFrame(time), { timeout: 50 });
+            } else {
+                // Fallback for browsers without requestIdleCallback
+                setTimeout(() => storeFrame(time), 0);
             }
-
-            // Start video generation
-            setTimeout(() => {
-                this.generateVideo();
-            }, 100);
         },
 
-        async generateVideo() {
-            if (frameData.length === 0) {
-                alert('❌ No frames captured. Recording was too short.');
-                return;
+        /**
+         * Replays the captured frames into a video
+         * The frames stay available for preview exports until the next recording creates its frame store
+         * @returns {Promise<Object>} { type: 'video', blob, extension, frames } or { type: 'frames', frames, extension }
+         *   if the browser cannot capture a canvas stream
+         */
+        async finish() {
+            finished = true;
+
+            const totalFrames = frameStore.count;
+            if (totalFrames === 0) {
+                throw new Error('No frames captured. Recording was too short.');
             }
-
-            if (frameData.length < 15) {
-                alert(`⚠️ Warning: Only ${frameData.length} frames captured. Video may be very short.`);
+            if (totalFrames < 15) {
+                console.warn(`⚠️ Only ${totalFrames} frames captured. Video may be very short.`);
             }
 
-            console.log(`🎬 Generating video from ${frameData.length} frames...`);
-
-            // Create loading overlay
-            const loadingOverlay = this.createLoadingOverlay();
-
-            try {
-                // Always use regular HTML canvas (OffscreenCanvas doesn't support captureStream)
-                const videoCanvas = document.createElement('canvas');
-                videoCanvas.width = canvas.width;
-                videoCanvas.height = canvas.height;
+            // Always use regular HTML canvas (OffscreenCanvas doesn't support captureStream)
+            const videoCanvas = document.createElement('canvas');
+            if (typeof videoCanvas.captureStream !== 'function') {
+                console.log('📁 captureStream not supported, offering frame download instead...');
+                return { type: 'frames', frames: frameStore, extension: 'jpg' };
+            }
 
-                // Hide the video canvas
-                videoCanvas.style.position = 'absolute';
-                videoCanvas.style.left = '-9999px';
-                videoCanvas.style.top = '-9999px';
-                document.body.appendChild(videoCanvas);
+            console.log(`🎬 Generating video from ${totalFrames} frames...`);
+            const result = await replayFrames(videoCanvas, totalFrames);
+            return { ...result, frames: frameStore };
+        },
 
-                const ctx = videoCanvas.getContext('2d');
+        getStats() {
+            const { frames, bytes, spilledBytes } = frameStore.getStats();
+            return { frames, bytes, spilledBytes };
+        }
+    };
 
-                // Check if captureStream is supported
-                if (typeof videoCanvas.captureStream !== 'function') {
-                    throw new Error('captureStream is not supported in this browser');
-                }
+    function storeFrame(time) {
+        if (finished) return;
 
-                // Set up MediaRecorder with optimal settings
-                const stream = videoCanvas.captureStream(targetFPS);
-
-                // Try MP4 format first, then fall back to WebM
-                let mimeType = 'video/mp4;codecs=h264';
-                let fileExtension = 'mp4';
-
-                if (!MediaRecorder.isTypeSupported(mimeType)) {
-                    mimeType = 'video/webm;codecs=vp9';
-                    fileExtension = 'webm';
-                    if (!MediaRecorder.isTypeSupported(mimeType)) {
-                        mimeType = 'video/webm;codecs=vp8';
-                        if (!MediaRecorder.isTypeSupported(mimeType)) {
-                            mimeType = 'video/webm';
-                        }
-                    }
+        try {
+            // Blobs instead of base64 strings keep frames ~25% smaller
+            output.draw();
+            output.canvas.toBlob((blob) => {
+                // Validate the captured data
+                if (!blob || finished) return;
+
+                frameStore.add(blob, time * 1000);
+
+                // Log progress every 50 frames (reduced logging)
+                if (frameStore.count % 50 === 0) {
+                    console.log(`📹 Captured ${frameStore.count} frames`);
+                } else if (frameStore.count === 1) {
+                    console.log('✅ First frame captured successfully!');
                 }
+            }, 'image/jpeg', quality);
+        } catch (error) {
+            console.error('Frame capture error:', error);
+            // If canvas is tainted, we can't use this method
+            if (error.name === 'SecurityError') {
+                console.log('❌ Canvas recording failed due to CORS. Stopping capture.');
+                finished = true;
+            }
+        }
+    }
 
-                const mediaRecorder = new MediaRecorder(stream, {
-                    mimeType: mimeType,
-                    videoBitsPerSecond: 8_000_000 // 8 Mbps
-                });
-
-                const chunks = [];
-
-                mediaRecorder.ondataavailable = (event) => {
-                    if (event.data && event.data.size > 0) {
-                        chunks.push(event.data);
-                    }
-                };
-
-                mediaRecorder.onstop = () => {
-                    // Clean up: remove temporary canvas
-                    if (videoCanvas.parentNode) {
-                        document.body.removeChild(videoCanvas);
-                    }
-
-                    // Remove loading overlay
-                    this.removeLoadingOverlay(loadingOverlay);
-
-                    if (chunks.length === 0) {
-                        alert('❌ Video generation failed - no data.');
-                        return;
-                    }
-
-                    const blob = new Blob(chunks, { type: mimeType });
-                    this.downloadAndDisplayVideo(blob, fileExtension);
-                };                // Start recording
-                mediaRecorder.start(100);
-
-                // Play back frames
-                let frameIndex = 0;
-                const frameDuration = 1000 / targetFPS;
-
-                const playFrame = () => {
-                    if (frameIndex >= frameData.length) {
-                        // All frames played, stop recording
-                        setTimeout(() => {
-                            mediaRecorder.stop();
-                        }, 500);
-                        return;
-                    }
-
-                    const frame = frameData[frameIndex];
-                    const img = new Image();
-
-                    img.onload = () => {
-                        ctx.clearRect(0, 0, videoCanvas.width, videoCanvas.height);
-                        ctx.drawImage(img, 0, 0);
-
-                        frameIndex++;
-                        setTimeout(playFrame, frameDuration);
-                    };
-
-                    img.onerror = () => {
-                        console.error('Failed to load frame:', frameIndex);
-                        frameIndex++;
-                        setTimeout(playFrame, frameDuration);
-                    };
-
-                    img.src = frame.data;
-                };
-
-                // Start playback
-                playFrame();
-
-            } catch (error) {
-                console.error('❌ Video generation failed:', error);
+    /**
+     * Plays the frames on a hidden canvas and records it with MediaRecorder (real time)
+     * @param {HTMLCanvasElement} videoCanvas - Canvas for the playback
+     * @param {number} totalFrames - Frames to play
+     * @returns {Promise<Object>} { type: 'video', blob, extension }
+     */
+    function replayFrames(videoCanvas, totalFrames) {
+        return new Promise((resolve, reject) => {
+            videoCanvas.width = output.canvas.width;
+            videoCanvas.height = output.canvas.height;
+
+            // Hide the video canvas
+            videoCanvas.style.position = 'absolute';
+            videoCanvas.style.left = '-9999px';
+            videoCanvas.style.top = '-9999px';
+            document.body.appendChild(videoCanvas);
+
+            const ctx = videoCanvas.getContext('2d');
+            const stream = videoCanvas.captureStream(fps);
+
+            // Preferred codec first, then the other codecs
+            const mimeType = preferredMimeTypes(codec).find(type => MediaRecorder.isTypeSupported(type)) || 'video/webm';
+            const fileExtension = mimeType.startsWith('video/mp4') ? 'mp4' : 'webm';
+            console.log(`🎞️ Replaying frames as ${mimeType}`);
+
+            const mediaRecorder = new MediaRecorder(stream, {
+                mimeType: mimeType,
+                videoBitsPerSecond: bitrate
+            });
 
-                // Remove loading overlay
-                this.removeLoadingOverlay(loadingOverlay);
+            const chunks = [];
 
-                // Clean up canvas if it exists
-                const tempCanvas = document.querySelector('canvas[style*="-9999px"]');
-                if (tempCanvas && tempCanvas.parentNode) {
-                    document.body.removeChild(tempCanvas);
+            mediaRecorder.ondataavailable = (event) => {
+                if (event.data && event.data.size > 0) {
+                    chunks.push(event.data);
                 }
+            };
 
-                // Provide alternative: download frames as images
-                if (error.message.includes('captureStream')) {
-                    console.log('📁 captureStream not supported, offering frame download instead...');
-                    this.downloadFrames();
-                } else {
-                    alert('Video generation failed: ' + error.message);
+            mediaRecorder.onstop = () => {
+                // Clean up: remove temporary canvas
+                if (videoCanvas.parentNode) {
+                    document.body.removeChild(videoCanvas);
                 }
-            }
-        },
-
-        downloadAndDisplayVideo(blob, fileExtension) {
-            const url = URL.createObjectURL(blob);
-            const timestamp = Date.now();
-            const filename = `pizza-royale-canvas-${timestamp}.${fileExtension}`;
 
-            // Download the video
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = filename;
-            a.style.display = 'none';
-
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-
-            console.log(`✅ Canvas video download completed! (${fileExtension.toUpperCase()})`);
-
-            // Display video below canvas
-            this.displayVideoPreview(url, filename);
-        },
-
-        displayVideoPreview(videoUrl, filename) {
-            // Remove any existing video preview
-            const existingPreview = document.getElementById('video-preview-container');
-            if (existingPreview) {
-                existingPreview.remove();
-            }
-
-            // Create video preview container
-            const container = document.createElement('div');
-            container.id = 'video-preview-container';
-            container.style.cssText = `
-                margin-top: 20px;
-                text-align: center;
-                padding: 20px;
-                background: #1a1a1a;
-                border-radius: 10px;
-                box-shadow: 0 4px 15px rgba(0, 0, 0, 0.3);
-            `;
-
-            // Create title
-            const title = document.createElement('h3');
-            title.textContent = '🎬 Your Pizza Royale Recording';
-            title.style.cssText = `
-                color: #ffd700;
-                margin-bottom: 15px;
-                font-family: "GT Maru Medium", system-ui, Arial;
-            `;
-
-            // Create video element
-            const video = document.createElement('video');
-            video.src = videoUrl;
-            video.controls = true;
-            video.autoplay = false;
-            video.loop = true;
-            video.style.cssText = `
-                max-width: 100%;
-                max-height: 400px;
-                border-radius: 8px;
-                box-shadow: 0 2px 10px rgba(0, 0, 0, 0.3);
-            `;
-
-            // Create download link
-            const downloadLink = document.createElement('a');
-            downloadLink.href = videoUrl;
-            downloadLink.download = filename;
-            downloadLink.textContent = `📥 Download ${filename}`;
-            downloadLink.style.cssText = `
-                display: inline-block;
-                margin-top: 15px;
-                padding: 10px 20px;
-                background: #4CAF50;
-                color: white;
-                text-decoration: none;
-                border-radius: 5px;
-                font-family: "GT Maru Medium", system-ui, Arial;
-                transition: background 0.3s;
-            `;
-            downloadLink.onmouseover = () => downloadLink.style.background = '#45a049';
-            downloadLink.onmouseout = () => downloadLink.style.background = '#4CAF50';
-
-            container.appendChild(title);
-            container.appendChild(video);
-            container.appendChild(document.createElement('br'));
-            container.appendChild(downloadLink);
-
-            // Insert after the game canvas
-            const gameCanvas = document.getElementById('game');
-            if (gameCanvas && gameCanvas.parentNode) {
-                gameCanvas.parentNode.insertBefore(container, gameCanvas.nextSibling);
-            } else {
-                document.body.appendChild(container);
-            }
-        },
-
-        downloadFrames() {
-            console.log('📁 Downloading individual frames as fallback...');
-
-            frameData.forEach((frame, index) => {
-                const a = document.createElement('a');
-                a.href = frame.data;
-                a.download = `pizza-royale-frame-${String(index).padStart(4, '0')}.jpg`;
-                a.style.display = 'none';
-
-                document.body.appendChild(a);
-                a.click();
-                document.body.removeChild(a);
-            });
-
-            alert(`📁 Downloaded ${frameData.length} individual frames. You can use video editing software to create a video from these images.`);
-        },
-
-        createLoadingOverlay() {
-            const overlay = document.createElement('div');
-            overlay.id = 'video-generation-overlay';
-            overlay.style.cssText = `
-                position: fixed;
-                top: 0;
-                left: 0;
-                width: 100%;
-                height: 100%;
-                background: rgba(0, 0, 0, 0.8);
-                display: flex;
-                justify-content: center;
-                align-items: center;
-                z-index: 10000;
-                font-family: "GT Maru Medium", system-ui, Arial;
-            `;
-
-            const content = document.createElement('div');
-            content.style.cssText = `
-                background: #1a1a1a;
-                color: white;
-                padding: 40px;
-                border-radius: 15px;
-                text-align: center;
-                box-shadow: 0 10px 30px rgba(0, 0, 0, 0.5);
-                max-width: 400px;
-            `;
-
-            content.innerHTML = `
-                <div style="font-size: 48px; margin-bottom: 20px;">🎬</div>
-                <h2 style="color: #ffd700; margin-bottom: 15px;">Generating Video...</h2>
-                <p style="margin-bottom: 20px; opacity: 0.8;">Creating your Pizza Royale recording</p>
-                <div class="spinner" style="
-                    border: 3px solid #333;
-                    border-top: 3px solid #ffd700;
-                    border-radius: 50%;
-                    width: 40px;
-                    height: 40px;
-                    animation: spin 1s linear infinite;
-                    margin: 0 auto;
-                "></div>
-            `;
-
-            // Add spinner animation
-            if (!document.getElementById('spinner-style')) {
-                const style = document.createElement('style');
-                style.id = 'spinner-style';
-                style.textContent = `
-                    @keyframes spin {
-                        0% { transform: rotate(0deg); }
-                        100% { transform: rotate(360deg); }
-                    }
-                `;
-                document.head.appendChild(style);
-            }
-
-            overlay.appendChild(content);
-            document.body.appendChild(overlay);
+                if (chunks.length === 0) {
+                    reject(new Error('Video generation failed - no data.'));
+                    return;
+                }
 
-            return overlay;
-        },
+                resolve({ type: 'video', blob: new Blob(chunks, { type: mimeType }), extension: fileExtension });
+            };
 
-        removeLoadingOverlay(overlay) {
-            if (overlay && overlay.parentNode) {
-                document.body.removeChild(overlay);
-            }
-        },
+            mediaRecorder.onerror = (event) => {
+                if (videoCanvas.parentNode) {
+                    document.body.removeChild(videoCanvas);
+                }
+                reject(event.error || new Error('MediaRecorder error'));
+            };
+
+            // Start recording
+            mediaRecorder.start(100);
+
+            // Play back frames at their capture times, so the video time matches the frame timestamps (and captions)
+            let frameIndex = 0;
+            const frameDuration = 1000 / fps;
+            const delayAfter = index => index + 1 < totalFrames
+                ? frameStore.getTimestamp(index + 1) - (index === 0 ? 0 : frameStore.getTimestamp(index))
+                : frameDuration;
+
+            const playFrame = async () => {
+                if (frameIndex >= totalFrames) {
+                    // All frames played, stop recording
+                    setTimeout(() => {
+                        mediaRecorder.stop();
+                    }, 500);
+                    return;
+                }
 
-        isRecording() {
-            return isRecording;
-        }
-    };
+                const frame = await frameStore.get(frameIndex).catch(() => null);
+                if (!frame) {
+                    console.error('Failed to load frame:', frameIndex);
+                    setTimeout(playFrame, delayAfter(frameIndex++));
+                    return;
+                }
 
-    // Optimized frame capture function
-    function captureFrame() {
-        if (!isRecording) return;
+                const img = new Image();
+                const frameUrl = URL.createObjectURL(frame);
 
-        try {
-            // Use higher quality for better results
-            const dataURL = canvas.toDataURL('image/jpeg', 0.95);
+                img.onload = () => {
+                    ctx.clearRect(0, 0, videoCanvas.width, videoCanvas.height);
+                    ctx.drawImage(img, 0, 0);
+                    URL.revokeObjectURL(frameUrl);
 
-            // Validate the captured data
-            if (!dataURL || dataURL === 'data:,') {
-                return;
-            }
+                    setTimeout(playFrame, delayAfter(frameIndex++));
+                };
 
-            const timestamp = performance.now() - startTime;
+                img.onerror = () => {
+                    console.error('Failed to load frame:', frameIndex);
+                    URL.revokeObjectURL(frameUrl);
+                    setTimeout(playFrame, delayAfter(frameIndex++));
+                };
 
-            frameData.push({
-                data: dataURL,
-                timestamp: timestamp
-            });
+                img.src = frameUrl;
+            };
 
-            // Log progress every 50 frames (reduced logging)
-            if (frameData.length % 50 === 0) {
-                console.log(`📹 Captured ${frameData.length} frames`);
-            } else if (frameData.length === 1) {
-                console.log('✅ First frame captured successfully!');
-            }
-        } catch (error) {
-            console.error('Frame capture error:', error);
-            // If canvas is tainted, we can't use this method
-            if (error.name === 'SecurityError') {
-                console.log('❌ Canvas recording failed due to CORS. Stopping recording.');
-                isRecording = false;
-                if (frameInterval) {
-                    clearInterval(frameInterval);
-                }
-            }
-        }
+            // Start playback
+            playFrame();
+        });
     }
-
-    return recorder;
 }
@@ -0,0 +1,201 @@
+/**
+ * Pizza Royale - Captions
+ * Timed captions of game events for muted viewers: WebVTT/SRT export and burned-in rendering
+ * Cue times are recording times, the clock the recorded frames are stamped with
+ */
+
+import { computePlacements } from './placement.js';
+import { summarizeTeams } from './teams.js';
+
+// How captions end up in the recording
+export const CAPTION_MODES = Object.freeze({
+    off: 'Off',
+    file: 'Subtitle file (WebVTT + SRT)',
+    burnIn: 'Burned into the video',
+    both: 'File + burned in'
+});
+
+const CAPTION_DURATION = 2.5;          // Seconds a caption is shown unless the next one replaces it
+const WINNER_CAPTION_DURATION = 5;
+const NOTABLE_ELIMINATION_COUNT = 10;  // Every elimination is captioned once this few players are left
+
+/**
+ * Checks if a caption mode writes subtitle files
+ * @param {string} mode - Key of CAPTION_MODES
+ * @returns {boolean} True for 'file' and 'both'
+ */
+export function hasCaptionFile(mode) {
+    return mode === 'file' || mode === 'both';
+}
+
+/**
+ * Checks if a caption mode draws captions into the frames
+ * @param {string} mode - Key of CAPTION_MODES
+ * @returns {boolean} True for 'burnIn' and 'both'
+ */
+export function hasBurnedInCaptions(mode) {
+    return mode === 'burnIn' || mode === 'both';
+}
+
+/**
+ * Creates an empty caption track
+ * A new caption ends the previous one, captions of the same instant are shown together.
+ * @returns {Object} Track with add(), activeAt(), toWebVTT() and toSRT()
+ */
+export function createCaptionTrack() {
+    const cues = [];  // { start, end, text } in seconds
+
+    return {
+        /**
+         * Adds a caption
+         * @param {number} start - Recording time in seconds
+         * @param {string} text - Caption text
+         * @param {number} [duration] - Display time in seconds
+         */
+        add(start, text, duration = CAPTION_DURATION) {
+            const previous = cues[cues.length - 1];
+            if (previous && previous.start === start) {
+                previous.text += '\n' + text;
+                previous.end = Math.max(previous.end, start + duration);
+                return;
+            }
+            if (previous && previous.end > start) previous.end = start;
+            cues.push({ start, end: start + duration, text });
+        },
+
+        get cues() {
+            return cues;
+        },
+
+        get length() {
+            return cues.length;
+        },
+
+        /**
+         * Returns the caption shown at a time
+         * @param {number} time - Recording time in seconds
+         * @returns {string|null} Caption text
+         */
+        activeAt(time) {
+            for (let i = cues.length - 1; i >= 0; i--) {
+                if (cues[i].start <= time) return time < cues[i].end ? cues[i].text : null;
+            }
+            return null;
+        },
+
+        /**
+         * Writes the track as WebVTT
+         * @returns {string} .vtt file content
+         */
+        toWebVTT() {
+            return 'WEBVTT\n\n' + cues.map((cue, i) =>
+                `${i + 1}\n${formatTime(cue.start, '.')} --> ${formatTime(cue.end, '.')}\n${cue.text}\n`).join('\n');
+        },
+
+        /**
+         * Writes the track as SubRip
+         * @returns {string} .srt file content
+         */
+        toSRT() {
+            return cues.map((cue, i) =>
+                `${i + 1}\n${formatTime(cue.start, ',')} --> ${formatTime(cue.end, ',')}\n${cue.text}\n`).join('\n');
+        }
+    };
+}
+
+/**
+ * Turns the events of a simulation into caption texts
+ * Captions battle start, endgame, the first and the late eliminations and the winner.
+ * @param {Object} sim - Simulation from createSimulation()
+ * @returns {Object} Captioner with poll() → new captions since the last poll
+ */
+export function createGameCaptioner(sim) {
+    let nextEvent = 0;
+    let started = false;
+    let eliminations = 0;
+
+    return {
+        /**
+         * Collects the captions of everything that happened since the last call
+         * @returns {Array<Object>} { text, duration? } in order of occurrence
+         */
+        poll() {
+            const captions = [];
+            if (!started && sim.time > 0) {
+                started = true;
+                captions.push({ text: `Battle started: ${sim.participants} players fight for the last pizza` });
+            }
+
+            const events = sim.events;
+            for (; nextEvent < events.length; nextEvent++) {
+                const e = events[nextEvent];
+                if (e.type === 'elimination') {
+                    eliminations++;
+                    const remaining = sim.players.length - eliminations;
+                    if (eliminations === 1) {
+                        captions.push({ text: `First elimination: ${describeElimination(e)}` });
+                    } else if (remaining <= NOTABLE_ELIMINATION_COUNT) {
+                        captions.push({ text: `${describeElimination(e)} (${remaining} left)` });
+                    }
+                } else if (e.type === 'endgame') {
+                    captions.push({ text: `Endgame! ${e.aliveCount} players left, pizza bonuses active` });
+                } else if (e.type === 'gameEnd') {
+                    captions.push({ text: describeWinner(sim), duration: WINNER_CAPTION_DURATION });
+                }
+            }
+            return captions;
+        }
+    };
+}
+
+/**
+ * Draws a caption as a lower third
+ * @param {CanvasRenderingContext2D} ctx - Game canvas context
+ * @param {string} text - Caption, lines separated by \n
+ * @param {Object} options - Layout
+ * @param {number} options.width - Canvas width
+ * @param {number} options.height - Canvas height
+ * @param {string} options.font - Canvas font family
+ */
+export function drawCaption(ctx, text, { width, height, font }) {
+    const lines = text.split('\n');
+    const lineHeight = 54;
+    const bottom = height - 260;  // Above the Instagram UI at the bottom of reels
+
+    ctx.save();
+    ctx.font = `bold 42px ${font}`;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+
+    const boxWidth = Math.min(width - 60, Math.max(...lines.map(line => ctx.measureText(line).width)) + 60);
+    const boxHeight = lines.length * lineHeight + 30;
+    ctx.fillStyle = "rgba(0,0,0,0.7)";
+    ctx.fillRect((width - boxWidth) / 2, bottom - boxHeight, boxWidth, boxHeight);
+
+    ctx.fillStyle = "#fff";
+    lines.forEach((line, i) => {
+        ctx.fillText(line, width / 2, bottom - boxHeight + 15 + lineHeight * (i + 0.5), width - 90);
+    });
+    ctx.restore();
+}
+
+function describeElimination(e) {
+    if (e.attackerName) return `${e.attackerName} eliminated ${e.victimName}`;
+    return e.cause === 'storm' ? `${e.victimName} was caught by the storm` : `${e.victimName} is out`;
+}
+
+function describeWinner(sim) {
+    if (sim.teamsEnabled) {
+        const team = summarizeTeams(sim.players)[0];
+        if (team) return `Team ${team.name} wins! MVP: ${team.mvp.name}`;
+    }
+    const first = computePlacements(sim.players, sim.staticDots)[0];
+    return first?.survived ? `${first.name} wins the pizza!` : 'No survivors, the pizza wins';
+}
+
+function formatTime(seconds, decimalSeparator) {
+    const ms = Math.max(0, Math.round(seconds * 1000));
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(Math.floor(ms / 3_600_000))}:${pad(Math.floor(ms / 60_000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}` +
+        `${decimalSeparator}${pad(ms % 1000, 3)}`;
+}
@@ -0,0 +1,168 @@
+/**
+ * Pizza Royale - Frame Store
+ * Bounded-memory storage for recorded frames: the newest frames stay in memory,
+ * older ones are spilled to IndexedDB once the memory budget is exceeded
+ */
+
+const FRAME_DB_NAME = 'pizzaRoyale.frames';
+const FRAME_DB_STORE = 'frames';
+const SPILL_BATCH_SIZE = 20;  // Frames written per IndexedDB transaction
+
+export const DEFAULT_FRAME_MEMORY_BUDGET = 64 * 1024 * 1024;  // 64 MB of frames in memory
+
+let currentStore = null;  // Only one recording is stored at a time
+
+/**
+ * Creates a frame store for one recording
+ * Only one recording is stored at a time: creating a store disposes the previous one (which may still be
+ * kept for preview exports), the IndexedDB store is cleared when spilling starts.
+ * Without IndexedDB all frames stay in memory.
+ * @param {Object} [options] - Store options
+ * @param {number} [options.memoryBudget] - Bytes of frames kept in memory before spilling
+ * @returns {Object} Store with add(), get(), getTimestamp(), getStats() and dispose()
+ */
+export function createFrameStore({ memoryBudget = DEFAULT_FRAME_MEMORY_BUDGET } = {}) {
+    const frames = [];      // { blob (null once spilled), size, timestamp }
+    let memoryBytes = 0;
+    let spilledBytes = 0;
+    let nextSpill = 0;      // Oldest frame still in memory
+    let spilling = null;    // Running spill, at most one at a time
+    let spillDisabled = typeof indexedDB === 'undefined';
+    let dbPromise = null;
+
+    // The previous store must be gone before this one touches IndexedDB
+    const previousDisposed = currentStore ? currentStore.dispose() : Promise.resolve();
+
+    function openDb() {
+        if (!dbPromise) {
+            dbPromise = previousDisposed.then(() => new Promise((resolve, reject) => {
+                const request = indexedDB.open(FRAME_DB_NAME, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(FRAME_DB_STORE);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            })).then(db => runTransaction(db, 'readwrite', store => store.clear()).then(() => db));
+        }
+        return dbPromise;
+    }
+
+    function spill() {
+        if (spilling || spillDisabled || memoryBytes <= memoryBudget) return;
+
+        spilling = (async () => {
+            const db = await openDb();
+            while (memoryBytes > memoryBudget && nextSpill < frames.length) {
+                const batch = [];
+                while (batch.length < SPILL_BATCH_SIZE && nextSpill < frames.length) batch.push(nextSpill++);
+
+                await runTransaction(db, 'readwrite', store => {
+                    for (const index of batch) store.put(frames[index].blob, index);
+                });
+
+                for (const index of batch) {
+                    const frame = frames[index];
+                    frame.blob = null;
+                    memoryBytes -= frame.size;
+                    spilledBytes += frame.size;
+                }
+            }
+        })().catch(error => {
+            console.warn('⚠️ Frame spill to IndexedDB failed, keeping frames in memory:', error);
+            spillDisabled = true;
+        }).finally(() => {
+            spilling = null;
+            spill();
+        });
+    }
+
+    const store = {
+        /**
+         * Appends a frame
+         * @param {Blob} blob - Encoded frame image
+         * @param {number} timestamp - Capture time in milliseconds since the recording started
+         */
+        add(blob, timestamp) {
+            frames.push({ blob, size: blob.size, timestamp });
+            memoryBytes += blob.size;
+            spill();
+        },
+
+        /**
+         * Reads a frame, from memory or IndexedDB
+         * @param {number} index - Frame index
+         * @returns {Promise<Blob|null>} Frame image, null if it is missing
+         */
+        async get(index) {
+            const frame = frames[index];
+            if (!frame) return null;
+            if (frame.blob) return frame.blob;
+
+            const db = await openDb();
+            return runTransaction(db, 'readonly', store => store.get(index));
+        },
+
+        /**
+         * Returns the capture time of a frame
+         * @param {number} index - Frame index
+         * @returns {number} Milliseconds since the recording started
+         */
+        getTimestamp(index) {
+            return frames[index].timestamp;
+        },
+
+        get count() {
+            return frames.length;
+        },
+
+        /**
+         * Returns the size of the stored frames
+         * @returns {Object} frames, bytes (total), memoryBytes and spilledBytes
+         */
+        getStats() {
+            return { frames: frames.length, bytes: memoryBytes + spilledBytes, memoryBytes, spilledBytes };
+        },
+
+        /**
+         * Drops all frames and clears the spilled ones from IndexedDB
+         * @returns {Promise<void>}
+         */
+        async dispose() {
+            if (currentStore === store) currentStore = null;
+            spillDisabled = true;  // A disposed store never spills again
+            await spilling;
+
+            frames.length = 0;
+            memoryBytes = 0;
+            spilledBytes = 0;
+            nextSpill = 0;
+
+            if (dbPromise) {
+                const db = await dbPromise.catch(() => null);
+                if (db) {
+                    await runTransaction(db, 'readwrite', store => store.clear()).catch(() => { });
+                    db.close();
+                }
+                dbPromise = null;
+            }
+        }
+    };
+
+    currentStore = store;
+    return store;
+}
+
+/**
+ * Runs requests in one transaction on the frame store
+ * @param {IDBDatabase} db - Frame database
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} work - Receives the object store, may return a request whose result is resolved
+ * @returns {Promise<*>} Result of the returned request once the transaction is complete
+ */
+function runTransaction(db, mode, work) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(FRAME_DB_STORE, mode);
+        const request = work(transaction.objectStore(FRAME_DB_STORE));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
@@ -0,0 +1,215 @@
+/**
+ * Pizza Royale - Game Configuration
+ * Default game config, named presets and the settings persisted in the browser
+ */
+
+const SETTINGS_STORAGE_KEY = 'pizzaRoyale.gameSettings';
+const MAX_STORM_DAMAGE = 200;  // Storm damage per second, above this the zone wipes the field in a few ticks
+
+/**
+ * Game modes selectable in the settings screen
+ * storm: a safe zone contracts toward the pizza and damages avatars outside of it
+ */
+export const GAME_MODES = Object.freeze({
+    classic: 'Klassisch',
+    storm: 'Sturm (Safe Zone)'
+});
+
+/**
+ * Team modes selectable in the settings screen (see teams.js)
+ * manual: teams from the import page, followers without a team are spread over these teams
+ */
+export const TEAM_MODES = Object.freeze({
+    off: 'Aus (jeder gegen jeden)',
+    random: 'Zufällig aufteilen',
+    manual: 'Wie im Import festgelegt'
+});
+
+/**
+ * Default game config ("Standard" preset)
+ * avatarSizeLadder: [alivePlayersAbove, avatarSize] pairs, checked top to bottom
+ */
+export const DEFAULT_GAME_CONFIG = Object.freeze({
+    mode: 'classic',             // Key of GAME_MODES
+    maxSpeed: 18,                // Maximum avatar movement speed
+    eatRadius: 150,              // Pizza eating radius
+    cullDuration: 5,             // Seconds to eliminate non-animated players
+    attackBoostPerBite: 2,       // Attack increase per pizza eaten
+    winnerDisplayTime: 5,        // Seconds to show winner
+    endgameThreshold: 50,        // Endgame bonuses start at this many animated players
+    duration: Object.freeze({ min: 20, target: 25, max: 30 }),  // Timing window of the eat-rate controller
+    storm: Object.freeze({ finalRadius: 400, damagePerSecond: 10 }),  // Safe zone at target duration, damage outside
+    powerUps: Object.freeze({ spawnInterval: 2, maxActive: 4, effectDuration: 4 }),  // maxActive 0 disables power-ups
+    teams: Object.freeze({ mode: 'off', count: 2 }),  // Key of TEAM_MODES, count is used for random splits
+    season: Object.freeze({ enabled: false, carryOverBonus: 25 }),  // Extra boostHp for the last day's survivors
+    intro: Object.freeze({ enabled: true, fightText: 'FIGHT!', countText: '{count} PLAYERS' }),  // 3-2-1 countdown
+    outro: Object.freeze({            // Card after the winner screen
+        enabled: true,
+        duration: 3,
+        headline: 'FOLLOW TO JOIN NEXT BATTLE',
+        handle: '',
+        logoUrl: './pizza.png'
+    }),
+    avatarSizeLadder: Object.freeze([
+        [2000, 10], [700, 15], [500, 35], [100, 55], [20, 75], [10, 95], [5, 105], [0, 135]
+    ])
+});
+
+/**
+ * Named presets selectable in the settings screen
+ */
+export const GAME_PRESETS = Object.freeze({
+    quick: {
+        name: 'Quick 15s',
+        config: {
+            ...DEFAULT_GAME_CONFIG,
+            maxSpeed: 20,
+            cullDuration: 3,
+            winnerDisplayTime: 4,
+            duration: { min: 12, target: 15, max: 18 }
+        }
+    },
+    standard: {
+        name: 'Standard',
+        config: DEFAULT_GAME_CONFIG
+    },
+    epic: {
+        name: 'Epic 60s',
+        config: {
+            ...DEFAULT_GAME_CONFIG,
+            maxSpeed: 14,
+            cullDuration: 10,
+            winnerDisplayTime: 8,
+            endgameThreshold: 30,
+            duration: { min: 50, target: 60, max: 70 }
+        }
+    }
+});
+
+export const DEFAULT_PRESET_ID = 'standard';
+
+/**
+ * Merges a (partial) config over the defaults
+ * @param {Object} config - Partial game config
+ * @returns {Object} Complete game config
+ */
+export function resolveGameConfig(config = {}) {
+    return {
+        ...DEFAULT_GAME_CONFIG,
+        ...config,
+        duration: { ...DEFAULT_GAME_CONFIG.duration, ...(config.duration || {}) },
+        storm: { ...DEFAULT_GAME_CONFIG.storm, ...(config.storm || {}) },
+        powerUps: { ...DEFAULT_GAME_CONFIG.powerUps, ...(config.powerUps || {}) },
+        teams: { ...DEFAULT_GAME_CONFIG.teams, ...(config.teams || {}) },
+        season: { ...DEFAULT_GAME_CONFIG.season, ...(config.season || {}) },
+        intro: { ...DEFAULT_GAME_CONFIG.intro, ...(config.intro || {}) },
+        outro: { ...DEFAULT_GAME_CONFIG.outro, ...(config.outro || {}) },
+        avatarSizeLadder: (config.avatarSizeLadder || DEFAULT_GAME_CONFIG.avatarSizeLadder).map(([above, size]) => [above, size])
+    };
+}
+
+/**
+ * Checks a complete game config for values the simulation cannot work with
+ * @param {Object} config - Game config from resolveGameConfig()
+ * @returns {Array<string>} Error messages, empty if the config is valid
+ */
+export function validateGameConfig(config) {
+    const errors = [];
+    const positive = ['maxSpeed', 'eatRadius', 'winnerDisplayTime'];
+    const nonNegative = ['cullDuration', 'attackBoostPerBite', 'endgameThreshold'];
+
+    for (const key of positive) {
+        if (!(config[key] > 0)) errors.push(`${key} muss größer als 0 sein`);
+    }
+    for (const key of nonNegative) {
+        if (!(config[key] >= 0)) errors.push(`${key} darf nicht negativ sein`);
+    }
+
+    if (!GAME_MODES[config.mode]) errors.push(`Unbekannter Modus "${config.mode}"`);
+
+    const { min, target, max } = config.duration;
+    if (!(min > 0 && min <= target && target <= max)) {
+        errors.push('Spieldauer muss 0 < Min ≤ Ziel ≤ Max erfüllen');
+    }
+
+    if (!(config.storm.finalRadius >= config.eatRadius)) {
+        errors.push('Safe-Zone-Endradius darf nicht kleiner als der Pizza-Radius sein');
+    }
+    if (!(config.storm.damagePerSecond >= 0 && config.storm.damagePerSecond <= MAX_STORM_DAMAGE)) {
+        errors.push(`Sturm-Schaden muss zwischen 0 und ${MAX_STORM_DAMAGE} liegen`);
+    }
+
+    const { spawnInterval, maxActive, effectDuration } = config.powerUps;
+    if (!(spawnInterval > 0 && effectDuration > 0)) errors.push('Power-up Intervall und Dauer müssen größer als 0 sein');
+    if (!(Number.isInteger(maxActive) && maxActive >= 0)) errors.push('Power-ups gleichzeitig muss eine ganze Zahl ≥ 0 sein');
+
+    if (!TEAM_MODES[config.teams.mode]) errors.push(`Unbekannter Team-Modus "${config.teams.mode}"`);
+    if (!(Number.isInteger(config.teams.count) && config.teams.count >= 2)) errors.push('Anzahl Teams muss mindestens 2 sein');
+
+    if (!(config.season.carryOverBonus >= 0)) errors.push('Saison-Bonus darf nicht negativ sein');
+
+    if (config.intro.enabled && !config.intro.fightText.trim()) errors.push('Intro-Text darf nicht leer sein');
+    if (!(config.outro.duration > 0)) errors.push('Outro-Dauer muss größer als 0 sein');
+    if (config.outro.enabled && !config.outro.headline.trim()) errors.push('Outro-Überschrift darf nicht leer sein');
+
+    const ladder = config.avatarSizeLadder;
+    if (!Array.isArray(ladder) || ladder.length === 0) {
+        errors.push('Avatar-Größen dürfen nicht leer sein');
+    } else {
+        const validSteps = ladder.every(([above, size], i) =>
+            above >= 0 && size > 0 && (i === 0 || above < ladder[i - 1][0]));
+        if (!validSteps) errors.push('Avatar-Größen brauchen absteigende Spielerzahlen und positive Größen');
+        if (ladder[ladder.length - 1][0] !== 0) errors.push('Letzte Avatar-Größe muss für 0 Spieler gelten');
+    }
+
+    return errors;
+}
+
+/**
+ * Formats the avatar size ladder for the settings text field
+ * @param {Array<Array<number>>} ladder - [alivePlayersAbove, avatarSize] pairs
+ * @returns {string} e.g. "2000:10, 700:15, 0:135"
+ */
+export function formatAvatarSizeLadder(ladder) {
+    return ladder.map(([above, size]) => `${above}:${size}`).join(', ');
+}
+
+/**
+ * Parses the avatar size ladder from the settings text field
+ * @param {string} text - e.g. "2000:10, 700:15, 0:135"
+ * @returns {Array<Array<number>>} [alivePlayersAbove, avatarSize] pairs
+ */
+export function parseAvatarSizeLadder(text) {
+    return text.split(',')
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(part => part.split(':').map(Number));
+}
+
+/**
+ * Loads the persisted settings (selected preset and its edited config)
+ * @returns {Object} Settings with presetId and config
+ */
+export function loadGameSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+        if (stored && GAME_PRESETS[stored.presetId]) {
+            const config = resolveGameConfig(stored.config);
+            if (validateGameConfig(config).length === 0) {
+                return { presetId: stored.presetId, config };
+            }
+        }
+    } catch (e) {
+        console.warn('Failed to load game settings:', e);
+    }
+
+    return { presetId: DEFAULT_PRESET_ID, config: resolveGameConfig(GAME_PRESETS[DEFAULT_PRESET_ID].config) };
+}
+
+/**
+ * Persists the settings
+ * @param {Object} settings - Settings with presetId and config
+ */
+export function saveGameSettings({ presetId, config }) {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify({ presetId, config }));
+}
@@ -3,36 +3,57 @@
  * Core game logic for the Battle Royale pizza eating competition
  */
 
-import { setupRecorder } from './recorder.js';
 import { createRecordingStatus } from './recording-setup.js';
+import { finishRecording } from './recording-output.js';
+import { createInputLog, buildReplay, downloadReplay } from './replay.js';
+import { SIMULATION_CONSTANTS, createSimulation, createDemoRoster, normalizeSeed } from './simulation.js';
+import { computePlacements } from './placement.js';
+import { POWER_UP_TYPES, POWER_UP_RADIUS, hasPowerUp } from './power-ups.js';
+import { assignTeams, loadTeamAssignments, createTeamColors, summarizeTeams } from './teams.js';
+import { resolveGameConfig } from './game-config.js';
+import { loadSeason, saveSeason, applyCarryOver, recordSeasonDay, topStandings } from './season.js';
+import { INTRO_DURATION, drawIntro, drawOutro } from './video-cards.js';
+import { createThumbnail } from './video-library.js';
+import { createGameCaptioner, drawCaption, hasBurnedInCaptions } from './captions.js';
+import { apiGet, proxyImageUrl, getApiBaseUrl } from './api-client.js';
+import { createMatch } from './matches.js';
+import { normalizeRoster, summarizeRosterIssues } from './roster.js';
+import { saveGameSessionWithOutbox } from './session-outbox.js';
 
 /**
  * Main game entry point with recording integration
  * @param {Object} recordingChoice - Selected recording option from setup
+ * @param {Object} options - Game options, see startGame()
  */
-export async function startGameWithRecording(recordingChoice = { recorder: null, type: 'none' }) {
-    return startGame(recordingChoice);
+export async function startGameWithRecording(recordingChoice = { recorder: null, type: 'none' }, options = {}) {
+    return startGame(recordingChoice, options);
 }
 
 /**
  * Main game entry point
  * Initializes and runs the complete Pizza Royale game
  * @param {Object} recordingChoice - Optional recording configuration
+ * @param {Object} options - Optional game options
+ * @param {number} [options.seed] - Seed requested for the new match (default: chosen by the backend), the match seed drives the game RNG
+ * @param {number} [options.fixedDt] - Simulation timestep in seconds, 0 for the legacy frame-based timestep
+ * @param {Object} [options.config] - Game config (see game-config.js), missing values use the defaults
+ * @param {Object} [options.replay] - Replay (see replay.js) to re-run instead of a new battle
  */
-export async function startGame(recordingChoice = { recorder: null, type: 'none' }) {
+export async function startGame(recordingChoice = { recorder: null, type: 'none' }, options = {}) {
+    const replay = options.replay || null;
+
     // === GAME CONSTANTS ===
-    const WIDTH = 1080, HEIGHT = 1920;  // Instagram Reel format
-    const WINNER_DISPLAY_TIME = 5.0;    // Seconds to show winner
-    const MAX_ANIMATED_PLAYERS = 2000;  // Maximum animated participants for performance
-    const MAX_SPEED = 18;               // Maximum avatar movement speed
-    const PIZZA_CENTER = { x: WIDTH / 2, y: HEIGHT / 2 };
-    const EAT_RADIUS = 150;             // Pizza eating radius
-    const CULL_DURATION = 5;          // Seconds to eliminate non-animated players
-    const ATTACK_BOOST_PER_BITE = 2;  // Attack increase per pizza eaten
+    const { WIDTH, HEIGHT } = SIMULATION_CONSTANTS;
+    const DEMO_ROSTER_SIZE = 100000;  // Generated players if no roster is available
+    const SEASON_TABLE_SIZE = 5;       // Entries of the season standings on the winner screen
+    const KILL_FEED_SIZE = 5;          // Eliminations shown at once in the kill feed
+    const KILL_FEED_DURATION = 4;      // Seconds an elimination stays in the kill feed
+    const PICKUP_FLASH_DURATION = 0.6; // Seconds the ring of a power-up pickup expands
+    const SIM_DT = replay ? replay.config.fixedDt : (options.fixedDt ?? 1 / 60);  // Simulation timestep
+    const gameConfig = replay ? (replay.config.game || {}) : (options.config || {});
     const pizzaImage = await loadImage('./pizza.png');
     const defaultUserImage = await loadImage('./user.jpeg');  // Default image for static players
     const defaultUserImageUrl = defaultUserImage.src;
-    let PIZZA_HP_MULITPLIER = 1.5;
 
     // === CANVAS SETUP ===
     const canvas = document.getElementById('game');
@@ -57,104 +78,135 @@ export async function startGame(recordingChoice = { recorder: null, type: 'none'
 
     const CANVAS_FONT_FAMILY = '"GT Maru Medium", system-ui, Segoe UI, Arial';
 
+    // === MATCH ===
+    // New battles are created as a match first, its seed drives the simulation (replays keep their match)
+    const requestedSeed = options.seed === undefined ? undefined : normalizeSeed(options.seed);
+    const match = replay ? null : await createMatch({ seed: requestedSeed });
+    const matchId = replay ? (replay.matchId ?? null) : match.id;
+
     // === UTILITY FUNCTIONS ===
-    // Seeded random number generator for consistent gameplay
-    const SEED = Date.now() % 1e9;
-    let rng = (s => () => (s = Math.imul(48271, s) % 2147483647) / 2147483647)(SEED);
+    // Seed for the simulation RNG
+    const SEED = normalizeSeed(replay ? replay.seed : match.seed);
 
     const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
-    const randInt = (min, max) => Math.floor(rng() * (max - min + 1)) + min;
-
-    // Generate position outside pizza area
-    const generateSafePosition = (radius) => {
-        let x, y, distFromPizza;
-        const minDistFromPizza = EAT_RADIUS + radius + 20; // Extra margin
-
-        do {
-            x = radius * 3 + rng() * (WIDTH - radius * 6);
-            y = radius * 3 + rng() * (HEIGHT - radius * 6);
-            distFromPizza = Math.hypot(x - PIZZA_CENTER.x, y - PIZZA_CENTER.y);
-        } while (distFromPizza < minDistFromPizza);
-
-        return { x, y };
-    };
 
     // === ROSTER LOADING ===
-    // Fetch player roster from backend or use fallback data
+    // Fetch player roster from backend or use fallback data (replays bring their own roster)
     let roster;
-    try {
-        console.log('Fetching roster from API...');
-        const res = await fetch('http://localhost:4000/api/roster');
-        if (res.ok) {
-            roster = await res.json();
-            console.log(`✅ Successfully loaded ${roster.length} players from API`);
+    let demoRosterSize = 0;
+    if (replay) {
+        console.log(`📼 Replaying battle with seed ${SEED}`);
+        if (Array.isArray(replay.roster)) {
+            roster = replay.roster;
         } else {
-            console.warn('API response not OK:', res.status, res.statusText);
+            demoRosterSize = replay.roster.demo;
+        }
+    } else {
+        try {
+            console.log('Fetching roster from API...');
+            const { roster: loaded, issues } = normalizeRoster(await apiGet('/api/roster'));
+            roster = loaded;
+            console.log(`✅ Successfully loaded ${roster.length} players from API`);
+            if (issues.length > 0) reportRosterIssues(issues);
+        } catch (e) {
+            console.warn('Failed to load roster from API:', e.message);
         }
-    } catch (e) {
-        console.warn('Failed to load roster from API:', e);
     }
 
     // Fallback to generated demo players if API unavailable
     if (!Array.isArray(roster) || roster.length === 0) {
         console.log('⚠️ Using fallback demo players');
-        roster = Array.from({ length: 100000 }, (_, i) => ({
-            igUserId: 'p' + i,
-            username: 'Player ' + (i + 1),
-            avatarUrl: defaultUserImageUrl,
-            baseHp: 100,
-            baseArmor: 0,
-            baseMass: 1.0,
-            boostHp: 0,
-            boostArmor: 0,
-            boostShield: 0,
-            eatRate: 15 + (i % 10)
-        }));
+        demoRosterSize = demoRosterSize || DEMO_ROSTER_SIZE;
+        roster = createDemoRoster(demoRosterSize, defaultUserImageUrl);
     }
 
-    // Limit roster size and ensure eatRate property
-    roster = roster.map(p => ({ ...p, eatRate: p.eatRate ?? 20 }));
-    const participants = roster.length;
+    const resolvedConfig = resolveGameConfig(gameConfig);
 
-    console.log(`🎮 Game starting with ${participants} total participants`);
+    // Team assignment (replays of imported rosters already carry their teams)
+    if (!replay || demoRosterSize) {
+        roster = assignTeams(roster, resolvedConfig.teams, SEED, replay ? {} : loadTeamAssignments());
+    }
 
-    // === PERFORMANCE OPTIMIZATION FOR LARGE GROUPS ===
-    // For >1000 players, only animate a subset for performance
-    const animatedPlayers = participants > MAX_ANIMATED_PLAYERS
-        ? roster.slice().sort(() => rng() - 0.5).slice(0, MAX_ANIMATED_PLAYERS)  // Random selection
-        : roster;
+    // === SEASON ===
+    // Survivors of the previous day get the carry-over bonus, everyone else re-joins without it.
+    // Replays show the day they were recorded on and never advance the season.
+    let season = null;
+    let seasonInfo = null;     // { day, carryOver, bonus } of this battle, stored in the replay
+    let seasonStandings = null;  // Updated standings, shown on the winner screen
+    if (replay) {
+        seasonInfo = replay.season || null;
+        if (seasonInfo && demoRosterSize) {
+            roster = applyCarryOver(roster, seasonInfo.carryOver, seasonInfo.bonus);
+        }
+    } else if (resolvedConfig.season.enabled) {
+        season = await loadSeason();
+        seasonInfo = { day: season.day + 1, carryOver: season.carryOver, bonus: resolvedConfig.season.carryOverBonus };
+        roster = applyCarryOver(roster, seasonInfo.carryOver, seasonInfo.bonus);
+        console.log(`📅 Season day ${seasonInfo.day}, ${seasonInfo.carryOver.length} survivors carry over`);
+    }
+    const seasonDay = seasonInfo ? seasonInfo.day : 1;
 
-    const staticPlayers = participants > MAX_ANIMATED_PLAYERS
-        ? roster.filter(p => !animatedPlayers.some(ap => ap.igUserId === p.igUserId))
-        : [];
+    const rosterSnapshot = roster;
 
-    console.log(`Game setup: ${participants} total, ${animatedPlayers.length} animated, ${staticPlayers.length} static`);
+    // === SIMULATION SETUP ===
+    // Physics, combat and controllers live in simulation.js, this module only renders
+    const sim = createSimulation({ roster, seed: SEED, config: gameConfig });
+    const PIZZA_CENTER = sim.pizzaCenter;
+    const EAT_RADIUS = sim.config.eatRadius;
+    const participants = sim.participants;
+    const teamColors = sim.teamsEnabled ? createTeamColors(sim.players) : null;
 
-    // === PIZZA HP SCALING ===
-    // Dynamic pizza HP multiplier based on animated player count
-    // Base: 2.5, increase by 0.1 for every 50 animated players (so 1000 players = 4.5)
-    const animatedPlayerGroups = Math.floor(animatedPlayers.length / 50);
-    PIZZA_HP_MULITPLIER = 1.5 + (animatedPlayerGroups * 0.08);
-    console.log(`Pizza HP Multiplier adjusted: ${PIZZA_HP_MULITPLIER} (${animatedPlayers.length} animated players, ${animatedPlayerGroups} groups of 50)`);
+    /**
+     * Tells the operator which roster rows were dropped or corrected (console table plus a short notice)
+     */
+    function reportRosterIssues(issues) {
+        const summary = summarizeRosterIssues(issues);
+        console.warn(`⚠️ Roster: ${summary}`);
+        console.table(issues);
+        showNotice(`⚠️ Roster: ${summary} (Details in der Konsole)`);
+    }
 
-    // Dynamic pizza HP based on ANIMATED participant count (for game balance)
-    const PIZZA_HP_TOTAL = animatedPlayers.length * PIZZA_HP_MULITPLIER;  // Based on animated players only
+    /**
+     * Shows a short notice to the operator
+     * The notice is a DOM element, so it never ends up in the recording
+     * @param {string} text - Notice text
+     */
+    function showNotice(text) {
+        const notice = document.createElement('div');
+        notice.style.cssText = `
+            position: fixed;
+            top: 20px;
+            left: 20px;
+            background: #1a1a1a;
+            color: #ffd700;
+            padding: 10px 15px;
+            border-radius: 8px;
+            font-family: "GT Maru Medium", system-ui, Arial;
+            font-size: 14px;
+            z-index: 9999;
+            box-shadow: 0 2px 10px rgba(0, 0, 0, 0.3);
+        `;
+        notice.textContent = text;
+        document.body.appendChild(notice);
+        setTimeout(() => notice.remove(), 8000);
+    }
 
     // === IMAGE LOADING ===
     // Load pizza image and player avatars with proxy support
     async function loadImage(url) {
+        let imageUrl = url;
+
+        // Use proxy for cross-origin images (Instagram CDN)
+        if (url && /^https?:\/\//.test(url) && !/^https?:\/\/localhost/.test(url) && !url.startsWith(await getApiBaseUrl())) {
+            imageUrl = await proxyImageUrl(url);
+        }
+
         return new Promise(resolve => {
             const img = new Image();
-            let imageUrl = url;
 
             // Set crossOrigin to prevent canvas tainting for recording
             img.crossOrigin = 'anonymous';
 
-            // Use proxy for cross-origin images (Instagram CDN)
-            if (url && /^https?:\/\//.test(url) && !url.startsWith('http://localhost') && !url.startsWith('https://localhost')) {
-                imageUrl = `http://localhost:4000/api/proxy-image?url=${encodeURIComponent(url)}`;
-            }
-
             img.onload = () => resolve(img);
             img.onerror = () => {
                 console.warn('Failed to load image:', url);
@@ -168,611 +220,228 @@ export async function startGame(recordingChoice = { recorder: null, type: 'none'
     const images = new Map();
 
     // Load all player avatar images (only for animated players to save memory)
-    await Promise.all(animatedPlayers.map(async p => {
-        const img = p.avatarUrl ? await loadImage(p.avatarUrl) : null;
-        images.set(p.igUserId, img);
+    const avatarUrls = new Map(roster.map(p => [p.igUserId, p.avatarUrl]));
+    await Promise.all(sim.players.map(async p => {
+        const avatarUrl = avatarUrls.get(p.id);
+        const img = avatarUrl ? await loadImage(avatarUrl) : null;
+        images.set(p.id, img);
     }));
 
-    // Helper function for player initials
-    const initials = (name) => (name || '?').split(' ').map(s => s[0]).join('').slice(0, 2).toUpperCase();
-
-    // === DYNAMIC AVATAR SIZING ===
-    // Avatar size scales based on number of alive players
-    const avatarSizeByAlive = (n) => {
-        if (n > MAX_ANIMATED_PLAYERS) return 10;
-        if (n > 700) return 15;
-        if (n > 500) return 35;
-        if (n > 100) return 55;
-        if (n > 20) return 75;
-        if (n > 10) return 95;
-        if (n > 5) return 105;
-        return 135;
-    };
-
-    // === GAME STATE INITIALIZATION ===
-    let pizzaHP = PIZZA_HP_TOTAL;
-    const initialAlive = participants;        // Total participants including static (for display)
-    const initialAnimated = animatedPlayers.length;  // Initial animated count (for balance)
-
-    // Adaptive controllers for dynamic gameplay
-    let damageScale = 1.0;  // Combat intensity scaling
-    let eatScale = 2;     // Pizza consumption rate scaling
-    let emaRate = 0;        // Exponential moving average of consumption rate
-    let lastPizzaHP = pizzaHP;
-    let globalEatIntensity = 1.2;  // Global eat intensity multiplier
-    let lastAnimatedAliveCount = animatedPlayers.length;  // Track deaths for eat intensity
-
-    // Endgame progression system (only active when <= 50 players)
-    let endgameActive = false;  // Flag to track if endgame bonuses are active
-    let endgameStartTime = 0;   // When endgame phase started
-
-    // Avatar size caching for performance optimization
-    let cachedAvatarSize = avatarSizeByAlive(participants);
-    let lastSizeThreshold = participants;
-    const sizeThresholds = [MAX_ANIMATED_PLAYERS + 50000, MAX_ANIMATED_PLAYERS + 10000, MAX_ANIMATED_PLAYERS, 500, 100, 20, 10, 5, 1];
-
-    // Function to check if avatar size needs to be recalculated
-    const updateAvatarSizeIfNeeded = (aliveCount) => {
-        // Find which threshold we're currently in
-        const currentThreshold = sizeThresholds.find(t => aliveCount > t) || 0;
-        const lastThreshold = sizeThresholds.find(t => lastSizeThreshold > t) || 0;
-
-        // Only recalculate if we crossed a threshold
-        if (currentThreshold !== lastThreshold) {
-            cachedAvatarSize = avatarSizeByAlive(aliveCount);
-            lastSizeThreshold = aliveCount;
-            console.log(`Avatar size updated: ${cachedAvatarSize}px for ${aliveCount} players`);
-        }
-    };
-
-    // Initialize ANIMATED player objects with random positions and stats
-    let players = animatedPlayers.map(p => {
-        const initSize = cachedAvatarSize;  // Use cached size for consistency
-        const R = initSize / 2;
-        const pos = generateSafePosition(R);  // Generate position outside pizza area
-        const ang = rng() * Math.PI * 2;
-
-        return {
-            id: p.igUserId,
-            name: p.username,
-            img: images.get(p.igUserId),
-            x: pos.x,
-            y: pos.y,
-            vx: Math.cos(ang) * MAX_SPEED,
-            vy: Math.sin(ang) * MAX_SPEED,
-            score: 0,
-            endgameScore: 0,  // Score from pizza eaten during endgame (<=50 players)
-            eatRate: p.eatRate,
-            hp: randInt(8, 70),      // Random health
-            def: randInt(10, 20),    // Defense stat
-            atk: randInt(10, 20),    // Attack stat (will increase with pizza eating)
-            alive: true,
-            rot: rng() * Math.PI * 2, // Rotation angle
-            isAnimated: true         // Flag to identify animated players
-        };
-    });
-
-    // Initialize STATIC player dots (visual only, will be culled over time)
-    let staticDots = staticPlayers.map((p, index) => {
-        const pos = generateSafePosition(1);  // Use minimal radius for tiny dots
-
-        return {
-            id: p.igUserId,
-            name: p.username,
-            x: pos.x,
-            y: pos.y,
-            baseX: pos.x,  // Store original position for wiggle animation
-            baseY: pos.y,  // Store original position for wiggle animation
-            wiggleOffset: index * 0.03,  // Even faster staggered animation
-            alive: true,
-            isAnimated: false,  // Static dot
-            cullTime: rng() * CULL_DURATION  // Random time within cull period to die
-        };
-    });
-
-    console.log(`Static dots initialized: ${staticDots.length}, will be culled over ${CULL_DURATION}s`);
+    // Logo of the outro card
+    const { intro, outro } = sim.config;
+    const outroLogo = outro.enabled && outro.logoUrl ? await loadImage(outro.logoUrl) : null;
 
     // === VIDEO RECORDING SETUP ===
     let activeRecorder = null;
     let recordingIndicator = null;
+    let thumbnail = null;       // Winner screen for the video library, captured when the battle is over
+    let gameSessionId = null;   // Links the video to the saved game session
+    let gameSessionOutboxId = null;  // Outbox entry of a queued game session, the video is linked once it is sent
 
-    if (recordingChoice.recorder && recordingChoice.type !== 'none') {
+    if (recordingChoice.recorder) {
         activeRecorder = recordingChoice.recorder;
 
         // Create recording status indicator
-        recordingIndicator = createRecordingStatus(activeRecorder, recordingChoice.type);
-
-        // Start recording based on type
-        if (recordingChoice.type === 'canvas') {
-            // Delay canvas recording start until after first render
-            setTimeout(() => {
-                activeRecorder.start();
-                console.log('✅ Canvas recording started after initial render');
-            }, 200);
-        }
+        recordingIndicator = createRecordingStatus(activeRecorder);
     } else {
         console.log('ℹ️ No recording selected');
     }
 
-    // Fallback recorder for compatibility (only used if canvas recording is chosen but no recorder exists)
-    let fallbackRecorder = null;
+    // Captions of game events, stamped with the recording time
+    const captioner = activeRecorder && activeRecorder.captionMode !== 'off' ? createGameCaptioner(sim) : null;
+    const burnInCaptions = captioner !== null && hasBurnedInCaptions(activeRecorder.captionMode);
 
     // Render initial frame
     drawBackground();
     drawPizza(ctx, PIZZA_CENTER.x, PIZZA_CENTER.y, EAT_RADIUS, 1.0, CANVAS_FONT_FAMILY, true);
 
-    // Start fallback recording only if canvas recording was chosen but no recorder exists
-    if (!activeRecorder && recordingChoice.type === 'canvas') {
-        fallbackRecorder = setupRecorder(canvas);
-        setTimeout(() => fallbackRecorder.start(1000), 120);
-    }    // === MAIN GAME LOOP ===
-    let time = 0;
+    // Recording starts once the initial frame is on the canvas
+    if (activeRecorder) {
+        activeRecorder.start();
+    }
+
+    // === REPLAY CAPTURE ===
+    // Every tick pulls its timestep from the input log: recorded for new battles, played back for replays
+    const inputs = createInputLog(replay ? replay.inputs : null);
+    let replayData = null;  // Built once the battle is over
+
+    // === MAIN GAME LOOP ===
     let last = performance.now();
-    let gameEnded = false;
-    let gameEndTime = 0;
-    let gameEndReason = '';  // Track how the game ended
+    let accumulator = 0;    // Unsimulated real time for the fixed timestep
     let frameCount = 0; // For performance optimizations
 
-    requestAnimationFrame(loop);
+    // Video phases: intro countdown → battle (incl. winner screen) → outro card → done
+    let phase = intro.enabled ? 'intro' : 'battle';
+    let phaseTime = 0;  // Seconds since the current phase started (intro and outro)
+
+    if (activeRecorder && activeRecorder.frameDriven) {
+        renderOffline();
+    } else {
+        requestAnimationFrame(loop);
+    }
 
     function loop(now) {
-        // Calculate delta time with clamping
-        const dt = Math.max(0, Math.min(0.05, (now - last) / 1000));
+        advance((now - last) / 1000);
         last = now;
-        time += dt;
-
-        // Current game state
-        const animatedAliveCount = players.reduce((n, p) => n + (p.alive ? 1 : 0), 0);
-
-        // Check if animated players died and increase eat intensity
-        if (animatedAliveCount < lastAnimatedAliveCount) {
-            const playersDied = lastAnimatedAliveCount - animatedAliveCount;
 
-            // Reduce eat intensity increase during endgame to slow down pizza consumption
-            const intensityIncrease = endgameActive ? 0.015 : 0.035;  // 1.5% during endgame vs 3.5% normal
-            globalEatIntensity += playersDied * intensityIncrease;
-
-            console.log(`${playersDied} players died. Global eat intensity now: ${globalEatIntensity.toFixed(2)}x ${endgameActive ? '(endgame)' : ''}`);
-            lastAnimatedAliveCount = animatedAliveCount;
-        }
-
-        // Check if endgame phase should start (<=50 animated players)
-        if (!endgameActive && animatedAliveCount <= 50) {
-            endgameActive = true;
-            endgameStartTime = time;
-            console.log(`🔥 ENDGAME ACTIVATED! ${animatedAliveCount} players remaining. Pizza bonuses now active!`);
-
-            // Reset endgame scores for all players
-            for (const p of players) {
-                if (p.alive) {
-                    p.endgameScore = 0;
-                }
-            }
+        drawFrame();
+        if (phase === 'done') {
+            finishBattle();
+            return;
         }
 
-        // Cull static dots gradually over CULL_DURATION seconds
-        let dotsKilledThisFrame = 0;
-        if (time <= CULL_DURATION) {
-            for (const dot of staticDots) {
-                if (dot.alive && dot.cullTime <= time) {
-                    dot.alive = false;
-                    dotsKilledThisFrame++;
-                }
-            }
-        } else {
-            // After CULL_DURATION, force all remaining static dots to die
-            for (const dot of staticDots) {
-                if (dot.alive) {
-                    dot.alive = false;
-                    dotsKilledThisFrame++;
-                }
-            }
-        }
-
-        // Debug logging for dot culling
-        if (dotsKilledThisFrame > 0) {
-            const remainingDots = staticDots.filter(d => d.alive).length;
-            console.log(`Time ${time.toFixed(1)}s: Killed ${dotsKilledThisFrame} dots, ${remainingDots} remaining`);
+        // Update DOM ranking only every 10 frames for performance
+        frameCount++;
+        if (frameCount % 10 === 0) {
+            updateRanking();
         }
 
-        // Calculate real alive count: animated players + remaining static dots
-        const staticAliveCount = staticDots.filter(d => d.alive).length;
-        const totalAliveCount = animatedAliveCount + staticAliveCount;
-
-        // Update avatar size only when crossing thresholds (performance optimization)
-        updateAvatarSizeIfNeeded(totalAliveCount);
-        const AVATAR_SIZE = cachedAvatarSize;  // Use cached size instead of recalculating every frame
-        const AVA_R = AVATAR_SIZE / 2;
-
-        // Pre-clamp player positions to new radius (important when sizes change)
-        for (const p of players) {
-            if (!p.alive) continue;
-            if (p.x < AVA_R) p.x = AVA_R;
-            else if (p.x > WIDTH - AVA_R) p.x = WIDTH - AVA_R;
-            if (p.y < AVA_R) p.y = AVA_R;
-            else if (p.y > HEIGHT - AVA_R) p.y = HEIGHT - AVA_R;
-        }
+        requestAnimationFrame(loop);
+    }
 
-        // === ADAPTIVE CONTROLLERS ===
+    /**
+     * Offline render: steps the battle one video frame at a time and encodes every frame,
+     * so the video is smooth no matter how long a frame takes to simulate and draw
+     */
+    async function renderOffline() {
+        const frameTime = 1 / activeRecorder.fps;
+        const YIELD_INTERVAL = 10;  // Frames between yields to the browser (events, encoder output, status)
 
-        // 1) Damage scaling to maintain 5-10 survivors at finish
-        {
-            const eatenFrac = clamp((PIZZA_HP_TOTAL - pizzaHP) / PIZZA_HP_TOTAL, 0, 1);
-            const targetEndAvg = 7.5;
-            const desiredAlive = targetEndAvg + (initialAnimated - targetEndAvg) * (1 - eatenFrac);
-            const error = animatedAliveCount - desiredAlive;
-            damageScale *= (1 + 0.6 * (error / Math.max(20, initialAnimated)));
-            damageScale = clamp(damageScale, 0.7, 3.5);
-        }
+        for (let frame = 0; ; frame++) {
+            if (frame > 0) advance(frameTime);
+            drawFrame();
 
-        // 2) Simplified eat-rate controller for consistent 20-30 second duration
-        {
-            const deltaConsumed = Math.max(0, lastPizzaHP - pizzaHP);
-            const instRate = dt > 0 ? deltaConsumed / dt : 0;
-            emaRate = emaRate ? (emaRate * 0.92 + instRate * 0.08) : instRate;
-
-            // Target timing parameters - strict 20-30 second window
-            const T_MIN = 20, T_TARGET = 25, T_MAX = 30;
-            const elapsed = time;
-            const remainingTarget = clamp(T_TARGET - elapsed, T_MIN - elapsed, T_MAX - elapsed);
-
-            const desiredRateBase = pizzaHP > 0 ? (pizzaHP / Math.max(remainingTarget, 0.001)) : 0;
-
-            // Simplified crowd-based multiplier - scale based on INITIAL player count, not current
-            let crowdMult = 1.0;  // Start with neutral multiplier
-
-            // Scale based on initial animated players to prevent rate increases as players die
-            if (initialAnimated <= 50) {
-                crowdMult = 0.9;  // Slightly slower for few players
-            } else if (initialAnimated >= 100) {
-                // Less aggressive scaling for better timing
-                const excessPlayers = initialAnimated - 100;
-                crowdMult = Math.max(0.15, 0.8 - (excessPlayers / 1200));  // Less aggressive scaling
+            try {
+                await activeRecorder.captureFrame(frame * frameTime);
+            } catch (error) {
+                // Finish the battle live, stop() reports the failed video
+                console.error('❌ Offline render stopped, continuing in real time:', error);
+                last = performance.now();
+                requestAnimationFrame(loop);
+                return;
             }
 
-            const desiredRate = desiredRateBase * crowdMult;
-            const currentRate = Math.max(emaRate, 0.001);
-            let newEatScale = desiredRate / currentRate;
-
-            // Remove early boost and late brake to maintain consistent timing
-            eatScale = clamp(eatScale * 0.90 + newEatScale * 0.10, 0.30, 3.0);
-        }
-
-        // === GAME END CONDITION ===
-        const justEnded = !gameEnded && (pizzaHP <= 0.1 || animatedAliveCount <= 1);
-        if (justEnded) {
-            gameEnded = true;
-            gameEndTime = time;
-
-            // Determine end reason
-            if (pizzaHP <= 0.1) {
-                gameEndReason = 'Pizza eaten up';
-            } else if (animatedAliveCount <= 1) {
-                gameEndReason = 'Only one survivor';
-            }
-        }
+            if (phase === 'done') break;
 
-        if (gameEnded) {
-            render(true, AVA_R, AVATAR_SIZE, CANVAS_FONT_FAMILY, time, totalAliveCount, gameEndReason);
-            if (time - gameEndTime >= WINNER_DISPLAY_TIME) {
-                // Show save data modal instead of automatically saving
-                showSaveDataModal(time, gameEndReason, players, staticDots);
-                return;
+            if (frame % YIELD_INTERVAL === 0) {
+                updateRanking();
+                await new Promise(resolve => setTimeout(resolve, 0));
             }
-        } else {
-            step(dt, AVA_R, AVATAR_SIZE);
-            render(false, AVA_R, AVATAR_SIZE, CANVAS_FONT_FAMILY, time, totalAliveCount, '');
-        }        // Update DOM ranking only every 10 frames for performance
-        frameCount++;
-        if (frameCount % 10 === 0) {
-            updateRanking();
         }
-        lastPizzaHP = pizzaHP;
 
-        requestAnimationFrame(loop);
+        finishBattle();
     }
 
     /**
-     * Game physics and logic step
-     * Handles movement, collisions, combat, and pizza eating
+     * Advances the current video phase by a frame time
+     * The intro and outro only run on the frame clock, the simulation and its replay log are untouched
+     * @param {number} frameTime - Elapsed time in seconds (real time live, one video frame offline)
      */
-    function step(dt, AVA_R, AVATAR_SIZE) {
-        // === MOVEMENT AND WALL BOUNCING ===
-        // Pre-calculate pizza collision values for performance
-        const pizzaCenterX = PIZZA_CENTER.x;
-        const pizzaCenterY = PIZZA_CENTER.y;
-        const pizzaBoundary = EAT_RADIUS - AVA_R;
-        const pizzaEatZoneMin = EAT_RADIUS - AVA_R;
-        const pizzaEatZoneMax = EAT_RADIUS + AVA_R;
-
-        for (const p of players) {
-            if (!p.alive) continue;
-
-            // Apply endgame speed reduction (50% slower during endgame)
-            const speedMultiplier = endgameActive ? 0.7 : 1.0;
-            p.x += p.vx * speedMultiplier;
-            p.y += p.vy * speedMultiplier;
-
-            // Check pizza collision FIRST - prevent flying over pizza (optimized)
-            const dx = p.x - pizzaCenterX;
-            const dy = p.y - pizzaCenterY;
-            const distSq = dx * dx + dy * dy; // Use squared distance to avoid sqrt
-            const pizzaBoundarySq = pizzaBoundary * pizzaBoundary;
-
-            if (distSq < pizzaBoundarySq) {
-                // Player is inside pizza area, push them out
-                const dist = Math.sqrt(distSq);
-                const nx = dx / dist;
-                const ny = dy / dist;
-                p.x = pizzaCenterX + nx * pizzaBoundary;
-                p.y = pizzaCenterY + ny * pizzaBoundary;
-
-                // Bounce velocity away from pizza center
-                const vdot = p.vx * nx + p.vy * ny;
-                if (vdot < 0) {
-                    p.vx -= 2 * vdot * nx;
-                    p.vy -= 2 * vdot * ny;
-                }
-            } let bounced = false;
-            if (p.x <= AVA_R) { p.x = AVA_R; p.vx = -p.vx; bounced = true; }
-            if (p.x >= WIDTH - AVA_R) { p.x = WIDTH - AVA_R; p.vx = -p.vx; bounced = true; }
-            if (p.y <= AVA_R) { p.y = AVA_R; p.vy = -p.vy; bounced = true; }
-            if (p.y >= HEIGHT - AVA_R) { p.y = HEIGHT - AVA_R; p.vy = -p.vy; bounced = true; }
-
-            if (bounced) {
-                const s = Math.hypot(p.vx, p.vy);
-                if (s > 0) {
-                    p.vx = (p.vx / s) * MAX_SPEED;
-                    p.vy = (p.vy / s) * MAX_SPEED;
-                }
+    function advance(frameTime) {
+        if (phase === 'battle') {
+            advanceSimulation(frameTime);
+            if (season && sim.gameEnded && !seasonStandings) recordSeason();
+            if (captioner) {
+                captioner.poll().forEach(({ text, duration }) => activeRecorder.addCaption(text, duration));
             }
+            if (sim.finished) {
+                if (activeRecorder) thumbnail = createThumbnail(canvas);
+                phase = outro.enabled ? 'outro' : 'done';
+                phaseTime = 0;
+            }
+            return;
         }
 
-        // === COLLISION DETECTION AND COMBAT (Optimized with Spatial Partitioning) ===
-        // Create spatial grid for efficient collision detection
-        const GRID_SIZE = AVA_R * 4; // Grid cell size
-        const gridCols = Math.ceil(WIDTH / GRID_SIZE);
-        const gridRows = Math.ceil(HEIGHT / GRID_SIZE);
-        const grid = Array.from({ length: gridCols * gridRows }, () => []);
-
-        // Populate grid with alive players
-        const alivePlayers = players.filter(p => p.alive);
-        for (const p of alivePlayers) {
-            const gridX = Math.floor(p.x / GRID_SIZE);
-            const gridY = Math.floor(p.y / GRID_SIZE);
-            const gridIndex = gridY * gridCols + gridX;
-            if (gridIndex >= 0 && gridIndex < grid.length) {
-                grid[gridIndex].push(p);
-            }
+        phaseTime += Math.max(0, Math.min(0.05, frameTime));
+        if (phase === 'intro' && phaseTime >= INTRO_DURATION) {
+            phase = 'battle';
+            phaseTime = 0;
+        } else if (phase === 'outro' && phaseTime >= outro.duration) {
+            phase = 'done';
         }
+    }
 
-        // Check collisions only within nearby grid cells
-        for (let gridIndex = 0; gridIndex < grid.length; gridIndex++) {
-            const cell = grid[gridIndex];
-            if (cell.length < 2) continue; // Skip cells with 0 or 1 players
-
-            // Check collisions within this cell
-            for (let i = 0; i < cell.length; i++) {
-                const A = cell[i];
-                for (let j = i + 1; j < cell.length; j++) {
-                    const B = cell[j];
-
-                    const dx = B.x - A.x;
-                    const dy = B.y - A.y;
-                    const dist = Math.hypot(dx, dy);
-
-                    // Calculate dynamic player sizes based on endgame pizza eaten (only active if <=50 players)
-                    const pizzaBonusA = endgameActive ? Math.floor(A.endgameScore) * 0.5 : 0;  // Reduced from 2 to 0.5
-                    const pizzaBonusB = endgameActive ? Math.floor(B.endgameScore) * 0.5 : 0;  // Reduced from 2 to 0.5
-                    const radiusA = AVA_R + pizzaBonusA;
-                    const radiusB = AVA_R + pizzaBonusB;
-                    const minDist = radiusA + radiusB;
-
-                    if (dist > 0 && dist < minDist) {
-                        // Collision response
-                        const nx = dx / dist;
-                        const ny = dy / dist;
-                        const overlap = (minDist - dist) / 2;
-
-                        A.x -= nx * overlap;
-                        A.y -= ny * overlap;
-                        B.x += nx * overlap;
-                        B.y += ny * overlap;
-
-                        // Velocity exchange
-                        const avn = A.vx * nx + A.vy * ny;
-                        const bvn = B.vx * nx + B.vy * ny;
-                        A.vx += (bvn - avn) * nx;
-                        A.vy += (bvn - avn) * ny;
-                        B.vx += (avn - bvn) * nx;
-                        B.vy += (avn - bvn) * ny;
-
-                        // Speed clamping
-                        const as = Math.hypot(A.vx, A.vy);
-                        const bs = Math.hypot(B.vx, B.vy);
-                        if (as > 0) { A.vx = (A.vx / as) * MAX_SPEED; A.vy = (A.vy / as) * MAX_SPEED; }
-                        if (bs > 0) { B.vx = (B.vx / bs) * MAX_SPEED; B.vy = (B.vy / bs) * MAX_SPEED; }
-
-                        // Combat calculations
-                        const luckA = randInt(-10, 10);
-                        const luckB = randInt(-10, 10);
-                        const relNormSpeed = Math.abs((B.vx - A.vx) * nx + (B.vy - A.vy) * ny);
-                        const intensity = 0.5 + (relNormSpeed / MAX_SPEED);
-
-                        const dmgToA = Math.max(0, (B.atk + luckB) - A.def) * intensity * damageScale;
-                        const dmgToB = Math.max(0, (A.atk + luckA) - B.def) * intensity * damageScale;
-
-                        // Apply damage but ensure at least one survivor
-                        const currentAliveCount = players.reduce((n, p) => n + (p.alive ? 1 : 0), 0);
-
-                        if (dmgToA > 0) {
-                            A.hp -= dmgToA;
-                            if (A.hp <= 0) {
-                                // Check if this would be the last player
-                                if (currentAliveCount <= 2) {
-                                    // Last battle: keep the one with less negative HP
-                                    const finalHpA = A.hp;
-                                    const finalHpB = B.hp - dmgToB;
-                                    if (finalHpA >= finalHpB) {
-                                        // A survives with 1 HP
-                                        A.hp = 1;
-                                        A.alive = true;
-                                        if (dmgToB > 0) { B.hp -= dmgToB; if (B.hp <= 0) B.alive = false; }
-                                    } else {
-                                        // A dies, B will survive
-                                        A.alive = false;
-                                    }
-                                } else {
-                                    A.alive = false;
-                                }
-                            }
-                        }
-                        if (dmgToB > 0) {
-                            B.hp -= dmgToB;
-                            if (B.hp <= 0) {
-                                // Check if this would be the last player
-                                if (currentAliveCount <= 2) {
-                                    // Last battle: keep the one with less negative HP
-                                    const finalHpA = A.hp;
-                                    const finalHpB = B.hp;
-                                    if (finalHpB >= finalHpA && A.alive) {
-                                        // B survives with 1 HP
-                                        B.hp = 1;
-                                        B.alive = true;
-                                    } else if (!A.alive) {
-                                        // A is already dead, B must survive
-                                        B.hp = 1;
-                                        B.alive = true;
-                                    } else {
-                                        // B dies, A survives
-                                        B.alive = false;
-                                    }
-                                } else {
-                                    B.alive = false;
-                                }
-                            }
-                        }
-                    }
-                }
+    /**
+     * Advances the simulation by a frame time
+     * @param {number} frameTime - Elapsed time in seconds (real time live, one video frame offline)
+     */
+    function advanceSimulation(frameTime) {
+        if (SIM_DT > 0) {
+            // Fixed timestep: run as many ticks as real time allows (capped to avoid a spiral after stalls)
+            accumulator += Math.max(0, Math.min(0.25, frameTime));
+            while (accumulator >= SIM_DT && !sim.finished) {
+                sim.tick(inputs.next(SIM_DT));
+                accumulator -= SIM_DT;
             }
+        } else {
+            // Legacy timestep: one tick per frame with clamped frame time
+            sim.tick(inputs.next(Math.max(0, Math.min(0.05, frameTime))));
         }
+    }
 
-        // === PIZZA EATING MECHANICS ===
-        for (const p of players) {
-            if (!p.alive) continue;
-
-            const dx = p.x - PIZZA_CENTER.x;
-            const dy = p.y - PIZZA_CENTER.y;
-            const d = Math.hypot(dx, dy);
-
-            // Calculate dynamic player size based on endgame pizza eaten (only active if <=50 players)
-            const pizzaBonus = endgameActive ? Math.floor(p.endgameScore) * 0.5 : 0;  // Reduced from 2 to 0.5
-            const currentPlayerRadius = AVA_R + pizzaBonus;
-
-            // Use same collision zone for both bounce and eating with dynamic player size
-            if (d >= EAT_RADIUS - currentPlayerRadius && d <= EAT_RADIUS + currentPlayerRadius) {
-                // Position player at rim (same as bounce logic)
-                const nx = dx / d;
-                const ny = dy / d;
-                p.x = PIZZA_CENTER.x + nx * (EAT_RADIUS + currentPlayerRadius);
-                p.y = PIZZA_CENTER.y + ny * (EAT_RADIUS + currentPlayerRadius);
-
-                // Bounce off pizza edge (same as collision logic)
-                const vdot = p.vx * nx + p.vy * ny;
-                if (vdot < 0) {
-                    p.vx -= 2 * vdot * nx;
-                    p.vy -= 2 * vdot * ny;
-                }
-
-                // Eat pizza with adaptive scaling
-                if (pizzaHP > 0) {
-                    const aliveAnimatedCount = players.reduce((n, pp) => n + (pp.alive ? 1 : 0), 0);
-
-                    let baseEat = p.eatRate * 0.035;
-
-                    // Crowd-based eating modifier - use INITIAL player count to prevent rate increases
-                    let biteCrowd = 1.0;
-                    if (initialAnimated < 50) {
-                        biteCrowd = Math.max(0.50, initialAnimated / 50);
-                    } else if (initialAnimated > 100) {
-                        // Less aggressive scaling for better timing
-                        const excessPlayers = initialAnimated - 100;
-                        biteCrowd = Math.max(0.08, 0.9 - (excessPlayers / 600));  // Less aggressive (8% minimum)
-                    }
-
-                    let eatAmount = baseEat * eatScale * biteCrowd * globalEatIntensity;  // Apply global eat intensity
-
-                    // Late-game brake for few survivors (based on animated players)
-                    const eatenFrac = clamp((PIZZA_HP_TOTAL - pizzaHP) / PIZZA_HP_TOTAL, 0, 1);
-                    if (eatenFrac > 0.6 && aliveAnimatedCount < 25) {
-                        const scarcity = clamp((25 - aliveAnimatedCount) / 25, 0, 1);
-                        eatAmount *= (1 - 0.45 * scarcity);
-                    }
-
-                    // 🔥 ENDGAME MODERATE SLOWDOWN: Prevent too fast pizza consumption in final phase
-                    if (endgameActive && eatenFrac > 0.85 && pizzaHP < PIZZA_HP_TOTAL * 0.10) {
-                        const finalPhaseSlowdown = Math.max(0.7, 1 - (eatenFrac - 0.85) * 1.5);
-                        eatAmount *= finalPhaseSlowdown;
-                        console.log(`🔥 FINAL PHASE SLOWDOWN: ${finalPhaseSlowdown.toFixed(2)}x, pizzaHP: ${pizzaHP.toFixed(1)}, eatenFrac: ${eatenFrac.toFixed(2)}`);
-                    }
+    /**
+     * Counts the day for the season once the battle is decided, the standings show on the winner screen
+     */
+    function recordSeason() {
+        const nextSeason = recordSeasonDay(season, computePlacements(sim.players, sim.staticDots));
+        seasonStandings = topStandings(nextSeason, SEASON_TABLE_SIZE);
+        saveSeason(nextSeason)
+            .then(onBackend => {
+                console.log(`📅 Season day ${nextSeason.day} saved ${onBackend ? 'on the backend' : 'locally'}`);
+            })
+            .catch(error => {
+                console.error(`❌ Season day ${nextSeason.day} not saved:`, error);
+                showNotice(`❌ Saison-Tag ${nextSeason.day} nicht gespeichert: ${error.message}`);
+            });
+    }
 
-                    if (pizzaHP >= eatAmount) {
-                        p.score += eatAmount;
-                        pizzaHP -= eatAmount;
-
-                        // Track endgame score for size/stat bonuses (only when <=50 players)
-                        if (endgameActive) {
-                            p.endgameScore += eatAmount;
-                        }
-
-                        // ⚡ PIZZA BITE BONUSES (only active during endgame):
-                        if (endgameActive) {
-                            p.atk += ATTACK_BOOST_PER_BITE;  // Attack increase
-                            p.hp += 1;  // HP increase by 1 point per bite
-                            p.def += 0.5;  // Defense increase by 0.5 per bite
-
-                            // Speed increase (higher boost, capped at reasonable limit)
-                            const currentSpeed = Math.hypot(p.vx, p.vy);
-                            if (currentSpeed > 0 && currentSpeed < MAX_SPEED * 1.8) {  // Cap at 180% of MAX_SPEED
-                                const speedBoost = 1.04;  // 4% speed increase per bite
-                                p.vx *= speedBoost;
-                                p.vy *= speedBoost;
-                            }
-                        }
-                    } else {
-                        p.score += pizzaHP;
-
-                        // Track endgame score for size/stat bonuses (only when <=50 players)
-                        if (endgameActive) {
-                            p.endgameScore += pizzaHP;
-                        }
-
-                        // ⚡ PIZZA BITE BONUSES: Even for final bite (only active during endgame)
-                        if (endgameActive) {
-                            p.atk += ATTACK_BOOST_PER_BITE;
-                            p.hp += 1;  // HP increase by 1 point per bite
-                            p.def += 0.5;  // Defense increase by 0.5 per bite
-
-                            // Speed increase for final bite
-                            const currentSpeed = Math.hypot(p.vx, p.vy);
-                            if (currentSpeed > 0 && currentSpeed < MAX_SPEED * 1.8) {
-                                const speedBoost = 1.04;  // 4% speed increase per bite
-                                p.vx *= speedBoost;
-                                p.vy *= speedBoost;
-                            }
-                        }
-                        pizzaHP = 0;
-                    }
-                }
+    /**
+     * Draws the current phase
+     */
+    function drawFrame() {
+        const AVATAR_SIZE = sim.avatarSize;
+        if (phase === 'intro') {
+            // Countdown over the starting positions
+            render(false, AVATAR_SIZE / 2, AVATAR_SIZE, CANVAS_FONT_FAMILY, 0, sim.totalAliveCount);
+            drawIntro(ctx, { time: phaseTime, width: WIDTH, height: HEIGHT, font: CANVAS_FONT_FAMILY, participants, intro });
+        } else if (phase === 'battle') {
+            if (sim.time > 0) {
+                render(sim.gameEnded, AVATAR_SIZE / 2, AVATAR_SIZE, CANVAS_FONT_FAMILY, sim.time, sim.totalAliveCount, sim.gameEndReason);
             }
+            const caption = burnInCaptions ? activeRecorder.captions.activeAt(activeRecorder.time) : null;
+            if (caption) drawCaption(ctx, caption, { width: WIDTH, height: HEIGHT, font: CANVAS_FONT_FAMILY });
+        } else {
+            drawOutro(ctx, { time: phaseTime, width: WIDTH, height: HEIGHT, font: CANVAS_FONT_FAMILY, logo: outroLogo, outro });
         }
     }
 
+    /**
+     * Builds the replay and shows the save dialog once the winner screen is over
+     */
+    function finishBattle() {
+        replayData = buildReplay({
+            seed: SEED,
+            matchId,
+            roster: rosterSnapshot,
+            demoRosterSize,
+            config: { fixedDt: SIM_DT, game: sim.config },
+            inputs,
+            result: { duration: sim.gameEndTime, endReason: sim.gameEndReason },
+            season: seasonInfo
+        });
+
+        // Show save data modal instead of automatically saving
+        showSaveDataModal(sim.time, sim.gameEndReason, sim.players, sim.staticDots);
+    }
+
     /**
      * Renders the complete game state
      * Draws background, pizza, players, HUD, and winner screen
      */
     function render(final, AVA_R, AVATAR_SIZE, FONT, elapsed, aliveCount, endReason = '') {
+        const { players, staticDots, pizzaHP, endgameActive, time, gameEndTime } = sim;
+        const PIZZA_HP_TOTAL = sim.pizzaHPTotal;
+
         drawBackground();
 
         // === STATIC DOTS RENDERING (non-animated players) ===
@@ -818,6 +487,9 @@ export async function startGame(recordingChoice = { recorder: null, type: 'none'
         }        // === PIZZA RENDERING (now in foreground) ===
         drawPizza(ctx, PIZZA_CENTER.x, PIZZA_CENTER.y, EAT_RADIUS, pizzaHP / PIZZA_HP_TOTAL, FONT);
 
+        // === POWER-UPS ===
+        drawPowerUps(time, FONT);
+
         // === ANIMATED PLAYERS RENDERING (with Level-of-Detail) ===
         const alivePlayers = players.filter(p => p.alive);
         const playerCount = alivePlayers.length;
@@ -864,8 +536,9 @@ export async function startGame(recordingChoice = { recorder: null, type: 'none'
                 ctx.arc(0, 0, playerRadius, 0, Math.PI * 2);
                 ctx.clip();
 
-                if (a.img) {
-                    ctx.drawImage(a.img, -playerRadius, -playerRadius, playerSize, playerSize);
+                const img = images.get(a.id);
+                if (img) {
+                    ctx.drawImage(img, -playerRadius, -playerRadius, playerSize, playerSize);
                 } else {
                     // Fallback to colored square with initial and increased size
                     ctx.fillStyle = "#334155";
@@ -879,17 +552,51 @@ export async function startGame(recordingChoice = { recorder: null, type: 'none'
                 ctx.restore();
             }
 
+            // Team-colored ring
+            if (teamColors && a.team) {
+                ctx.strokeStyle = teamColors.get(a.team);
+                ctx.lineWidth = Math.max(2, Math.floor(playerRadius / 6));
+                ctx.beginPath();
+                ctx.arc(0, 0, playerRadius + 3, 0, Math.PI * 2);
+                ctx.stroke();
+            }
+
             // Draw HP ring only during endgame (<=50 players)
             if (endgameActive) {
-                const hpRatio = Math.max(0, a.hp) / 100;
+                const hpRatio = Math.min(1, Math.max(0, a.hp) / a.maxHp);
                 ctx.strokeStyle = hpRatio > 0.5 ? "#41ff9e" : hpRatio > 0.2 ? "#ffc148" : "#ff4d5a";
                 ctx.lineWidth = Math.max(2, Math.floor(playerRadius / 8));  // Scale with player size
                 ctx.beginPath();
                 ctx.arc(0, 0, playerRadius + 10, -Math.PI / 2, -Math.PI / 2 + hpRatio * 2 * Math.PI);
                 ctx.stroke();
+
+                // Remaining shield as a thin outer ring
+                if (a.shield > 0) {
+                    const shieldRatio = Math.min(1, a.shield / a.maxShield);
+                    ctx.strokeStyle = "#5ac8ff";
+                    ctx.lineWidth = Math.max(1, Math.floor(playerRadius / 12));
+                    ctx.beginPath();
+                    ctx.arc(0, 0, playerRadius + 16, -Math.PI / 2, -Math.PI / 2 + shieldRatio * 2 * Math.PI);
+                    ctx.stroke();
+                }
             }
 
             ctx.restore();
+
+            // Icons of active power-ups above the avatar (not rotated)
+            const activeIcons = Object.keys(POWER_UP_TYPES).filter(type => hasPowerUp(a, type, time));
+            if (activeIcons.length > 0) {
+                ctx.font = `${Math.max(14, Math.floor(playerRadius * 0.6))}px ${FONT}`;
+                ctx.textAlign = "center";
+                ctx.textBaseline = "bottom";
+                ctx.fillText(activeIcons.map(type => POWER_UP_TYPES[type].icon).join(''), a.x, a.y - playerRadius - 8);
+                ctx.textBaseline = "alphabetic";
+            }
+        }
+
+        // === SAFE ZONE (storm mode) ===
+        if (sim.zoneRadius !== null) {
+            drawSafeZone(sim.zoneRadius);
         }
 
         // === PERMANENT TEXT BOXES AROUND PIZZA (IN FOREGROUND) ===
@@ -920,7 +627,7 @@ export async function startGame(recordingChoice = { recorder: null, type: 'none'
         ctx.fillStyle = "#fff";
         ctx.textAlign = "center";
         ctx.font = `bold 50px ${FONT}`;
-        ctx.fillText(`1. DAY - (${participants} Players)`, WIDTH / 2, bottomBoxY);        // === LIVE RANKING (During Game) ===
+        ctx.fillText(`${seasonDay}. DAY - (${participants} Players)`, WIDTH / 2, bottomBoxY);        // === LIVE RANKING (During Game) ===
         if (!final) {
             const top3 = players.filter(p => p.alive && p.isAnimated).sort((a, b) => b.score - a.score).slice(0, 3);
 
@@ -954,12 +661,16 @@ export async function startGame(recordingChoice = { recorder: null, type: 'none'
                 ctx.fillText(Math.round(p.score).toString(), marginLeft + boxWidth - 10, y);
                 ctx.textAlign = "left";
             });
+
+            drawKillFeed(time, FONT);
         }
 
         // === WINNER SCREEN ===
         if (final) {
             const aliveNow = players.filter(p => p.alive && p.isAnimated).sort((a, b) => b.score - a.score);
-            const top = aliveNow[0];
+            // Team battles announce the best team and its MVP instead of the top survivor
+            const winningTeam = sim.teamsEnabled ? summarizeTeams(players)[0] : null;
+            const top = winningTeam ? winningTeam.mvp : aliveNow[0];
 
             // Dark overlay - moved down 300px from original position
             const overlayY = HEIGHT * 0.3 + 300;
@@ -968,7 +679,8 @@ export async function startGame(recordingChoice = { recorder: null, type: 'none'
 
             if (top) {
                 // Winner avatar (larger and moved up) - moved down 300px
-                if (top.img) {
+                const topImg = images.get(top.id);
+                if (topImg) {
                     const winnerSize = Math.max(80, Math.floor(AVATAR_SIZE * 1.7));  // Increased from 3/2 to 2.5
                     const wR = winnerSize / 2;
                     const wx = WIDTH / 2;
@@ -983,7 +695,7 @@ export async function startGame(recordingChoice = { recorder: null, type: 'none'
                     ctx.beginPath();
                     ctx.arc(0, 0, wR, 0, Math.PI * 2);
                     ctx.clip();
-                    ctx.drawImage(top.img, -wR, -wR, winnerSize, winnerSize);
+                    ctx.drawImage(topImg, -wR, -wR, winnerSize, winnerSize);
                     ctx.restore();
                 }
 
@@ -991,15 +703,22 @@ export async function startGame(recordingChoice = { recorder: null, type: 'none'
                 ctx.fillStyle = "#ffd700";
                 ctx.textAlign = "center";
                 ctx.font = `bold 64px ${FONT}`;
-                ctx.fillText("🏆 WINNER 🏆", WIDTH / 2, overlayY + 250);  // Moved up from 180
+                if (winningTeam) {
+                    ctx.font = `bold 56px ${FONT}`;
+                    ctx.fillText(`🏆 ${winningTeam.name} WINS 🏆`, WIDTH / 2, overlayY + 250);
+                } else {
+                    ctx.fillText("🏆 WINNER 🏆", WIDTH / 2, overlayY + 250);  // Moved up from 180
+                }
 
                 ctx.fillStyle = "#fff";
                 ctx.font = `bold 48px ${FONT}`;
-                ctx.fillText(top.name, WIDTH / 2, overlayY + 310);  // Moved up from 240
+                ctx.fillText(winningTeam ? `MVP: ${top.name}` : top.name, WIDTH / 2, overlayY + 310);  // Moved up from 240
 
                 ctx.fillStyle = "#41ff9e";
                 ctx.font = `36px ${FONT}`;
-                ctx.fillText(`${Math.round(top.score)} Pizza eaten! 🍕`, WIDTH / 2, overlayY + 360);  // Moved up from 290
+                ctx.fillText(winningTeam
+                    ? `${top.kills} Kills · ${Math.round(top.score)} Pizza eaten! 🍕`
+                    : `${Math.round(top.score)} Pizza eaten! 🍕`, WIDTH / 2, overlayY + 360);  // Moved up from 290
 
                 // Podium - adjusted spacing
                 const medals = ["🥇", "🥈", "🥉"];
@@ -1014,6 +733,11 @@ export async function startGame(recordingChoice = { recorder: null, type: 'none'
                 });
             }
             // Note: "No survivors" case removed - there will always be at least one survivor
+
+            // Season standings below the day banner
+            if (seasonStandings) {
+                drawSeasonStandings(FONT);
+            }
         }
 
         // === PERMANENT INFO BOXES ===
@@ -1067,6 +791,149 @@ export async function startGame(recordingChoice = { recorder: null, type: 'none'
         ctx.restore();
     }
 
+    /**
+     * Draws the season standings after this day's battle
+     */
+    function drawSeasonStandings(FONT) {
+        const boxWidth = 700;
+        const boxX = (WIDTH - boxWidth) / 2;
+        const boxY = PIZZA_CENTER.y + EAT_RADIUS + 420;  // Below the day banner
+        const rowHeight = 40;
+
+        ctx.save();
+        ctx.fillStyle = "rgba(0,0,0,0.9)";
+        ctx.fillRect(boxX - 10, boxY, boxWidth + 20, 90 + seasonStandings.length * rowHeight);
+
+        ctx.fillStyle = "#ffd700";
+        ctx.textAlign = "center";
+        ctx.font = `bold 36px ${FONT}`;
+        ctx.fillText(`📅 SEASON STANDINGS - DAY ${seasonDay}`, WIDTH / 2, boxY + 55);
+
+        ctx.font = `30px ${FONT}`;
+        seasonStandings.forEach((entry, i) => {
+            const y = boxY + 105 + i * rowHeight;
+            const name = entry.username.length > 16 ? entry.username.slice(0, 16) + '…' : entry.username;
+
+            ctx.fillStyle = i === 0 ? "#ffd700" : "#ffffff";
+            ctx.textAlign = "left";
+            ctx.fillText(`${i + 1}. ${name}`, boxX + 20, y);
+
+            ctx.fillStyle = i === 0 ? "#ffd700" : "#41ff9e";
+            ctx.textAlign = "right";
+            ctx.fillText(`${entry.points} P`, boxX + boxWidth - 20, y);
+        });
+        ctx.restore();
+    }
+
+    /**
+     * Draws the power-up items in the arena and an expanding ring where one was just picked up
+     */
+    function drawPowerUps(time, FONT) {
+        ctx.save();
+        ctx.textAlign = "center";
+        ctx.textBaseline = "middle";
+        ctx.font = `${POWER_UP_RADIUS * 1.3}px ${FONT}`;
+
+        for (const item of sim.powerUps) {
+            const { icon, color } = POWER_UP_TYPES[item.type];
+            const y = item.y + Math.sin((time - item.spawnTime) * 4) * 4;  // Gentle bobbing
+
+            ctx.globalAlpha = 0.35;
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.arc(item.x, y, POWER_UP_RADIUS + 6, 0, Math.PI * 2);
+            ctx.fill();
+
+            ctx.globalAlpha = 1;
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 3;
+            ctx.stroke();
+            ctx.fillText(icon, item.x, y);
+        }
+
+        const events = sim.events;
+        for (let i = events.length - 1; i >= 0; i--) {
+            const e = events[i];
+            const age = time - e.time;
+            if (age > PICKUP_FLASH_DURATION) break;
+            if (e.type !== 'powerUp') continue;
+
+            const progress = age / PICKUP_FLASH_DURATION;
+            ctx.globalAlpha = 1 - progress;
+            ctx.strokeStyle = POWER_UP_TYPES[e.powerUp].color;
+            ctx.lineWidth = 4;
+            ctx.beginPath();
+            ctx.arc(e.x, e.y, POWER_UP_RADIUS + progress * 60, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Darkens everything outside the safe zone and outlines its border
+     */
+    function drawSafeZone(radius) {
+        ctx.save();
+
+        ctx.beginPath();
+        ctx.rect(0, 0, WIDTH, HEIGHT);
+        ctx.arc(PIZZA_CENTER.x, PIZZA_CENTER.y, radius, 0, Math.PI * 2);
+        ctx.fillStyle = "rgba(40,0,70,0.45)";
+        ctx.fill('evenodd');
+
+        ctx.beginPath();
+        ctx.arc(PIZZA_CENTER.x, PIZZA_CENTER.y, radius, 0, Math.PI * 2);
+        ctx.strokeStyle = "#b56cff";
+        ctx.lineWidth = 6;
+        ctx.stroke();
+
+        ctx.restore();
+    }
+
+    /**
+     * Draws the latest eliminations in the top right corner
+     * Entries fade out during their last second
+     */
+    function drawKillFeed(time, FONT) {
+        const recent = [];
+        const events = sim.events;
+        for (let i = events.length - 1; i >= 0 && recent.length < KILL_FEED_SIZE; i--) {
+            const e = events[i];
+            if (time - e.time > KILL_FEED_DURATION) break;
+            if (e.type === 'elimination') recent.push(e);
+        }
+        if (recent.length === 0) return;
+
+        const short = name => (name.length > 10 ? name.slice(0, 10) + '…' : name);
+        const right = WIDTH - 30;
+        const rowHeight = 44;
+        const top = 190;
+
+        ctx.save();
+        ctx.font = `26px ${FONT}`;
+        ctx.textAlign = "right";
+        ctx.textBaseline = "middle";
+
+        recent.forEach((e, i) => {
+            const y = top + i * rowHeight;
+            const text = e.attackerName
+                ? `${short(e.attackerName)} ⚔️ ${short(e.victimName)}`
+                : `${e.cause === 'storm' ? '🌀' : '💀'} ${short(e.victimName)}`;
+
+            const textWidth = ctx.measureText(text).width;
+
+            ctx.globalAlpha = clamp(KILL_FEED_DURATION - (time - e.time), 0, 1);
+            ctx.fillStyle = "rgba(0,0,0,0.9)";
+            ctx.fillRect(right - textWidth - 20, y, textWidth + 40, rowHeight - 6);
+
+            ctx.fillStyle = "#fff";
+            ctx.fillText(text, right, y + (rowHeight - 6) / 2);
+        });
+
+        ctx.restore();
+    }
+
     /**
      * Draws the background gradient
      */
@@ -1083,7 +950,7 @@ export async function startGame(recordingChoice = { recorder: null, type: 'none'
      * Only shows animated players since static dots don't have scores
      */
     function updateRanking() {
-        const list = players
+        const list = sim.players
             .filter(p => p.alive && p.isAnimated)  // Only animated players
             .sort((a, b) => b.score - a.score)
             .slice(0, 10);
@@ -1131,77 +998,58 @@ export async function startGame(recordingChoice = { recorder: null, type: 'none'
     }
 
     /**
-     * Saves game session data to the database
+     * Saves game session data to the database, failed saves go to the outbox (session-outbox.js)
+     * @returns {Promise<Object>} { saved: true, gameSessionId } or { saved: false, error, outboxId, status }
+     * @throws {Error} If the session could neither be saved nor queued
      */
     async function saveGameSession(gameDuration, endReason, allPlayers, allStaticDots) {
-        try {
-            console.log('💾 Saving game session data...');
-
-            // Get winner (player with highest score among alive players)
-            const alivePlayers = allPlayers.filter(p => p.alive);
-            const winner = alivePlayers.length > 0
-                ? alivePlayers.reduce((max, p) => p.score > max.score ? p : max)
-                : null;
-
-            // Prepare player stats for all players (animated ones)
-            const playerStats = allPlayers.map((player, index) => ({
-                igUserId: player.id, // player.id contains the igUserId
-                username: player.name,
-                pizzasEaten: Math.round(player.score * 100) / 100, // Round to 2 decimal places
-                survived: player.alive,
-                finalRank: player.alive ? (index + 1) : null // Simple ranking based on array order
-            }));
-
-            // Count total and survived players (including static dots)
-            const totalPlayers = allPlayers.length + allStaticDots.length;
-            const survivedPlayers = alivePlayers.length + allStaticDots.filter(d => d.alive).length;
-
-            const gameData = {
-                duration: Math.round(gameDuration), // Duration in seconds
-                winnerId: winner?.id || null, // winner.id contains the igUserId
-                winnerUsername: winner?.name || null,
-                winningReason: endReason,
-                totalPlayers: totalPlayers,
-                survivedPlayers: survivedPlayers,
-                playerStats: playerStats
-            };
+        console.log('💾 Saving game session data...');
 
-            console.log('📊 Game data:', gameData);
+        // Rank every participant (animated players and static dots), the winner is placement 1
+        const placements = computePlacements(allPlayers, allStaticDots);
+        const alivePlayers = allPlayers.filter(p => p.alive);
+        const winner = placements[0]?.survived ? placements[0] : null;
+
+        // Prepare player stats for all participants
+        const playerStats = placements.map(placement => ({
+            igUserId: placement.id, // placement.id contains the igUserId
+            username: placement.name,
+            pizzasEaten: Math.round(placement.score * 100) / 100, // Round to 2 decimal places
+            survived: placement.survived,
+            team: placement.team,
+            kills: placement.kills,
+            eliminatedBy: placement.eliminatedBy,
+            finalRank: placement.rank
+        }));
 
-            // Create new match via backend API first (optional)
-            try {
-                const matchRes = await fetch('http://localhost:4000/api/matches', {
-                    method: 'POST'
-                });
+        // Count total and survived players (including static dots)
+        const totalPlayers = allPlayers.length + allStaticDots.length;
+        const survivedPlayers = alivePlayers.length + allStaticDots.filter(d => d.alive).length;
 
-                if (matchRes.ok) {
-                    console.log('✅ Match created for game session');
-                } else {
-                    console.warn('⚠️ Match creation failed, but continuing with game session save');
-                }
-            } catch (apiError) {
-                console.warn('⚠️ Match API unavailable, but continuing with game session save');
-            }
+        const gameData = {
+            matchId,  // Local match ids are resolved when the session is sent
+            seed: SEED,
+            duration: Math.round(gameDuration), // Duration in seconds
+            winnerId: winner?.id || null, // winner.id contains the igUserId
+            winnerUsername: winner?.name || null,
+            winningTeam: sim.teamsEnabled ? summarizeTeams(allPlayers)[0]?.name ?? null : null,
+            winningReason: endReason,
+            totalPlayers: totalPlayers,
+            survivedPlayers: survivedPlayers,
+            playerStats: playerStats
+        };
 
-            // Send to backend
-            const response = await fetch('http://localhost:4000/api/game-sessions', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(gameData)
-            });
+        console.log('📊 Game data:', gameData);
 
-            if (response.ok) {
-                const result = await response.json();
-                console.log('✅ Game session saved:', result.gameSessionId);
-            } else {
-                console.error('❌ Failed to save game session:', response.status);
-            }
-
-        } catch (error) {
-            console.error('❌ Error saving game session:', error);
+        // Send to backend (queued in the outbox if that fails)
+        const outcome = await saveGameSessionWithOutbox(gameData);
+        if (outcome.saved) {
+            gameSessionId = outcome.gameSessionId;
+            console.log('✅ Game session saved:', gameSessionId);
+        } else {
+            gameSessionOutboxId = outcome.outboxId;
         }
+        return outcome;
     }
 
     /**
@@ -1224,15 +1072,17 @@ export async function startGame(recordingChoice = { recorder: null, type: 'none'
             font-family: "GT Maru Medium", system-ui, Arial;
         `;
 
-        // Get winner info for display
+        // Get winner info for display (same placement as the saved session)
         const alivePlayers = allPlayers.filter(p => p.alive);
-        const winner = alivePlayers.length > 0
-            ? alivePlayers.reduce((max, p) => p.score > max.score ? p : max)
-            : null;
+        const firstPlace = computePlacements(allPlayers, allStaticDots)[0];
+        const winner = firstPlace?.survived ? firstPlace : null;
 
         const totalPlayers = allPlayers.length + allStaticDots.length;
         const survivedPlayers = alivePlayers.length + allStaticDots.filter(d => d.alive).length;
 
+        const winningTeam = sim.teamsEnabled ? summarizeTeams(allPlayers)[0] : null;
+        const topKiller = allPlayers.reduce((best, p) => (p.kills > (best ? best.kills : 0) ? p : best), null);
+
         // Create modal panel
         const panel = document.createElement('div');
         panel.style.cssText = `
@@ -1251,20 +1101,29 @@ export async function startGame(recordingChoice = { recorder: null, type: 'none'
             
             <div style="text-align: left; margin: 20px 0; padding: 20px; background: #2a2a2a; border-radius: 8px;">
                 <h4 style="margin-top: 0; color: #ffd700;">📊 Spiel-Statistiken</h4>
-                <p><strong>Gewinner:</strong> ${winner ? winner.name : 'Keiner'}</p>
+                <p><strong>Gewinner:</strong> <span data-field="winner"></span></p>
+                ${winningTeam ? '<p><strong>🏅 Gewinner-Team:</strong> <span data-field="winning-team"></span></p>' : ''}
                 <p><strong>Grund:</strong> ${endReason}</p>
                 <p><strong>Dauer:</strong> ${Math.round(gameDuration)}s</p>
                 <p><strong>Spieler:</strong> ${totalPlayers} (${survivedPlayers} überlebt)</p>
                 ${winner ? `<p><strong>🍕 Pizzas gegessen:</strong> ${Math.round(winner.score * 100) / 100}</p>` : ''}
+                ${topKiller ? '<p><strong>⚔️ Meiste Eliminierungen:</strong> <span data-field="top-killer"></span></p>' : ''}
             </div>
             
+            ${replay ? `
+            <p style="margin: 20px 0; color: #ccc;">
+                Replay von Seed ${SEED} beendet.<br>
+                <small>Replays werden nicht erneut in der Datenbank gespeichert.</small>
+            </p>
+            ` : `
             <p style="margin: 20px 0; color: #ccc;">
                 Möchten Sie die Spieldaten in der Datenbank speichern?<br>
                 <small>Dies wird die Pizza-Statistiken für alle überlebenden Spieler aktualisieren.</small>
             </p>
+            `}
             
             <div style="display: flex; gap: 15px; justify-content: center; margin-top: 20px;">
-                <button id="save-data" style="
+                ${replay ? '' : `<button id="save-data" style="
                     padding: 15px 25px;
                     background: linear-gradient(45deg, #4CAF50, #45a049);
                     color: white;
@@ -1275,6 +1134,19 @@ export async function startGame(recordingChoice = { recorder: null, type: 'none'
                     transition: all 0.3s;
                 ">
                     💾 Daten speichern
+                </button>`}
+                
+                <button id="export-replay" style="
+                    padding: 15px 25px;
+                    background: #4444ff;
+                    color: white;
+                    border: none;
+                    border-radius: 8px;
+                    font-size: 16px;
+                    cursor: pointer;
+                    transition: all 0.3s;
+                ">
+                    📼 Replay exportieren
                 </button>
                 
                 <button id="skip-save" style="
@@ -1287,38 +1159,68 @@ export async function startGame(recordingChoice = { recorder: null, type: 'none'
                     cursor: pointer;
                     transition: all 0.3s;
                 ">
-                    ⏭️ Überspringen
+                    ${replay ? '✕ Schließen' : '⏭️ Überspringen'}
                 </button>
             </div>
             
             <div id="save-status" style="margin-top: 20px; color: #ffd700; font-weight: bold;"></div>
         `;
 
+        // Player and team names are user content (team names are free text from the import page)
+        panel.querySelector('[data-field="winner"]').textContent = winner ? winner.name : 'Keiner';
+        if (winningTeam) {
+            panel.querySelector('[data-field="winning-team"]').textContent = `${winningTeam.name} (MVP: ${winningTeam.mvp.name})`;
+        }
+        if (topKiller) {
+            panel.querySelector('[data-field="top-killer"]').textContent = `${topKiller.name} (${topKiller.kills})`;
+        }
+
         modal.appendChild(panel);
         document.body.appendChild(modal);
 
         const statusDiv = panel.querySelector('#save-status');
 
-        // Save Data Button
-        panel.querySelector('#save-data').onclick = async () => {
-            statusDiv.textContent = '💾 Speichere Daten...';
+        // Replay Export Button - keeps the modal open so the data can still be saved
+        panel.querySelector('#export-replay').onclick = () => {
+            downloadReplay(replayData);
+        };
 
-            try {
-                await saveGameSession(gameDuration, endReason, allPlayers, allStaticDots);
-                statusDiv.textContent = '✅ Daten erfolgreich gespeichert!';
-                statusDiv.style.color = '#4CAF50';
+        // Save Data Button (not offered for replays)
+        const saveButton = panel.querySelector('#save-data');
+        if (saveButton) {
+            saveButton.onclick = async () => {
+                statusDiv.textContent = '💾 Speichere Daten...';
+                saveButton.disabled = true;
+
+                try {
+                    const outcome = await saveGameSession(gameDuration, endReason, allPlayers, allStaticDots);
+                    if (outcome.saved) {
+                        statusDiv.textContent = '✅ Daten erfolgreich gespeichert!';
+                        statusDiv.style.color = '#4CAF50';
+                    } else if (outcome.status === 'rejected') {
+                        // Rejected entries are only retried by hand
+                        statusDiv.textContent = `❌ Vom Backend abgelehnt (${outcome.error.message}). ` +
+                            'Die Daten liegen im Postausgang – im Admin Panel erneut senden.';
+                        statusDiv.style.color = '#ff6b6b';
+                    } else {
+                        statusDiv.textContent = `⚠️ Nicht gespeichert (${outcome.error.message}). ` +
+                            'Die Daten liegen im Postausgang und werden automatisch nachgesendet (siehe Admin Panel).';
+                        statusDiv.style.color = '#ffd700';
+                    }
 
-                // Auto-close after success
-                setTimeout(() => {
-                    finishGameCleanup();
-                    document.body.removeChild(modal);
-                }, 2000);
+                    // Auto-close, a queued save stays readable a bit longer
+                    setTimeout(() => {
+                        finishGameCleanup();
+                        document.body.removeChild(modal);
+                    }, outcome.saved ? 2000 : 5000);
 
-            } catch (error) {
-                statusDiv.textContent = '❌ Fehler beim Speichern: ' + error.message;
-                statusDiv.style.color = '#ff6b6b';
-            }
-        };
+                } catch (error) {
+                    statusDiv.textContent = '❌ Fehler beim Speichern: ' + error.message;
+                    statusDiv.style.color = '#ff6b6b';
+                    saveButton.disabled = false;
+                }
+            };
+        }
 
         // Skip Save Button
         panel.querySelector('#skip-save').onclick = () => {
@@ -1343,20 +1245,23 @@ export async function startGame(recordingChoice = { recorder: null, type: 'none'
      * Finishes game cleanup (recording, etc.)
      */
     function finishGameCleanup() {
-        // Stop active recording
+        // Stop active recording, download and preview the video
         if (activeRecorder) {
-            if (recordingChoice.type === 'canvas') {
-                activeRecorder.stop();
-            }
+            const firstPlace = computePlacements(sim.players, sim.staticDots)[0];
+            finishRecording(activeRecorder, {
+                winner: firstPlace?.survived ? firstPlace.name : null,
+                players: participants,
+                seed: SEED,
+                gameSessionId,
+                outboxId: gameSessionOutboxId,
+                thumbnail,
+                outroDuration: outro.enabled ? outro.duration : 0
+            });
 
             // Remove recording indicator
             if (recordingIndicator) {
                 document.body.removeChild(recordingIndicator);
             }
-        } else if (fallbackRecorder) {
-            // Stop fallback recorder only if it exists
-            try { fallbackRecorder.requestData(); } catch (e) { }
-            fallbackRecorder.stop();
         }
     }
 }
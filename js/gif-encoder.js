@@ -0,0 +1,222 @@
+/**
+ * Pizza Royale - GIF Encoder
+ * Writes RGBA frames into a looping GIF89a, every frame with its own median-cut palette
+ */
+
+const MAX_SAMPLES = 20000;  // Pixels sampled per frame to build the palette
+const MAX_CODE_SIZE = 12;   // LZW code size limit of the GIF format
+
+/**
+ * Creates a GIF encoder
+ * @param {Object} options - Animation options
+ * @param {number} options.width - Frame width in pixels
+ * @param {number} options.height - Frame height in pixels
+ * @param {number} options.fps - Frame rate (GIF delays are rounded to 1/100 s without drifting)
+ * @param {number} [options.colors] - Palette size per frame (2-256, rounded up to a power of two)
+ * @returns {Object} Encoder with addFrame() and finish()
+ */
+export function createGifEncoder({ width, height, fps, colors = 256 }) {
+    const paletteBits = Math.max(1, Math.min(8, Math.ceil(Math.log2(colors))));
+    const parts = [header(width, height)];
+    let frameCount = 0;
+
+    return {
+        /**
+         * Quantizes and appends a frame
+         * @param {Uint8ClampedArray} rgba - Pixels of the frame (ImageData.data)
+         */
+        addFrame(rgba) {
+            const palette = medianCut(rgba, 1 << paletteBits);
+            const indices = mapToPalette(rgba, palette);
+
+            // Delay in 1/100 s, distributed so the total length matches the frame rate
+            const delay = Math.round((frameCount + 1) * 100 / fps) - Math.round(frameCount * 100 / fps);
+            frameCount++;
+
+            const colorTable = new Uint8Array(3 << paletteBits);
+            palette.forEach((color, i) => colorTable.set(color, i * 3));
+
+            parts.push(
+                new Uint8Array([0x21, 0xf9, 0x04, 0x00, delay & 0xff, delay >> 8, 0x00, 0x00]),   // Graphic control
+                new Uint8Array([0x2c, 0, 0, 0, 0, width & 0xff, width >> 8, height & 0xff, height >> 8,
+                    0x80 | (paletteBits - 1)]),                                                 // Image descriptor
+                colorTable,
+                lzwEncode(indices, Math.max(2, paletteBits))
+            );
+        },
+
+        get frameCount() {
+            return frameCount;
+        },
+
+        /**
+         * Builds the GIF file
+         * @returns {Blob} image/gif file
+         * @throws {Error} If no frames were added
+         */
+        finish() {
+            if (frameCount === 0) throw new Error('No frames to encode');
+            return new Blob([...parts, new Uint8Array([0x3b])], { type: 'image/gif' });
+        }
+    };
+}
+
+function header(width, height) {
+    const netscapeLoop = [0x21, 0xff, 0x0b, ...'NETSCAPE2.0'].map(v => typeof v === 'string' ? v.charCodeAt(0) : v);
+    return new Uint8Array([
+        ...'GIF89a'.split('').map(c => c.charCodeAt(0)),
+        width & 0xff, width >> 8, height & 0xff, height >> 8,
+        0x00, 0x00, 0x00,                   // No global color table, every frame has its own
+        ...netscapeLoop, 0x03, 0x01, 0x00, 0x00, 0x00  // Loop forever
+    ]);
+}
+
+/**
+ * Builds a palette by splitting the color space at the median of the widest channel
+ * @param {Uint8ClampedArray} rgba - Pixels
+ * @param {number} size - Maximum number of colors
+ * @returns {Array<Array<number>>} [r, g, b] colors
+ */
+function medianCut(rgba, size) {
+    const pixelCount = rgba.length / 4;
+    const step = Math.max(1, Math.floor(pixelCount / MAX_SAMPLES));
+    const samples = [];
+    for (let i = 0; i < pixelCount; i += step) {
+        samples.push([rgba[i * 4], rgba[i * 4 + 1], rgba[i * 4 + 2]]);
+    }
+
+    const boxes = [samples];
+    while (boxes.length < size) {
+        // Split the box with the widest channel range
+        let best = null;
+        for (const box of boxes) {
+            if (box.length < 2) continue;
+            const { channel, range } = widestChannel(box);
+            if (range > 0 && (!best || range > best.range)) best = { box, channel, range };
+        }
+        if (!best) break;
+
+        const { box, channel } = best;
+        box.sort((a, b) => a[channel] - b[channel]);
+        const middle = box.length >> 1;
+        boxes.splice(boxes.indexOf(box), 1, box.slice(0, middle), box.slice(middle));
+    }
+
+    return boxes.map(box => [0, 1, 2].map(channel => Math.round(box.reduce((sum, c) => sum + c[channel], 0) / box.length)));
+}
+
+function widestChannel(box) {
+    let channel = 0;
+    let range = -1;
+    for (let c = 0; c < 3; c++) {
+        let min = 255;
+        let max = 0;
+        for (const color of box) {
+            if (color[c] < min) min = color[c];
+            if (color[c] > max) max = color[c];
+        }
+        if (max - min > range) {
+            range = max - min;
+            channel = c;
+        }
+    }
+    return { channel, range };
+}
+
+/**
+ * Maps every pixel to its nearest palette color (cached per 15-bit color)
+ * @param {Uint8ClampedArray} rgba - Pixels
+ * @param {Array<Array<number>>} palette - Colors from medianCut()
+ * @returns {Uint8Array} Palette index per pixel
+ */
+function mapToPalette(rgba, palette) {
+    const cache = new Int16Array(32768).fill(-1);
+    const indices = new Uint8Array(rgba.length / 4);
+
+    for (let i = 0; i < indices.length; i++) {
+        const r = rgba[i * 4];
+        const g = rgba[i * 4 + 1];
+        const b = rgba[i * 4 + 2];
+        const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+
+        let index = cache[key];
+        if (index < 0) {
+            let bestDistance = Infinity;
+            for (let p = 0; p < palette.length; p++) {
+                const [pr, pg, pb] = palette[p];
+                const distance = (r - pr) ** 2 + (g - pg) ** 2 + (b - pb) ** 2;
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    index = p;
+                }
+            }
+            cache[key] = index;
+        }
+        indices[i] = index;
+    }
+    return indices;
+}
+
+/**
+ * Compresses palette indices with GIF LZW, split into data sub-blocks
+ * @param {Uint8Array} indices - Palette index per pixel
+ * @param {number} minCodeSize - LZW minimum code size (palette bits, at least 2)
+ * @returns {Uint8Array} Minimum code size byte, sub-blocks and block terminator
+ */
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const bytes = [];
+    let bitBuffer = 0;
+    let bitCount = 0;
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let dictionary = new Map();
+
+    const write = code => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            bytes.push(bitBuffer & 0xff);
+            bitBuffer >>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    write(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const index = indices[i];
+        const key = (prefix << 8) | index;
+        const code = dictionary.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        write(prefix);
+        if (nextCode < (1 << MAX_CODE_SIZE)) {
+            dictionary.set(key, nextCode++);
+            if (nextCode > (1 << codeSize) && codeSize < MAX_CODE_SIZE) codeSize++;
+        } else {
+            // Dictionary full: start over
+            write(clearCode);
+            dictionary = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        }
+        prefix = index;
+    }
+    write(prefix);
+    write(endCode);
+    if (bitCount > 0) bytes.push(bitBuffer & 0xff);
+
+    // Sub-blocks of at most 255 bytes
+    const output = [minCodeSize];
+    for (let i = 0; i < bytes.length; i += 255) {
+        const block = bytes.slice(i, i + 255);
+        output.push(block.length, ...block);
+    }
+    output.push(0x00);
+    return new Uint8Array(output);
+}
@@ -0,0 +1,116 @@
+/**
+ * Pizza Royale - Matches
+ * Every battle is a match created on the backend before it starts, the match seed drives the game RNG
+ * Without backend a local match record is used and synced once the backend is reachable again
+ */
+
+import { apiPost } from './api-client.js';
+
+const LOCAL_MATCHES_STORAGE_KEY = 'pizzaRoyale.localMatches';
+const MAX_LOCAL_MATCHES = 100;  // Synced records are kept to map local ids until this many are stored
+
+let syncPromise = null;
+
+/**
+ * Creates the match for a new battle
+ * @param {Object} [options]
+ * @param {number} [options.seed] - Requested seed (e.g. to re-run a battle), default: chosen by the backend
+ * @returns {Promise<Object>} Match { id, seed, startedAt, local } - local is true for an offline record
+ */
+export async function createMatch({ seed } = {}) {
+    try {
+        const match = await apiPost('/api/matches', seed === undefined ? undefined : { seed });
+        if (match?.id === undefined || match.id === null || !Number.isFinite(match.seed)) {
+            throw new Error('Antwort enthält keine Match-ID bzw. keinen Seed');
+        }
+        if (seed !== undefined && match.seed !== seed) {
+            console.warn(`⚠️ Backend ignored the requested seed ${seed}, match ${match.id} uses seed ${match.seed}`);
+        }
+        console.log(`🎲 Match ${match.id} created (seed ${match.seed})`);
+        syncLocalMatches();  // The backend is reachable, catch up on offline matches
+        return { id: String(match.id), seed: match.seed, startedAt: match.startedAt ?? new Date().toISOString(), local: false };
+    } catch (error) {
+        const match = {
+            id: `local-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            seed: seed ?? Date.now() % 1e9,
+            startedAt: new Date().toISOString(),
+            local: true
+        };
+        console.warn(`⚠️ Match API unavailable (${error.message}), using local match ${match.id}`);
+        saveLocalMatches([...loadLocalMatches(), { id: match.id, seed: match.seed, startedAt: match.startedAt, serverId: null }]);
+        return match;
+    }
+}
+
+/**
+ * Creates the backend matches of all local match records that are not synced yet
+ * The local seed and start time are sent along, so the backend match describes the battle that was played.
+ * @returns {Promise<number>} Number of matches synced by this call
+ */
+export function syncLocalMatches() {
+    if (!syncPromise) {
+        syncPromise = syncPending().finally(() => { syncPromise = null; });
+    }
+    return syncPromise;
+}
+
+/**
+ * Returns the backend id of a match, syncing it first if it is a local record
+ * @param {string} matchId - Backend or local match id
+ * @returns {Promise<string>} Backend id, the local id if the backend is still unavailable
+ */
+export async function resolveMatchId(matchId) {
+    if (!isLocalMatchId(matchId)) return matchId;
+
+    await syncLocalMatches();
+    return loadLocalMatches().find(record => record.id === matchId)?.serverId ?? matchId;
+}
+
+/**
+ * Checks if a match id belongs to a local record
+ * @param {string} matchId - Match id
+ * @returns {boolean} True for ids created by createMatch() without backend
+ */
+export function isLocalMatchId(matchId) {
+    return typeof matchId === 'string' && matchId.startsWith('local-');
+}
+
+async function syncPending() {
+    let synced = 0;
+    for (const record of loadLocalMatches().filter(record => !record.serverId)) {
+        try {
+            const match = await apiPost('/api/matches', { seed: record.seed, startedAt: record.startedAt, localId: record.id });
+            if (match?.id === undefined || match.id === null) throw new Error('Antwort enthält keine Match-ID');
+
+            // Re-read, createMatch() may have added a record meanwhile
+            saveLocalMatches(loadLocalMatches().map(entry =>
+                entry.id === record.id ? { ...entry, serverId: String(match.id) } : entry));
+            synced++;
+            console.log(`🔄 Local match ${record.id} synced as match ${match.id}`);
+        } catch (error) {
+            console.warn(`Local match ${record.id} not synced yet:`, error.message);
+            break;
+        }
+    }
+    return synced;
+}
+
+function loadLocalMatches() {
+    try {
+        const records = JSON.parse(localStorage.getItem(LOCAL_MATCHES_STORAGE_KEY));
+        return Array.isArray(records) ? records : [];
+    } catch (e) {
+        console.warn('Failed to load local matches:', e);
+        return [];
+    }
+}
+
+function saveLocalMatches(records) {
+    // Drop the oldest synced records, unsynced ones are kept until they reach the backend
+    const kept = [...records];
+    for (let i = 0; kept.length > MAX_LOCAL_MATCHES && i < kept.length;) {
+        if (kept[i].serverId) kept.splice(i, 1);
+        else i++;
+    }
+    localStorage.setItem(LOCAL_MATCHES_STORAGE_KEY, JSON.stringify(kept));
+}
@@ -4,14 +4,57 @@
  */
 
 import { setupRecordingChoice } from './recording-setup.js';
+import { readReplayFile } from './replay.js';
+import {
+    GAME_PRESETS, GAME_MODES, TEAM_MODES, resolveGameConfig, validateGameConfig, loadGameSettings, saveGameSettings,
+    formatAvatarSizeLadder, parseAvatarSizeLadder
+} from './game-config.js';
+import { resetSeason } from './season.js';
+import { showVideoGallery } from './video-gallery.js';
+import { apiGet, apiDelete, getStoredApiBaseUrl, setApiBaseUrl, DEFAULT_API_BASE_URL } from './api-client.js';
+import { isDemoMode, setDemoMode } from './mock-backend.js';
+import { OUTBOX_STATUS, listOutbox, retryOutboxEntry, discardOutboxEntry, flushOutbox } from './session-outbox.js';
+
+// Editable numeric game config values shown in the settings panel (key path → label)
+const SETTINGS_FIELDS = [
+    { path: 'duration.min', label: 'Spieldauer Min (s)' },
+    { path: 'duration.target', label: 'Spieldauer Ziel (s)' },
+    { path: 'duration.max', label: 'Spieldauer Max (s)' },
+    { path: 'maxSpeed', label: 'Max. Geschwindigkeit' },
+    { path: 'eatRadius', label: 'Pizza-Radius (px)' },
+    { path: 'cullDuration', label: 'Punkte-Ausdünnung (s)' },
+    { path: 'attackBoostPerBite', label: 'Angriff pro Bissen' },
+    { path: 'endgameThreshold', label: 'Endgame ab Spielern' },
+    { path: 'winnerDisplayTime', label: 'Gewinner-Anzeige (s)' },
+    { path: 'storm.finalRadius', label: 'Safe-Zone Endradius (px)' },
+    { path: 'storm.damagePerSecond', label: 'Sturm-Schaden pro s' },
+    { path: 'powerUps.maxActive', label: 'Power-ups gleichzeitig (0 = aus)' },
+    { path: 'powerUps.spawnInterval', label: 'Power-up Intervall (s)' },
+    { path: 'powerUps.effectDuration', label: 'Power-up Wirkdauer (s)' },
+    { path: 'teams.count', label: 'Anzahl Teams (zufällig)' },
+    { path: 'season.carryOverBonus', label: 'Saison-Bonus Überlebende (HP)' },
+    { path: 'outro.duration', label: 'Outro-Dauer (s)' }
+];
+
+// Editable texts of the intro and outro cards (key path → label)
+const CARD_TEXT_FIELDS = [
+    { path: 'intro.fightText', label: 'Intro-Text nach dem Countdown' },
+    { path: 'intro.countText', label: 'Intro-Teilnehmerzeile ({count} = Anzahl)' },
+    { path: 'outro.headline', label: 'Outro-Überschrift' },
+    { path: 'outro.handle', label: 'Outro-Handle (z.B. @pizzabytefight)' },
+    { path: 'outro.logoUrl', label: 'Outro-Logo (Bild-URL, leer = kein Logo)' }
+];
 
 /**
  * Initializes the main menu functionality
- * Sets up event listeners for start game, import, and admin buttons
+ * Sets up event listeners for start game, replay, settings, video library, import, and admin buttons
  */
 export function initializeMenu() {
     const mainMenu = document.getElementById('main-menu');
     const startBtn = document.getElementById('startFightBtn');
+    const replayBtn = document.getElementById('replayBtn');
+    const settingsBtn = document.getElementById('settingsBtn');
+    const libraryBtn = document.getElementById('libraryBtn');
     const importBtn = document.getElementById('importBtn');
     const adminBtn = document.getElementById('adminBtn');
 
@@ -25,33 +68,425 @@ export function initializeMenu() {
         showAdminPanel();
     };
 
+    // Settings Button - Shows game preset selection and editing
+    settingsBtn.onclick = () => {
+        showSettingsPanel();
+    };
+
+    // Library Button - Shows the recorded battles
+    libraryBtn.onclick = () => {
+        showVideoGallery();
+    };
+
     // Start Game Button - Shows recording setup before starting game
-    startBtn.onclick = async () => {
-        try {
-            // Hide main menu
-            mainMenu.style.display = 'none';
-
-            // Get canvas element for recording setup
-            const canvas = document.getElementById('game');
-
-            // Show recording choice dialog and wait for user selection
-            const recordingChoice = await setupRecordingChoice(canvas);
-
-            if (recordingChoice.ready) {
-                // Start the game with selected recording option
-                const { startGameWithRecording } = await import('./game.js');
-                await startGameWithRecording(recordingChoice);
-            } else {
-                // User cancelled or setup failed, return to menu
-                mainMenu.style.display = 'flex';
+    startBtn.onclick = () => launchGame(mainMenu);
+
+    // Replay Button - Loads an exported replay file and re-runs that battle
+    replayBtn.onclick = () => {
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json,application/json';
+
+        fileInput.onchange = async () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+
+            try {
+                const replay = await readReplayFile(file);
+                await launchGame(mainMenu, { replay });
+            } catch (error) {
+                console.error('Error loading replay:', error);
+                alert('Fehler beim Laden des Replays: ' + error.message);
             }
+        };
 
-        } catch (error) {
-            console.error('Error in game startup:', error);
-            alert('Fehler beim Starten des Spiels: ' + error.message);
+        fileInput.click();
+    };
+}
+
+/**
+ * Shows the recording setup and starts the game
+ * @param {HTMLElement} mainMenu - Main menu overlay to hide while playing
+ * @param {Object} options - Game options passed to startGame()
+ */
+async function launchGame(mainMenu, options = {}) {
+    try {
+        // Hide main menu
+        mainMenu.style.display = 'none';
+
+        // Get canvas element for recording setup
+        const canvas = document.getElementById('game');
+
+        // Show recording choice dialog and wait for user selection
+        const recordingChoice = await setupRecordingChoice(canvas);
+
+        if (recordingChoice.ready) {
+            // Start the game with selected recording option
+            // New battles use the persisted settings, replays bring their own config
+            const { startGameWithRecording } = await import('./game.js');
+            await startGameWithRecording(recordingChoice, { config: loadGameSettings().config, ...options });
+        } else {
+            // User cancelled or setup failed, return to menu
             mainMenu.style.display = 'flex';
         }
+
+    } catch (error) {
+        console.error('Error in game startup:', error);
+        alert('Fehler beim Starten des Spiels: ' + error.message);
+        mainMenu.style.display = 'flex';
+    }
+}
+
+/**
+ * Shows the settings panel to pick, edit and persist a game preset
+ */
+function showSettingsPanel() {
+    const settings = loadGameSettings();
+
+    // Create settings modal
+    const modal = document.createElement('div');
+    modal.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 0, 0, 0.9);
+        display: flex;
+        justify-content: center;
+        align-items: center;
+        z-index: 10000;
+        font-family: "GT Maru Medium", system-ui, Arial;
+    `;
+
+    const panel = document.createElement('div');
+    panel.style.cssText = `
+        background: #1a1a1a;
+        color: white;
+        padding: 40px;
+        border-radius: 15px;
+        text-align: center;
+        max-width: 600px;
+        width: 90%;
+        max-height: 90vh;
+        overflow-y: auto;
+        box-shadow: 0 10px 30px rgba(0, 0, 0, 0.5);
+    `;
+
+    const inputStyle = `
+        width: 100%;
+        box-sizing: border-box;
+        padding: 8px;
+        background: #333;
+        color: white;
+        border: 1px solid #555;
+        border-radius: 5px;
+        font-size: 14px;
+    `;
+
+    panel.innerHTML = `
+        <h2 style="margin-bottom: 20px; color: #ffd700;">⚙️ Spiel-Einstellungen</h2>
+
+        <div style="text-align: left; margin: 20px 0; padding: 20px; background: #2a2a2a; border-radius: 8px;">
+            <label style="display: block; margin-bottom: 15px;">
+                <strong>Preset</strong>
+                <select id="settings-preset" style="${inputStyle} margin-top: 5px;">
+                    ${Object.entries(GAME_PRESETS).map(([id, preset]) => `
+                        <option value="${id}" ${id === settings.presetId ? 'selected' : ''}>${preset.name}</option>
+                    `).join('')}
+                </select>
+            </label>
+
+            <label style="display: block; margin-bottom: 15px;">
+                <strong>Modus</strong>
+                <select id="settings-mode" style="${inputStyle} margin-top: 5px;">
+                    ${Object.entries(GAME_MODES).map(([id, name]) => `
+                        <option value="${id}">${name}</option>
+                    `).join('')}
+                </select>
+            </label>
+
+            <label style="display: block; margin-bottom: 15px;">
+                <strong>Teams</strong>
+                <select id="settings-team-mode" style="${inputStyle} margin-top: 5px;">
+                    ${Object.entries(TEAM_MODES).map(([id, name]) => `
+                        <option value="${id}">${name}</option>
+                    `).join('')}
+                </select>
+            </label>
+
+            <label style="display: block; margin-bottom: 15px;">
+                <strong>Saison</strong>
+                <select id="settings-season" style="${inputStyle} margin-top: 5px;">
+                    <option value="off">Aus (jedes Battle ist Tag 1)</option>
+                    <option value="on">An (Tageszähler, Bonus für Überlebende, Saison-Tabelle)</option>
+                </select>
+            </label>
+
+            <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px 15px;">
+                ${SETTINGS_FIELDS.map(field => `
+                    <label style="font-size: 14px;">
+                        ${field.label}
+                        <input type="number" step="any" data-path="${field.path}" style="${inputStyle} margin-top: 3px;">
+                    </label>
+                `).join('')}
+            </div>
+
+            <label style="display: block; margin-top: 15px; font-size: 14px;">
+                Avatar-Größen (Spieler über : Größe px)
+                <input type="text" id="settings-avatar-ladder" style="${inputStyle} margin-top: 3px;">
+            </label>
+        </div>
+
+        <div style="text-align: left; margin: 20px 0; padding: 20px; background: #2a2a2a; border-radius: 8px;">
+            <strong>🎬 Intro & Outro</strong>
+            <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px 15px; margin-top: 10px;">
+                <label style="font-size: 14px;">
+                    Intro (3-2-1 FIGHT)
+                    <select id="settings-intro" style="${inputStyle} margin-top: 3px;">
+                        <option value="on">An</option>
+                        <option value="off">Aus</option>
+                    </select>
+                </label>
+                <label style="font-size: 14px;">
+                    Outro-Karte
+                    <select id="settings-outro" style="${inputStyle} margin-top: 3px;">
+                        <option value="on">An</option>
+                        <option value="off">Aus</option>
+                    </select>
+                </label>
+            </div>
+            ${CARD_TEXT_FIELDS.map(field => `
+                <label style="display: block; margin-top: 10px; font-size: 14px;">
+                    ${field.label}
+                    <input type="text" data-text-path="${field.path}" style="${inputStyle} margin-top: 3px;">
+                </label>
+            `).join('')}
+        </div>
+
+        <div style="text-align: left; margin: 20px 0; padding: 20px; background: #2a2a2a; border-radius: 8px;">
+            <strong>🔌 Backend</strong>
+            <label style="display: block; margin-top: 10px; font-size: 14px;">
+                Datenquelle
+                <select id="settings-demo-mode" style="${inputStyle} margin-top: 3px;">
+                    <option value="off">Server (Backend-URL)</option>
+                    <option value="on">Demo-Modus (Mock-Backend im Browser, offline)</option>
+                </select>
+            </label>
+            <label style="display: block; margin-top: 10px; font-size: 14px;">
+                Backend-URL (leer = config.json bzw. ${DEFAULT_API_BASE_URL})
+                <input type="url" id="settings-api-url" placeholder="${DEFAULT_API_BASE_URL}" style="${inputStyle} margin-top: 3px;">
+            </label>
+        </div>
+
+        <div style="display: flex; flex-direction: column; gap: 15px; margin-top: 20px;">
+            <button id="save-settings" style="
+                padding: 15px 20px;
+                background: linear-gradient(45deg, #4CAF50, #45a049);
+                color: white;
+                border: none;
+                border-radius: 8px;
+                font-size: 16px;
+                cursor: pointer;
+                transition: all 0.3s;
+            ">
+                💾 Einstellungen speichern
+            </button>
+
+            <button id="reset-preset" style="
+                padding: 10px 20px;
+                background: #4444ff;
+                color: white;
+                border: none;
+                border-radius: 8px;
+                font-size: 14px;
+                cursor: pointer;
+                transition: background 0.3s;
+            ">
+                ↺ Preset-Werte wiederherstellen
+            </button>
+
+            <button id="reset-season" style="
+                padding: 10px 20px;
+                background: linear-gradient(45deg, #e74c3c, #c0392b);
+                color: white;
+                border: none;
+                border-radius: 8px;
+                font-size: 14px;
+                cursor: pointer;
+                transition: background 0.3s;
+            ">
+                📅 Saison zurücksetzen
+            </button>
+
+            <button id="close-settings" style="
+                padding: 10px 20px;
+                background: #666;
+                color: white;
+                border: none;
+                border-radius: 8px;
+                font-size: 14px;
+                cursor: pointer;
+                transition: background 0.3s;
+            ">
+                ✕ Close
+            </button>
+        </div>
+
+        <div id="settings-status" style="margin-top: 20px; color: #ffd700; font-weight: bold;"></div>
+    `;
+
+    modal.appendChild(panel);
+    document.body.appendChild(modal);
+
+    const presetSelect = panel.querySelector('#settings-preset');
+    const modeSelect = panel.querySelector('#settings-mode');
+    const teamModeSelect = panel.querySelector('#settings-team-mode');
+    const seasonSelect = panel.querySelector('#settings-season');
+    const introSelect = panel.querySelector('#settings-intro');
+    const outroSelect = panel.querySelector('#settings-outro');
+    const textInputs = panel.querySelectorAll('input[data-text-path]');
+    const ladderInput = panel.querySelector('#settings-avatar-ladder');
+    const fieldInputs = panel.querySelectorAll('input[data-path]');
+    const demoModeSelect = panel.querySelector('#settings-demo-mode');
+    const apiUrlInput = panel.querySelector('#settings-api-url');
+    const statusDiv = panel.querySelector('#settings-status');
+
+    demoModeSelect.value = isDemoMode() ? 'on' : 'off';
+    apiUrlInput.value = getStoredApiBaseUrl();
+
+    // Fill all inputs from a config
+    const fillInputs = (config) => {
+        fieldInputs.forEach(input => {
+            input.value = input.dataset.path.split('.').reduce((obj, key) => obj[key], config);
+        });
+        ladderInput.value = formatAvatarSizeLadder(config.avatarSizeLadder);
+        modeSelect.value = config.mode;
+        teamModeSelect.value = config.teams.mode;
+        seasonSelect.value = config.season.enabled ? 'on' : 'off';
+        introSelect.value = config.intro.enabled ? 'on' : 'off';
+        outroSelect.value = config.outro.enabled ? 'on' : 'off';
+        textInputs.forEach(input => {
+            const [key, subKey] = input.dataset.textPath.split('.');
+            input.value = config[key][subKey];
+        });
     };
+
+    // Build a config from the current input values
+    const readInputs = () => {
+        const config = {
+            mode: modeSelect.value,
+            duration: {},
+            storm: {},
+            powerUps: {},
+            teams: { mode: teamModeSelect.value },
+            season: { enabled: seasonSelect.value === 'on' },
+            intro: { enabled: introSelect.value === 'on' },
+            outro: { enabled: outroSelect.value === 'on' }
+        };
+        fieldInputs.forEach(input => {
+            const [key, subKey] = input.dataset.path.split('.');
+            if (subKey) config[key][subKey] = parseFloat(input.value);
+            else config[key] = parseFloat(input.value);
+        });
+        textInputs.forEach(input => {
+            const [key, subKey] = input.dataset.textPath.split('.');
+            config[key][subKey] = input.value.trim();
+        });
+        config.avatarSizeLadder = parseAvatarSizeLadder(ladderInput.value);
+        return resolveGameConfig(config);
+    };
+
+    fillInputs(settings.config);
+
+    // Preset values for the form, the selected game and team modes and the intro/outro cards are kept
+    const presetConfig = () => {
+        const current = readInputs();
+        const config = resolveGameConfig({
+            ...GAME_PRESETS[presetSelect.value].config,
+            mode: modeSelect.value,
+            intro: current.intro,
+            outro: current.outro
+        });
+        config.teams.mode = teamModeSelect.value;
+        config.season.enabled = seasonSelect.value === 'on';
+        return config;
+    };
+
+    // Switching the preset loads its values into the form
+    presetSelect.onchange = () => {
+        fillInputs(presetConfig());
+        statusDiv.textContent = '';
+    };
+
+    // Reset Preset Button
+    panel.querySelector('#reset-preset').onclick = () => {
+        fillInputs(presetConfig());
+        statusDiv.textContent = 'ℹ️ Preset-Werte geladen (noch nicht gespeichert)';
+        statusDiv.style.color = '#ffd700';
+    };
+
+    // Save Settings Button
+    panel.querySelector('#save-settings').onclick = () => {
+        const config = readInputs();
+        const errors = validateGameConfig(config);
+
+        if (errors.length > 0) {
+            statusDiv.innerHTML = errors.map(error => `❌ ${error}`).join('<br>');
+            statusDiv.style.color = '#ff6b6b';
+            return;
+        }
+
+        try {
+            setApiBaseUrl(apiUrlInput.value);
+            setDemoMode(demoModeSelect.value === 'on');
+            saveGameSettings({ presetId: presetSelect.value, config });
+            statusDiv.textContent = '✅ Einstellungen gespeichert!';
+            statusDiv.style.color = '#4CAF50';
+        } catch (error) {
+            statusDiv.textContent = '❌ Fehler beim Speichern: ' + error.message;
+            statusDiv.style.color = '#ff6b6b';
+        }
+    };
+
+    // Reset Season Button - starts over at day 1 with empty standings
+    panel.querySelector('#reset-season').onclick = async () => {
+        if (!confirm('Saison wirklich zurücksetzen? Tageszähler und Saison-Tabelle werden gelöscht.')) return;
+
+        try {
+            const onBackend = await resetSeason();
+            statusDiv.textContent = onBackend
+                ? '✅ Saison zurückgesetzt'
+                : '✅ Saison lokal zurückgesetzt (Backend nicht erreichbar)';
+            statusDiv.style.color = '#4CAF50';
+        } catch (error) {
+            statusDiv.textContent = '❌ ' + error.message;
+            statusDiv.style.color = '#ff6b6b';
+        }
+    };
+
+    // Close Button
+    panel.querySelector('#close-settings').onclick = () => {
+        document.body.removeChild(modal);
+    };
+
+    // Close on background click
+    modal.onclick = (e) => {
+        if (e.target === modal) {
+            document.body.removeChild(modal);
+        }
+    };
+
+    // Add hover effects
+    const buttons = panel.querySelectorAll('button');
+    buttons.forEach(button => {
+        button.onmouseenter = () => {
+            button.style.transform = 'scale(1.05)';
+        };
+        button.onmouseleave = () => {
+            button.style.transform = 'scale(1)';
+        };
+    });
 }
 
 /**
@@ -83,43 +518,45 @@ async function showAdminPanel() {
         text-align: center;
         max-width: 600px;
         width: 90%;
+        max-height: 90vh;
+        overflow-y: auto;
         box-shadow: 0 10px 30px rgba(0, 0, 0, 0.5);
     `;
 
     // Load current stats
     let statsHtml = '<p>Loading statistics...</p>';
     try {
-        const response = await fetch('http://localhost:4000/api/admin/stats');
-        if (response.ok) {
-            const stats = await response.json();
-            statsHtml = `
-                <div style="text-align: left; margin: 20px 0; padding: 20px; background: #2a2a2a; border-radius: 8px;">
-                    <h4 style="margin-top: 0; color: #ffd700;">📊 Database Statistics</h4>
-                    <p><strong>Users:</strong> ${stats.userCount}</p>
-                    <p><strong>Matches:</strong> ${stats.matchCount}</p>
-                    <p><strong>Game Sessions:</strong> ${stats.gameSessionCount}</p>
-                    <p><strong>🍕 Total Pizzas Eaten:</strong> ${Math.round(stats.totalPizzasEaten * 100) / 100}</p>
-                    
-                    ${stats.recentSessions.length > 0 ? `
-                        <h4 style="color: #ffd700;">🏆 Recent Games</h4>
-                        ${stats.recentSessions.slice(0, 3).map(session => `
-                            <div style="margin: 10px 0; padding: 10px; background: #333; border-radius: 5px; font-size: 14px;">
-                                <strong>${session.winnerUsername || 'No winner'}</strong> - ${session.winningReason}<br>
-                                <small>${session.totalPlayers} players, ${session.survivedPlayers} survived, ${session.durationSec || session.duration}s duration</small>
-                            </div>
-                        `).join('')}
-                    ` : ''}
-                </div>
-            `;
-        }
+        const stats = await apiGet('/api/admin/stats');
+        statsHtml = `
+            <div style="text-align: left; margin: 20px 0; padding: 20px; background: #2a2a2a; border-radius: 8px;">
+                <h4 style="margin-top: 0; color: #ffd700;">📊 Database Statistics</h4>
+                <p><strong>Users:</strong> ${stats.userCount}</p>
+                <p><strong>Matches:</strong> ${stats.matchCount}</p>
+                <p><strong>Game Sessions:</strong> ${stats.gameSessionCount}</p>
+                <p><strong>🍕 Total Pizzas Eaten:</strong> ${Math.round(stats.totalPizzasEaten * 100) / 100}</p>
+                
+                ${stats.recentSessions.length > 0 ? `
+                    <h4 style="color: #ffd700;">🏆 Recent Games</h4>
+                    ${stats.recentSessions.slice(0, 3).map(session => `
+                        <div style="margin: 10px 0; padding: 10px; background: #333; border-radius: 5px; font-size: 14px;">
+                            <strong>${session.winnerUsername || 'No winner'}</strong> - ${session.winningReason}<br>
+                            <small>${session.totalPlayers} players, ${session.survivedPlayers} survived, ${session.durationSec || session.duration}s duration</small>
+                        </div>
+                    `).join('')}
+                ` : ''}
+            </div>
+        `;
     } catch (error) {
-        statsHtml = '<p style="color: #ff6b6b;">❌ Failed to load statistics</p>';
+        statsHtml = `<p style="color: #ff6b6b;">❌ Failed to load statistics: ${error.message}</p>`;
     }
 
     panel.innerHTML = `
         <h2 style="margin-bottom: 20px; color: #ffd700;">🔐 Admin Panel</h2>
+        ${isDemoMode() ? '<p style="color: #ffd700;">🧪 Demo mode: all data lives in this browser (mock backend)</p>' : ''}
         
         ${statsHtml}
+
+        <div id="admin-outbox" style="text-align: left; margin: 20px 0; padding: 20px; background: #2a2a2a; border-radius: 8px;"></div>
         
         <div style="display: flex; flex-direction: column; gap: 15px; margin-top: 20px;">
             <button id="reset-database" style="
@@ -157,6 +594,8 @@ async function showAdminPanel() {
 
     const statusDiv = panel.querySelector('#admin-status');
 
+    renderOutbox(panel.querySelector('#admin-outbox'), statusDiv);
+
     // Reset Database Button
     panel.querySelector('#reset-database').onclick = async () => {
         const confirmed = confirm(
@@ -178,24 +617,15 @@ async function showAdminPanel() {
         statusDiv.textContent = '🗑️ Deleting all data...';
 
         try {
-            const response = await fetch('http://localhost:4000/api/admin/reset-database', {
-                method: 'DELETE'
-            });
-
-            if (response.ok) {
-                const result = await response.json();
-                statusDiv.textContent = '✅ Database reset completed successfully!';
-                statusDiv.style.color = '#4CAF50';
-
-                // Refresh stats after a delay
-                setTimeout(() => {
-                    document.body.removeChild(modal);
-                    showAdminPanel(); // Reload with fresh stats
-                }, 2000);
-            } else {
-                statusDiv.textContent = '❌ Failed to reset database';
-                statusDiv.style.color = '#ff6b6b';
-            }
+            await apiDelete('/api/admin/reset-database');
+            statusDiv.textContent = '✅ Database reset completed successfully!';
+            statusDiv.style.color = '#4CAF50';
+
+            // Refresh stats after a delay
+            setTimeout(() => {
+                document.body.removeChild(modal);
+                showAdminPanel(); // Reload with fresh stats
+            }, 2000);
         } catch (error) {
             statusDiv.textContent = '❌ Error: ' + error.message;
             statusDiv.style.color = '#ff6b6b';
@@ -225,3 +655,82 @@ async function showAdminPanel() {
         };
     });
 }
+
+/**
+ * Renders the outbox of unsent game sessions with retry and discard buttons
+ * @param {HTMLElement} container - Outbox section of the admin panel
+ * @param {HTMLElement} statusDiv - Status line of the admin panel
+ */
+async function renderOutbox(container, statusDiv) {
+    const showStatus = (text, color) => {
+        statusDiv.textContent = text;
+        statusDiv.style.color = color;
+    };
+
+    let entries;
+    try {
+        entries = await listOutbox();
+    } catch (error) {
+        container.innerHTML = `<h4 style="margin-top: 0; color: #ffd700;">📤 Outbox</h4><p style="color: #ff6b6b;">❌ Failed to load outbox: ${error.message}</p>`;
+        return;
+    }
+
+    const buttonStyle = (background) => `
+        padding: 6px 12px;
+        background: ${background};
+        color: white;
+        border: none;
+        border-radius: 5px;
+        font-size: 13px;
+        cursor: pointer;
+    `;
+
+    container.innerHTML = `
+        <h4 style="margin-top: 0; color: #ffd700;">📤 Outbox (unsent game sessions)</h4>
+        ${entries.length === 0 ? '<p>All game sessions have been saved.</p>' : `
+            ${entries.map(entry => `
+                <div style="margin: 10px 0; padding: 10px; background: #333; border-radius: 5px; font-size: 14px;">
+                    <strong>${entry.payload.winnerUsername || 'No winner'}</strong> - ${entry.payload.winningReason}<br>
+                    <small>
+                        ${new Date(entry.createdAt).toLocaleString('de-DE')} · ${entry.payload.totalPlayers} players ·
+                        ${entry.attempts} attempt(s) · ${OUTBOX_STATUS[entry.status]}
+                        ${entry.status === 'pending' ? ` (next ${new Date(entry.nextAttemptAt).toLocaleTimeString('de-DE')})` : ''}
+                    </small><br>
+                    <small style="color: #ff6b6b;">${entry.lastError}</small>
+                    <div style="display: flex; gap: 8px; margin-top: 8px;">
+                        <button data-action="retry" data-id="${entry.id}" style="${buttonStyle('#4CAF50')}">🔄 Retry</button>
+                        <button data-action="discard" data-id="${entry.id}" style="${buttonStyle('#c0392b')}">🗑️ Discard</button>
+                    </div>
+                </div>
+            `).join('')}
+            <button data-action="retry-all" style="${buttonStyle('#4444ff')}">🔄 Retry all</button>
+        `}
+    `;
+
+    container.querySelectorAll('button').forEach(button => {
+        button.onclick = async () => {
+            const id = Number(button.dataset.id);
+            try {
+                if (button.dataset.action === 'retry') {
+                    showStatus('📤 Sending game session...', '#ffd700');
+                    await retryOutboxEntry(id);
+                    showStatus('✅ Game session saved', '#4CAF50');
+                } else if (button.dataset.action === 'discard') {
+                    if (!confirm('Discard this game session? Its results will be lost.')) return;
+                    await discardOutboxEntry(id);
+                    showStatus('🗑️ Game session discarded', '#ffd700');
+                } else {
+                    showStatus('📤 Sending game sessions...', '#ffd700');
+                    // Like the single retry, rejected entries are sent again too
+                    const { sent, failed, skipped } = await flushOutbox({ force: true, includeRejected: true });
+                    const problems = failed + skipped;
+                    showStatus(`${problems ? '⚠️' : '✅'} ${sent} sent, ${failed} failed` +
+                        (skipped ? `, ${skipped} not tried (backend unreachable)` : ''), problems ? '#ffd700' : '#4CAF50');
+                }
+            } catch (error) {
+                showStatus('❌ Error: ' + error.message, '#ff6b6b');
+            }
+            renderOutbox(container, statusDiv);
+        };
+    });
+}
@@ -0,0 +1,298 @@
+/**
+ * Pizza Royale - Mock Backend
+ * In-browser implementation of the documented backend API for demo mode (offline, no server needed)
+ * Followers, matches, game sessions and the season live in IndexedDB; api-client.js routes requests here
+ */
+
+const DEMO_MODE_STORAGE_KEY = 'pizzaRoyale.demoMode';
+const MOCK_DB_NAME = 'pizzaRoyale.mockBackend';
+const MOCK_DB_VERSION = 1;
+const FOLLOWER_STORE = 'followers';   // By username
+const MATCH_STORE = 'matches';        // By id (auto increment)
+const SESSION_STORE = 'gameSessions'; // By id (auto increment)
+const META_STORE = 'meta';            // Season document
+const RECENT_SESSION_COUNT = 5;
+
+// Instagram paths that look like profile links but are not
+const RESERVED_PATHS = new Set(['accounts', 'direct', 'explore', 'p', 'reel', 'reels', 'stories', 'tv', 'about', 'legal']);
+const AVATAR_COLORS = ['#ff4d5a', '#4d9bff', '#41c97e', '#ffb02e', '#b36bff', '#ff6fb5', '#2ec4c4', '#8d6e63'];
+
+// Sample followers the mock database starts with, so a first demo battle has distinct players
+const DEMO_FIRST_NAMES = ['Luca', 'Mia', 'Noah', 'Emma', 'Leon', 'Sofia', 'Finn', 'Lena', 'Elias', 'Marie',
+    'Paul', 'Clara', 'Ben', 'Ida', 'Jonas', 'Nora'];
+const DEMO_TOPPINGS = ['Margherita', 'Salami', 'Funghi', 'Diavola', 'Tonno', 'Hawaii', 'Calzone', 'Quattro'];
+const DEMO_FOLLOWER_COUNT = 48;
+
+let dbPromise = null;
+const imageUrls = new Map();  // Original image URL → promise of a loadable URL (object URL or placeholder)
+
+/**
+ * Checks if demo mode is switched on
+ * @returns {boolean} True if requests go to the mock backend
+ */
+export function isDemoMode() {
+    return localStorage.getItem(DEMO_MODE_STORAGE_KEY) === 'on';
+}
+
+/**
+ * Switches demo mode on or off
+ * @param {boolean} enabled - True to use the mock backend instead of the server
+ */
+export function setDemoMode(enabled) {
+    if (enabled) localStorage.setItem(DEMO_MODE_STORAGE_KEY, 'on');
+    else localStorage.removeItem(DEMO_MODE_STORAGE_KEY);
+}
+
+/**
+ * Answers an API request like the backend would
+ * @param {string} method - HTTP method
+ * @param {string} path - Endpoint path, may contain a query string
+ * @param {*} [body] - Request body (JSON-compatible)
+ * @returns {Promise<Object>} { status, body } with the parsed response body
+ */
+export async function handleMockRequest(method, path, body) {
+    const { pathname } = new URL(path, 'http://mock');
+    // Same copy semantics as sending the body as JSON
+    const payload = body === undefined ? undefined : JSON.parse(JSON.stringify(body));
+    const route = ROUTES[`${method} ${pathname}`];
+    if (!route) return { status: 404, body: { error: `Unknown endpoint: ${method} ${pathname}` } };
+
+    const db = await openDb();
+    return route(db, payload);
+}
+
+/**
+ * Returns an image URL the canvas can draw without being tainted (demo replacement for /api/proxy-image)
+ * Images whose host allows CORS are loaded as object URLs, everything else gets a generated placeholder.
+ * @param {string} url - Original image URL
+ * @returns {Promise<string>} Object URL or SVG data URL
+ */
+export function getMockImageUrl(url) {
+    if (!imageUrls.has(url)) {
+        imageUrls.set(url, fetch(url, { mode: 'cors' })
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.blob();
+            })
+            .then(blob => URL.createObjectURL(blob))
+            .catch(() => createAvatarUrl('?', url)));
+    }
+    return imageUrls.get(url);
+}
+
+const ROUTES = {
+    'GET /api/roster': async (db) => {
+        const followers = await readAll(db, FOLLOWER_STORE);
+        return ok({
+            participants: followers.map(f => ({
+                id: f.username,
+                name: f.displayName || f.username,
+                avatarUrl: f.avatarUrl,
+                type: 'FOLLOWER'
+            }))
+        });
+    },
+
+    'POST /api/matches': async (db, request) => {
+        // Synced offline matches bring their own seed and start time
+        const match = {
+            seed: Number.isInteger(request?.seed) ? request.seed : Math.floor(Math.random() * 0x7fffffff),
+            startedAt: request?.startedAt || new Date().toISOString(),
+            localId: request?.localId ?? null
+        };
+        const id = await runTransaction(db, [MATCH_STORE], 'readwrite', stores => stores[MATCH_STORE].add(match));
+        return ok({ id: String(id), seed: match.seed, startedAt: match.startedAt });
+    },
+
+    'POST /api/game-sessions': async (db, session) => {
+        if (!session || !Number.isFinite(session.duration) || !Array.isArray(session.playerStats)) {
+            return { status: 400, body: { error: 'duration und playerStats sind erforderlich' } };
+        }
+        const id = await runTransaction(db, [SESSION_STORE], 'readwrite', stores =>
+            stores[SESSION_STORE].add({ ...session, createdAt: new Date().toISOString() }));
+        return ok({ success: true, gameSessionId: String(id) });
+    },
+
+    'POST /api/import/instagram-followers': async (db, request) => {
+        const followers = parseFollowerHtml(request?.html || '');
+        if (followers.length === 0) {
+            return { status: 400, body: { error: 'Keine Follower im HTML gefunden' } };
+        }
+
+        const existing = new Set((await readAll(db, FOLLOWER_STORE)).map(f => f.username));
+        const added = followers.filter(f => !existing.has(f.username));
+        await runTransaction(db, [FOLLOWER_STORE], 'readwrite', stores => {
+            added.forEach(follower => stores[FOLLOWER_STORE].put({ ...follower, importedAt: new Date().toISOString() }));
+        });
+        return ok({ parsed: followers.length, saved: added.length, skipped: followers.length - added.length });
+    },
+
+    'GET /api/import/followers': async (db) => {
+        const followers = await readAll(db, FOLLOWER_STORE);
+        return ok(followers.map(({ username, displayName, avatarUrl }) => ({ username, displayName, avatarUrl })));
+    },
+
+    'DELETE /api/import/followers': async (db) => {
+        await runTransaction(db, [FOLLOWER_STORE], 'readwrite', stores => stores[FOLLOWER_STORE].clear());
+        return ok({ message: 'All followers deleted' });
+    },
+
+    'GET /api/season': async (db) => {
+        const season = await runTransaction(db, [META_STORE], 'readonly', stores => stores[META_STORE].get('season'));
+        return ok(season || { day: 0, standings: {}, carryOver: [], updatedAt: null });
+    },
+
+    'PUT /api/season': async (db, season) => {
+        if (!Number.isInteger(season?.day)) return { status: 400, body: { error: 'day muss eine ganze Zahl sein' } };
+        await runTransaction(db, [META_STORE], 'readwrite', stores => stores[META_STORE].put(season, 'season'));
+        return ok(season);
+    },
+
+    'GET /api/admin/stats': async (db) => {
+        const [followers, matches, sessions] = await Promise.all(
+            [FOLLOWER_STORE, MATCH_STORE, SESSION_STORE].map(name => readAll(db, name)));
+        const totalPizzasEaten = sessions.reduce((sum, session) =>
+            sum + session.playerStats.reduce((eaten, stats) => eaten + (stats.pizzasEaten || 0), 0), 0);
+
+        return ok({
+            userCount: followers.length,
+            matchCount: matches.length,
+            gameSessionCount: sessions.length,
+            totalPizzasEaten,
+            recentSessions: sessions.slice(-RECENT_SESSION_COUNT).reverse().map(session => ({
+                winnerUsername: session.winnerUsername,
+                winningReason: session.winningReason,
+                totalPlayers: session.totalPlayers,
+                survivedPlayers: session.survivedPlayers,
+                durationSec: session.duration
+            }))
+        });
+    },
+
+    'DELETE /api/admin/reset-database': async (db) => {
+        const storeNames = [FOLLOWER_STORE, MATCH_STORE, SESSION_STORE, META_STORE];
+        await runTransaction(db, storeNames, 'readwrite', stores => {
+            storeNames.forEach(name => stores[name].clear());
+        });
+        return ok({ message: 'Database reset completed' });
+    }
+};
+
+function ok(body) {
+    return { status: 200, body };
+}
+
+/**
+ * Extracts followers from the HTML of the Instagram follower dialog
+ * Every profile link is one follower; avatar and display name come from the row around the link.
+ * @param {string} html - Pasted HTML
+ * @returns {Array<Object>} { username, displayName, avatarUrl }, unique by username
+ */
+function parseFollowerHtml(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const followers = new Map();
+
+    for (const link of doc.querySelectorAll('a[href]')) {
+        const username = profileUsername(link);
+        if (!username || followers.has(username)) continue;
+
+        // Widen to the largest ancestor that still only links to this follower
+        let row = link;
+        while (row.parentElement && row.parentElement !== doc.body &&
+            [...row.parentElement.querySelectorAll('a[href]')].every(a => profileUsername(a) === username)) {
+            row = row.parentElement;
+        }
+
+        const image = row.querySelector('img[src]');
+        const displayName = [...row.querySelectorAll('span')]
+            .filter(span => span.children.length === 0)
+            .map(span => span.textContent.trim())
+            .find(text => text && text !== username && !/^(Follow|Folgen|Entfernen|Remove|·)$/i.test(text));
+
+        followers.set(username, {
+            username,
+            displayName: displayName || username,
+            avatarUrl: image ? image.getAttribute('src') : createAvatarUrl(username, username)
+        });
+    }
+
+    return [...followers.values()];
+}
+
+function profileUsername(link) {
+    const match = link.getAttribute('href').match(/^(?:https?:\/\/(?:www\.)?instagram\.com)?\/([A-Za-z0-9._]{1,30})\/?$/);
+    return match && !RESERVED_PATHS.has(match[1]) ? match[1] : null;
+}
+
+/**
+ * Draws a round placeholder avatar with the initials
+ * @param {string} name - Name the initials are taken from
+ * @param {string} key - Picks the background color
+ * @returns {string} SVG data URL
+ */
+function createAvatarUrl(name, key) {
+    let hash = 0;
+    for (const char of key) hash = (hash * 31 + char.charCodeAt(0)) | 0;
+    const color = AVATAR_COLORS[Math.abs(hash) % AVATAR_COLORS.length];
+    const initials = name.split(/[\s._]+/).filter(Boolean).slice(0, 2).map(part => part[0].toUpperCase()).join('') || '?';
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="128" height="128" viewBox="0 0 128 128">` +
+        `<circle cx="64" cy="64" r="64" fill="${color}"/>` +
+        `<text x="64" y="64" dy="0.35em" text-anchor="middle" font-family="Arial, sans-serif" font-size="52" ` +
+        `font-weight="bold" fill="#fff">${initials.replace(/[<>&"]/g, '')}</text></svg>`;
+    return 'data:image/svg+xml,' + encodeURIComponent(svg);
+}
+
+function createDemoFollowers() {
+    return Array.from({ length: DEMO_FOLLOWER_COUNT }, (_, i) => {
+        const firstName = DEMO_FIRST_NAMES[i % DEMO_FIRST_NAMES.length];
+        const topping = DEMO_TOPPINGS[(i * 5 + Math.floor(i / DEMO_FIRST_NAMES.length)) % DEMO_TOPPINGS.length];
+        const username = `${firstName}.${topping}`.toLowerCase();
+        const displayName = `${firstName} ${topping}`;
+        return { username, displayName, avatarUrl: createAvatarUrl(displayName, username), importedAt: null };
+    });
+}
+
+function openDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(MOCK_DB_NAME, MOCK_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                const followers = db.createObjectStore(FOLLOWER_STORE, { keyPath: 'username' });
+                db.createObjectStore(MATCH_STORE, { keyPath: 'id', autoIncrement: true });
+                db.createObjectStore(SESSION_STORE, { keyPath: 'id', autoIncrement: true });
+                db.createObjectStore(META_STORE);
+                createDemoFollowers().forEach(follower => followers.put(follower));
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Retry on the next call if opening failed (e.g. private mode)
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+}
+
+function readAll(db, storeName) {
+    return runTransaction(db, [storeName], 'readonly', stores => stores[storeName].getAll());
+}
+
+/**
+ * Runs requests in one transaction on the mock stores
+ * @param {IDBDatabase} db - Mock database
+ * @param {Array<string>} storeNames - Stores used by the transaction
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} work - Receives the object stores by name, may return a request whose result is resolved
+ * @returns {Promise<*>} Result of the returned request once the transaction is complete
+ */
+function runTransaction(db, storeNames, mode, work) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeNames, mode);
+        const stores = Object.fromEntries(storeNames.map(name => [name, transaction.objectStore(name)]));
+        const request = work(stores);
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
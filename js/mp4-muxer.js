@@ -0,0 +1,179 @@
+/**
+ * Pizza Royale - MP4 Muxer
+ * Writes encoded H.264 chunks into a plain (non-fragmented) MP4 file with a single video track
+ * Layout: ftyp, moov, mdat (moov first, so players can start before the whole file is loaded)
+ */
+
+const MOVIE_TIMESCALE = 1000;   // Movie header in milliseconds
+const TRACK_TIMESCALE = 90000;  // Usual video timescale, exact for 20/24/25/30/60 fps
+
+/**
+ * Creates a muxer for one H.264 video track
+ * Samples must arrive in decode order without B-frames (what VideoEncoder produces for AVC)
+ * @param {Object} options - Track options
+ * @param {number} options.width - Video width in pixels
+ * @param {number} options.height - Video height in pixels
+ * @param {number} options.fps - Nominal frame rate, used for the duration of the last sample
+ * @returns {Object} Muxer with setDecoderConfig(), addSample() and finalize()
+ */
+export function createMp4Muxer({ width, height, fps }) {
+    const samples = [];         // { data, timestamp (µs), isKey }
+    let avcConfig = null;       // AVCDecoderConfigurationRecord from the encoder
+    let byteLength = 0;         // Encoded bytes of all samples
+
+    return {
+        /**
+         * Stores the AVCDecoderConfigurationRecord (VideoEncoder metadata.decoderConfig.description)
+         * @param {ArrayBuffer|ArrayBufferView} description - avcC payload
+         */
+        setDecoderConfig(description) {
+            avcConfig = toBytes(description);
+        },
+
+        /**
+         * Adds an encoded frame
+         * @param {Uint8Array} data - Length-prefixed NAL units (avc format)
+         * @param {number} timestamp - Presentation time in microseconds
+         * @param {boolean} isKey - True for key frames
+         */
+        addSample(data, timestamp, isKey) {
+            samples.push({ data, timestamp, isKey });
+            byteLength += data.byteLength;
+        },
+
+        get sampleCount() {
+            return samples.length;
+        },
+
+        get byteLength() {
+            return byteLength;
+        },
+
+        /**
+         * Builds the MP4 file
+         * @returns {Blob} video/mp4 file
+         * @throws {Error} If no samples or no decoder config were added
+         */
+        finalize() {
+            if (samples.length === 0) throw new Error('No encoded frames to mux');
+            if (!avcConfig) throw new Error('Missing H.264 decoder config');
+
+            const toTrackTime = us => Math.round(us * TRACK_TIMESCALE / 1_000_000);
+            const firstTimestamp = samples[0].timestamp;
+            const nominalDelta = Math.round(TRACK_TIMESCALE / fps);
+
+            // Sample durations from the timestamp differences, the last one lasts one nominal frame
+            const deltas = samples.map((sample, i) => (i < samples.length - 1
+                ? Math.max(1, toTrackTime(samples[i + 1].timestamp - firstTimestamp) - toTrackTime(sample.timestamp - firstTimestamp))
+                : nominalDelta));
+            const trackDuration = deltas.reduce((sum, d) => sum + d, 0);
+            const movieDuration = Math.round(trackDuration * MOVIE_TIMESCALE / TRACK_TIMESCALE);
+
+            const ftyp = box('ftyp', ascii('isom'), u32(512), ascii('isom'), ascii('iso2'), ascii('avc1'), ascii('mp41'));
+            const mdatSize = 8 + samples.reduce((sum, s) => sum + s.data.byteLength, 0);
+
+            // moov does not change size with the chunk offset, so build it once to measure it
+            const buildMoov = chunkOffset => moovBox({
+                width, height, deltas, trackDuration, movieDuration, avcConfig, samples, chunkOffset
+            });
+            const moov = buildMoov(ftyp.byteLength + buildMoov(0).byteLength + 8);
+
+            return new Blob([ftyp, moov, concat(u32(mdatSize), ascii('mdat')), ...samples.map(s => s.data)], { type: 'video/mp4' });
+        }
+    };
+}
+
+function moovBox({ width, height, deltas, trackDuration, movieDuration, avcConfig, samples, chunkOffset }) {
+    const mvhd = fullBox('mvhd', 0, 0,
+        u32(0), u32(0), u32(MOVIE_TIMESCALE), u32(movieDuration),
+        u32(0x00010000), u16(0x0100), new Uint8Array(10),
+        matrix(), new Uint8Array(24), u32(2));
+
+    const tkhd = fullBox('tkhd', 0, 3,  // Enabled and in movie
+        u32(0), u32(0), u32(1), u32(0), u32(movieDuration),
+        new Uint8Array(8), u16(0), u16(0), u16(0), u16(0),
+        matrix(), u32(width << 16), u32(height << 16));
+
+    const mdhd = fullBox('mdhd', 0, 0, u32(0), u32(0), u32(TRACK_TIMESCALE), u32(trackDuration), u16(0x55c4), u16(0));  // 'und'
+    const hdlr = fullBox('hdlr', 0, 0, u32(0), ascii('vide'), new Uint8Array(12), ascii('VideoHandler\0'));
+
+    const avc1 = box('avc1',
+        new Uint8Array(6), u16(1),                     // Reserved, data reference index
+        new Uint8Array(16), u16(width), u16(height),
+        u32(0x00480000), u32(0x00480000), u32(0),      // 72 dpi
+        u16(1), new Uint8Array(32), u16(0x0018), u16(0xffff),
+        box('avcC', avcConfig));
+
+    // Time-to-sample table, run-length encoded
+    const sttsEntries = [];
+    for (const delta of deltas) {
+        const lastEntry = sttsEntries[sttsEntries.length - 1];
+        if (lastEntry && lastEntry[1] === delta) lastEntry[0]++;
+        else sttsEntries.push([1, delta]);
+    }
+
+    const keyFrames = [];
+    samples.forEach((sample, i) => { if (sample.isKey) keyFrames.push(i + 1); });
+
+    const stbl = box('stbl',
+        fullBox('stsd', 0, 0, u32(1), avc1),
+        fullBox('stts', 0, 0, u32(sttsEntries.length), ...sttsEntries.flatMap(([count, delta]) => [u32(count), u32(delta)])),
+        fullBox('stss', 0, 0, u32(keyFrames.length), ...keyFrames.map(u32)),
+        fullBox('stsc', 0, 0, u32(1), u32(1), u32(samples.length), u32(1)),  // All samples in one chunk
+        fullBox('stsz', 0, 0, u32(0), u32(samples.length), ...samples.map(s => u32(s.data.byteLength))),
+        fullBox('stco', 0, 0, u32(1), u32(chunkOffset)));
+
+    const minf = box('minf',
+        fullBox('vmhd', 0, 1, new Uint8Array(8)),
+        box('dinf', fullBox('dref', 0, 0, u32(1), fullBox('url ', 0, 1))),
+        stbl);
+
+    return box('moov', mvhd, box('trak', tkhd, box('mdia', mdhd, hdlr, minf)));
+}
+
+// === BINARY HELPERS ===
+
+function box(type, ...payload) {
+    const body = concat(...payload);
+    return concat(u32(8 + body.byteLength), ascii(type), body);
+}
+
+function fullBox(type, version, flags, ...payload) {
+    return box(type, new Uint8Array([version, (flags >> 16) & 0xff, (flags >> 8) & 0xff, flags & 0xff]), ...payload);
+}
+
+function matrix() {
+    return concat(...[0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000].map(u32));
+}
+
+function u32(value) {
+    const bytes = new Uint8Array(4);
+    new DataView(bytes.buffer).setUint32(0, value >>> 0);
+    return bytes;
+}
+
+function u16(value) {
+    const bytes = new Uint8Array(2);
+    new DataView(bytes.buffer).setUint16(0, value & 0xffff);
+    return bytes;
+}
+
+function ascii(text) {
+    return Uint8Array.from(text, c => c.charCodeAt(0));
+}
+
+function toBytes(data) {
+    return data instanceof ArrayBuffer
+        ? new Uint8Array(data.slice(0))
+        : new Uint8Array(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+}
+
+function concat(...parts) {
+    const result = new Uint8Array(parts.reduce((sum, p) => sum + p.byteLength, 0));
+    let offset = 0;
+    for (const part of parts) {
+        result.set(part, offset);
+        offset += part.byteLength;
+    }
+    return result;
+}
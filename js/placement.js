@@ -0,0 +1,50 @@
+/**
+ * Pizza Royale - Final Placements
+ * Ranks every participant of a finished battle, animated players and static dots alike
+ */
+
+/**
+ * Computes the final placement of every participant
+ * Survivors rank first by score (animated players before static dots, then remaining HP),
+ * the fallen follow in reverse elimination order (later elimination = better rank, then score).
+ * Remaining ties go to the earlier roster position, so every rank is unique and reproducible.
+ * @param {Array<Object>} players - Animated players of the simulation
+ * @param {Array<Object>} staticDots - Static dots of the simulation
+ * @returns {Array<Object>} Placements sorted by rank (1 = winner)
+ */
+export function computePlacements(players, staticDots) {
+    const entries = [...players, ...staticDots].map(p => ({
+        id: p.id,
+        name: p.name,
+        rosterIndex: p.rosterIndex,
+        isAnimated: p.isAnimated,
+        team: p.team ?? null,
+        survived: p.alive,
+        score: p.score || 0,
+        hp: p.alive && p.isAnimated ? p.hp : 0,
+        kills: p.kills || 0,
+        eliminatedAt: p.eliminatedAt,
+        eliminatedBy: p.eliminatedBy || null
+    }));
+
+    entries.sort((a, b) => {
+        if (a.survived !== b.survived) return a.survived ? -1 : 1;
+
+        if (a.survived) {
+            if (a.score !== b.score) return b.score - a.score;
+            if (a.isAnimated !== b.isAnimated) return a.isAnimated ? -1 : 1;
+            if (a.hp !== b.hp) return b.hp - a.hp;
+        } else {
+            if (a.eliminatedAt !== b.eliminatedAt) return b.eliminatedAt - a.eliminatedAt;
+            if (a.score !== b.score) return b.score - a.score;
+        }
+
+        return a.rosterIndex - b.rosterIndex;
+    });
+
+    entries.forEach((entry, index) => {
+        entry.rank = index + 1;
+    });
+
+    return entries;
+}
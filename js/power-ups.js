@@ -0,0 +1,49 @@
+/**
+ * Pizza Royale - Power-ups
+ * Collectible items spawned by the simulation and their effects on an avatar
+ */
+
+/**
+ * Power-up types with their canvas icon and color
+ */
+export const POWER_UP_TYPES = Object.freeze({
+    shield: { icon: '🛡️', label: 'Shield Bubble', color: '#5ac8ff' },
+    speed: { icon: '⚡', label: 'Speed Burst', color: '#ffe600' },
+    doubleBite: { icon: '🍕', label: 'Double Bite', color: '#ff9f1c' },
+    heal: { icon: '❤️', label: 'Heal', color: '#41ff9e' }
+});
+
+export const POWER_UP_RADIUS = 18;        // Pickup radius of an item on the canvas
+export const SPEED_BURST_MULTIPLIER = 1.6;  // Movement speed while a speed burst is active
+export const DOUBLE_BITE_MULTIPLIER = 2;    // Pizza eaten per bite while double-bite is active
+const SHIELD_BUBBLE_SHARE = 0.5;            // Shield granted as share of max HP
+const HEAL_SHARE = 0.5;                     // HP restored as share of max HP (never above max HP)
+
+/**
+ * Applies a picked up power-up to a player
+ * Shield and heal act immediately, speed and double-bite last until the given time
+ * @param {Object} player - Simulated player (changed in place)
+ * @param {string} type - Key of POWER_UP_TYPES
+ * @param {number} until - Game time the effect (and its icon) ends
+ */
+export function applyPowerUp(player, type, until) {
+    player.powerUps[type] = until;
+
+    if (type === 'shield') {
+        player.shield += player.maxHp * SHIELD_BUBBLE_SHARE;
+        player.maxShield = Math.max(player.maxShield, player.shield);
+    } else if (type === 'heal') {
+        player.hp = Math.max(player.hp, Math.min(player.maxHp, player.hp + player.maxHp * HEAL_SHARE));
+    }
+}
+
+/**
+ * Checks whether a power-up effect is active on a player
+ * @param {Object} player - Simulated player
+ * @param {string} type - Key of POWER_UP_TYPES
+ * @param {number} time - Current game time
+ * @returns {boolean} True while the effect lasts
+ */
+export function hasPowerUp(player, type, time) {
+    return (player.powerUps[type] || 0) > time;
+}
@@ -0,0 +1,182 @@
+/**
+ * Pizza Royale - Preview Export
+ * Short looping GIF / animated WebP previews (e.g. the last seconds with the winner screen) for DMs and link previews
+ * Frames come from the frame store of the frames strategy or, without it, from the finished video
+ */
+
+import { createGifEncoder } from './gif-encoder.js';
+import { createWebpMuxer } from './webp-muxer.js';
+
+export const PREVIEW_FORMATS = Object.freeze({
+    gif: { label: 'GIF', extension: 'gif' },
+    webp: { label: 'WebP', extension: 'webp' }
+});
+
+export const DEFAULT_PREVIEW_OPTIONS = Object.freeze({
+    length: 5,      // Seconds, taken from the end of the recording
+    fps: 10,
+    scale: 0.25,    // Of the recording resolution (1080x1920 → 270x480)
+    colors: 128     // GIF palette size per frame
+});
+
+export const PREVIEW_FPS = Object.freeze([5, 10, 15, 20]);
+export const PREVIEW_SCALES = Object.freeze([0.25, 0.33, 0.5]);
+export const PREVIEW_COLORS = Object.freeze([32, 64, 128, 256]);
+
+const WEBP_QUALITY = 0.8;
+
+/**
+ * Checks if the browser can encode WebP images (needed for animated WebP)
+ * @returns {boolean} True if canvas.toBlob() writes WebP
+ */
+export function isWebpExportSupported() {
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = 1;
+    return canvas.toDataURL('image/webp').startsWith('data:image/webp');
+}
+
+/**
+ * Creates a frame source over a frame store
+ * @param {Object} frameStore - Frame store from createFrameStore()
+ * @returns {Promise<Object>} Source with width, height, duration, drawAt() and dispose()
+ * @throws {Error} If the store holds no frames (anymore)
+ */
+export async function createFrameStoreSource(frameStore) {
+    if (frameStore.count === 0) throw new Error('No frames available');
+
+    const first = await createImageBitmap(await frameStore.get(0));
+    const { width, height } = first;
+    first.close();
+
+    return {
+        width,
+        height,
+        duration: frameStore.getTimestamp(frameStore.count - 1) / 1000,
+
+        /**
+         * Draws the last frame captured at or before a time
+         * @param {CanvasRenderingContext2D} ctx - Target context
+         * @param {number} time - Seconds since the recording started
+         */
+        async drawAt(ctx, time) {
+            // Binary search for the last frame with timestamp <= time
+            let low = 0;
+            let high = frameStore.count - 1;
+            while (low < high) {
+                const middle = (low + high + 1) >> 1;
+                if (frameStore.getTimestamp(middle) <= time * 1000) low = middle;
+                else high = middle - 1;
+            }
+
+            const blob = await frameStore.get(low);
+            if (!blob) throw new Error(`Frame ${low} is missing`);
+            const bitmap = await createImageBitmap(blob);
+            ctx.drawImage(bitmap, 0, 0, ctx.canvas.width, ctx.canvas.height);
+            bitmap.close();
+        },
+
+        dispose() { }
+    };
+}
+
+/**
+ * Creates a frame source that seeks through a video file
+ * @param {Blob} blob - Video file
+ * @returns {Promise<Object>} Source with width, height, duration, drawAt() and dispose()
+ * @throws {Error} If the browser cannot play the video or its length is unknown
+ */
+export async function createVideoSource(blob) {
+    const video = document.createElement('video');
+    const url = URL.createObjectURL(blob);
+    video.muted = true;
+    video.preload = 'auto';
+
+    try {
+        await new Promise((resolve, reject) => {
+            video.onloadeddata = resolve;
+            video.onerror = () => reject(new Error('Video cannot be played in this browser'));
+            video.src = url;
+        });
+        if (!Number.isFinite(video.duration)) throw new Error('Video length unknown');
+    } catch (error) {
+        URL.revokeObjectURL(url);
+        throw error;
+    }
+
+    return {
+        width: video.videoWidth,
+        height: video.videoHeight,
+        duration: video.duration,
+
+        async drawAt(ctx, time) {
+            await new Promise(resolve => {
+                video.onseeked = resolve;
+                video.currentTime = Math.min(time, video.duration);
+            });
+            ctx.drawImage(video, 0, 0, ctx.canvas.width, ctx.canvas.height);
+        },
+
+        dispose() {
+            video.removeAttribute('src');
+            URL.revokeObjectURL(url);
+        }
+    };
+}
+
+/**
+ * Encodes the end of a recording as a looping preview
+ * @param {Object} source - Frame source from createFrameStoreSource() or createVideoSource()
+ * @param {string} format - Key of PREVIEW_FORMATS
+ * @param {Object} [options] - Preview options, missing values use DEFAULT_PREVIEW_OPTIONS
+ * @param {number} [options.length] - Preview length in seconds
+ * @param {number} [options.fps] - Preview frame rate
+ * @param {number} [options.scale] - Size relative to the recording
+ * @param {number} [options.colors] - GIF palette size
+ * @param {number} [options.trimEnd] - Seconds skipped at the end (e.g. the outro card)
+ * @param {Function} [options.onProgress] - Called with the finished fraction (0-1)
+ * @returns {Promise<Blob>} GIF or WebP file
+ * @throws {Error} If the format is unknown or a frame cannot be encoded
+ */
+export async function exportPreview(source, format, options = {}) {
+    if (!PREVIEW_FORMATS[format]) throw new Error(`Unknown preview format: ${format}`);
+    const { length, fps, scale, colors } = { ...DEFAULT_PREVIEW_OPTIONS, ...options };
+    const { trimEnd = 0, onProgress = () => { } } = options;
+
+    // Even dimensions keep the 9:16 ratio exact enough and suit every decoder
+    const width = Math.max(2, Math.round(source.width * scale / 2) * 2);
+    const height = Math.max(2, Math.round(source.height * scale / 2) * 2);
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: format === 'gif' });
+    ctx.imageSmoothingQuality = 'high';
+
+    const end = Math.max(0, source.duration - trimEnd);
+    const start = Math.max(0, end - length);
+    const frameCount = Math.max(1, Math.round((end - start) * fps));
+
+    const encoder = format === 'gif'
+        ? createGifEncoder({ width, height, fps, colors })
+        : createWebpMuxer({ width, height });
+
+    for (let i = 0; i < frameCount; i++) {
+        await source.drawAt(ctx, start + i / fps);
+
+        if (format === 'gif') {
+            encoder.addFrame(ctx.getImageData(0, 0, width, height).data);
+        } else {
+            const still = await new Promise(resolve => canvas.toBlob(resolve, 'image/webp', WEBP_QUALITY));
+            if (!still || still.type !== 'image/webp') throw new Error('WebP encoding is not supported in this browser');
+            const duration = Math.round((i + 1) * 1000 / fps) - Math.round(i * 1000 / fps);
+            encoder.addFrame(new Uint8Array(await still.arrayBuffer()), duration);
+        }
+
+        onProgress((i + 1) / frameCount);
+        // Yield so the page stays responsive while encoding
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    const blob = encoder.finish();
+    console.log(`🖼️ ${PREVIEW_FORMATS[format].label} preview: ${frameCount} frames, ${width}x${height}, ${(blob.size / 1024).toFixed(0)} KB`);
+    return blob;
+}
@@ -1,158 +1,229 @@
 /**
  * Pizza Royale - Video Recorder
- * Handles automatic game recording with cross-browser compatibility
+ * One recorder interface (start/pause/resume/stop, progress, result promise) over interchangeable
+ * capture strategies registered by name
  */
 
+import { createFrameCaptureStrategy } from './canvas-recorder.js';
+import { createWebCodecsStrategy } from './webcodecs-recorder.js';
+import { isWebCodecsSupported } from './webcodecs-encoder.js';
+import { createCaptionTrack } from './captions.js';
+
+const PROGRESS_INTERVAL = 500;  // ms between progress events while recording
+
+const strategies = new Map();
+
+/**
+ * Registers a capture strategy
+ * A strategy instance has fps, frameDriven, captureFrame(time), finish() → Promise<result> and getStats().
+ * Live strategies get captureFrame() calls from the recorder timer, frame-driven ones from the game loop.
+ * @param {string} name - Strategy name, used as recording type
+ * @param {Object} definition - Strategy definition
+ * @param {string} definition.label - Button label in the recording setup
+ * @param {string} definition.description - Short explanation below the label
+ * @param {string} definition.statusLabel - Text of the recording indicator
+ * @param {string} definition.color - Button color
+ * @param {Function} definition.isSupported - Returns true if the browser can use the strategy
+ * @param {string} [definition.unsupportedReason] - Shown instead of the description if unsupported
+ * @param {Function} definition.create - (canvas, options) → strategy instance or null (may be async)
+ */
+export function registerRecorderStrategy(name, definition) {
+    strategies.set(name, { name, ...definition });
+}
+
+/**
+ * Lists the registered strategies in registration order
+ * @returns {Array<Object>} Definitions with name and a supported flag
+ */
+export function listRecorderStrategies() {
+    return [...strategies.values()].map(definition => ({ ...definition, supported: definition.isSupported() }));
+}
+
 /**
- * Sets up a robust MediaRecorder for the game canvas with manual frame capture
+ * Creates a recorder using a registered strategy
+ * @param {string} name - Strategy name
  * @param {HTMLCanvasElement} canvas - The game canvas to record
- * @returns {Object} Recorder object with enhanced controls
+ * @param {Object} [options] - Strategy options, see toRecorderOptions() in recording-config.js
+ * @param {string} [options.captions] - Caption mode (key of CAPTION_MODES in captions.js), default 'file'
+ * @returns {Promise<Object>} Recorder
+ * @throws {Error} If the strategy is unknown or not available in this browser
  */
-export function setupRecorder(canvas) {
-    let isRecording = false;
-    let frames = [];
-    let frameRate = 30; // Target FPS
-    let recordingInterval;
-    let startTime;
-
-    const recorder = {
-        start: (timeslice = 1000) => {
-            if (isRecording) return;
-
-            console.log('🎬 Starting manual frame recording...');
-            isRecording = true;
-            frames = [];
-            startTime = Date.now();
-
-            // Capture frames manually at specified FPS
-            recordingInterval = setInterval(() => {
-                if (!isRecording) return;
-
-                // Convert canvas to blob and store
-                canvas.toBlob((blob) => {
-                    if (blob && isRecording) {
-                        frames.push({
-                            blob: blob,
-                            timestamp: Date.now() - startTime
-                        });
-                    }
-                }, 'image/webp', 0.9);
-            }, 1000 / frameRate);
-        },
+export async function createRecorder(name, canvas, options = {}) {
+    const definition = strategies.get(name);
+    if (!definition) throw new Error(`Unknown recorder strategy: ${name}`);
+
+    const strategy = await definition.create(canvas, options);
+    if (!strategy) throw new Error(`${definition.label} is not supported in this browser`);
+
+    let state = 'idle';  // idle → recording ⇄ paused → stopped
+    let startTime = 0;
+    let pausedAt = 0;
+    let pausedTime = 0;  // ms spent paused, excluded from the recording time
+    let captureInterval = null;
+    let progressInterval = null;
+    let nextFrameTime = 0;  // Frame-driven: time of the next frame handed to captureFrame()
+    const progressListeners = new Set();
+    const captions = createCaptionTrack();
+
+    let resolveResult;
+    let rejectResult;
+    const result = new Promise((resolve, reject) => {
+        resolveResult = resolve;
+        rejectResult = reject;
+    });
+
+    const recordingTime = () => ((state === 'paused' ? pausedAt : performance.now()) - startTime - pausedTime) / 1000;
+
+    // Clock of the frame timestamps: captions and frames use the same time base
+    const currentTime = () => {
+        if (state === 'idle') return 0;
+        return strategy.frameDriven ? nextFrameTime : recordingTime();
+    };
 
-        stop: () => {
-            if (!isRecording) return;
+    function getStats() {
+        const stats = strategy.getStats();
+        const duration = strategy.frameDriven ? stats.frames / strategy.fps : (state === 'idle' ? 0 : recordingTime());
+        return { ...stats, duration, state };
+    }
 
-            console.log(`🎬 Stopping recording. Captured ${frames.length} frames.`);
-            isRecording = false;
-            clearInterval(recordingInterval);
+    function emitProgress() {
+        const stats = getStats();
+        progressListeners.forEach(listener => listener(stats));
+    }
+
+    return {
+        name,
+        statusLabel: definition.statusLabel,
+        fps: strategy.fps,
+        frameDriven: strategy.frameDriven,
+        captionMode: options.captions || 'file',
+        captions,
 
-            // Process frames into video
-            setTimeout(() => {
-                createVideoFromFrames();
-            }, 100);
+        // Resolves with { type: 'video', blob, extension, frames?, captions } or { type: 'frames', frames, extension, captions }
+        // after stop(), captions is the caption track or null without captions
+        result,
+
+        get state() {
+            return state;
         },
 
-        requestData: () => {
-            // For compatibility - no-op in manual recording
-        }
-    };
+        /**
+         * Recording time in seconds, the timestamp the next recorded frame gets
+         * @returns {number} Seconds
+         */
+        get time() {
+            return currentTime();
+        },
+
+        /**
+         * Adds a caption at the current recording time
+         * @param {string} text - Caption text
+         * @param {number} [duration] - Display time in seconds
+         */
+        addCaption(text, duration) {
+            if (state === 'recording') captions.add(currentTime(), text, duration);
+        },
+
+        start() {
+            if (state !== 'idle') return false;
+
+            console.log(`🎬 Recording started (${name}, ${strategy.fps}fps)`);
+            state = 'recording';
+            startTime = performance.now();
 
-    // Create video from captured frames using MediaRecorder with manual stream
-    async function createVideoFromFrames() {
-        if (frames.length === 0) {
-            alert('❌ Keine Frames aufgenommen. Spiel möglicherweise zu kurz.');
-            return;
-        }
-
-        try {
-            // Create a new canvas for video generation
-            const videoCanvas = document.createElement('canvas');
-            videoCanvas.width = canvas.width;
-            videoCanvas.height = canvas.height;
-            const ctx = videoCanvas.getContext('2d');
-
-            // Try different video formats
-            let mimeType = 'video/webm;codecs=vp9';
-            if (!MediaRecorder.isTypeSupported(mimeType)) {
-                mimeType = 'video/webm;codecs=vp8';
-                if (!MediaRecorder.isTypeSupported(mimeType)) {
-                    mimeType = 'video/webm';
-                }
+            if (!strategy.frameDriven) {
+                captureInterval = setInterval(() => {
+                    if (state === 'recording') strategy.captureFrame(recordingTime());
+                }, 1000 / strategy.fps);
             }
+            progressInterval = setInterval(emitProgress, PROGRESS_INTERVAL);
+            return true;
+        },
 
-            // Create stream from video canvas
-            const stream = videoCanvas.captureStream(frameRate);
-            const mediaRecorder = new MediaRecorder(stream, {
-                mimeType,
-                videoBitsPerSecond: 8_000_000 // 8 Mbps for high quality
-            });
-
-            const videoChunks = [];
-
-            mediaRecorder.ondataavailable = (e) => {
-                if (e.data && e.data.size > 0) {
-                    videoChunks.push(e.data);
-                }
-            };
-
-            mediaRecorder.onstop = () => {
-                console.log(`🎬 Video generation complete. Creating download...`);
-
-                if (videoChunks.length === 0) {
-                    alert('❌ Video-Generierung fehlgeschlagen.');
-                    return;
-                }
-
-                const videoBlob = new Blob(videoChunks, { type: mimeType });
-
-                // Create download
-                const url = URL.createObjectURL(videoBlob);
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = `pizza-royale-${Date.now()}.webm`;
-                document.body.appendChild(a);
-                a.click();
-                document.body.removeChild(a);
-                URL.revokeObjectURL(url);
-
-                console.log('✅ Video download triggered!');
-            };
-
-            // Start recording the video canvas
-            mediaRecorder.start(100);
-
-            // Play back frames on video canvas
-            console.log(`🎬 Generating video from ${frames.length} frames...`);
-
-            let frameIndex = 0;
-            const playbackInterval = setInterval(async () => {
-                if (frameIndex >= frames.length) {
-                    clearInterval(playbackInterval);
-                    // Stop recording after all frames played
-                    setTimeout(() => {
-                        mediaRecorder.stop();
-                    }, 500);
-                    return;
-                }
-
-                const frame = frames[frameIndex];
-                const img = new Image();
-                img.onload = () => {
-                    ctx.clearRect(0, 0, videoCanvas.width, videoCanvas.height);
-                    ctx.drawImage(img, 0, 0);
-                    URL.revokeObjectURL(img.src);
-                };
-                img.src = URL.createObjectURL(frame.blob);
-
-                frameIndex++;
-            }, 1000 / frameRate);
-
-        } catch (error) {
-            console.error('❌ Video creation failed:', error);
-            alert('❌ Video-Erstellung fehlgeschlagen: ' + error.message);
-        }
-    }
+        pause() {
+            if (state !== 'recording') return;
+            state = 'paused';
+            pausedAt = performance.now();
+            emitProgress();
+        },
+
+        resume() {
+            if (state !== 'paused') return;
+            pausedTime += performance.now() - pausedAt;
+            state = 'recording';
+        },
+
+        /**
+         * Hands a rendered frame to a frame-driven strategy
+         * @param {number} time - Game time of the frame in seconds
+         * @returns {Promise<void>}
+         */
+        async captureFrame(time) {
+            if (state !== 'recording') return;
+            nextFrameTime = time + 1 / strategy.fps;
+            await strategy.captureFrame(time);
+        },
+
+        /**
+         * Stops recording and builds the result
+         * @returns {Promise<Object>} The result promise
+         */
+        stop() {
+            if (state === 'stopped') return result;
+
+            console.log(`🎬 Recording stopped. Total frames: ${strategy.getStats().frames}`);
+            emitProgress();
+            state = 'stopped';
+            clearInterval(captureInterval);
+            clearInterval(progressInterval);
+
+            strategy.finish()
+                .then(output => resolveResult({ ...output, captions: captions.length > 0 ? captions : null }), rejectResult);
+            return result;
+        },
 
-    return recorder;
+        /**
+         * Subscribes to progress events (frames, duration, bytes, spilledBytes, state)
+         * @param {Function} listener - Called every PROGRESS_INTERVAL ms while recording
+         * @returns {Function} Unsubscribe function
+         */
+        onProgress(listener) {
+            progressListeners.add(listener);
+            return () => progressListeners.delete(listener);
+        },
+
+        getStats
+    };
 }
+
+// === BUILT-IN STRATEGIES ===
+
+registerRecorderStrategy('webcodecs', {
+    label: '🎮 Record Game Video',
+    description: 'Records the game as MP4 video',
+    statusLabel: 'Recording',
+    color: '#4444ff',
+    isSupported: isWebCodecsSupported,
+    unsupportedReason: 'Needs WebCodecs (Chrome/Edge)',
+    create: (canvas, options) => createWebCodecsStrategy(canvas, { fps: 20, ...options })
+});
+
+registerRecorderStrategy('offline', {
+    label: '🎞️ Render Video (frame-exact)',
+    description: 'Smooth MP4 rendered frame by frame, not in real time',
+    statusLabel: 'Rendering',
+    color: '#8a2be2',
+    isSupported: isWebCodecsSupported,
+    unsupportedReason: 'Needs WebCodecs (Chrome/Edge)',
+    create: (canvas, options) => createWebCodecsStrategy(canvas, { fps: 60, ...options, frameDriven: true })
+});
+
+registerRecorderStrategy('frames', {
+    label: '🖼️ Record Frames',
+    description: 'JPEG frames turned into a video after the game, works in every browser',
+    statusLabel: 'Recording',
+    color: '#2d8a4e',
+    isSupported: () => typeof MediaRecorder === 'function',
+    unsupportedReason: 'Needs MediaRecorder',
+    create: (canvas, options) => createFrameCaptureStrategy(canvas, options)
+});
@@ -0,0 +1,181 @@
+/**
+ * Pizza Royale - Recording Configuration
+ * Recording quality presets, codec preference and the recording settings persisted in the browser
+ */
+
+import { CAPTION_MODES } from './captions.js';
+
+const RECORDING_SETTINGS_KEY = 'pizzaRoyale.recordingSettings';
+
+/**
+ * Video codecs in the order they are tried by default
+ * mimeTypes are the MediaRecorder types of a codec, best first
+ */
+export const VIDEO_CODECS = Object.freeze({
+    h264: { label: 'H.264 (MP4)', mimeTypes: ['video/mp4;codecs=h264', 'video/mp4;codecs=avc1', 'video/mp4'] },
+    vp9: { label: 'VP9 (WebM)', mimeTypes: ['video/webm;codecs=vp9'] },
+    vp8: { label: 'VP8 (WebM)', mimeTypes: ['video/webm;codecs=vp8', 'video/webm'] }
+});
+
+// Output widths, the height follows from the 9:16 canvas
+export const OUTPUT_RESOLUTIONS = Object.freeze([1080, 720, 540]);
+export const RECORDING_FPS = Object.freeze([20, 24, 30, 60]);
+
+export const DEFAULT_RECORDING_CONFIG = Object.freeze({
+    fps: 30,
+    bitrate: 8_000_000,     // bits per second
+    quality: 0.92,          // JPEG quality of captured frames (frames strategy)
+    resolution: 1080,       // Output width
+    codec: 'h264',          // Preferred codec, the others are fallbacks
+    memoryBudgetMB: 64,     // Frames kept in memory before spilling to IndexedDB
+    captions: 'file'        // Caption mode, key of CAPTION_MODES (captions.js)
+});
+
+/**
+ * Named presets selectable in the recording setup
+ */
+export const RECORDING_PRESETS = Object.freeze({
+    reelHd: {
+        name: 'Reel HD',
+        description: '1080p, 30 fps, 8 Mbps',
+        config: DEFAULT_RECORDING_CONFIG
+    },
+    storyLite: {
+        name: 'Story Lite',
+        description: '720p, 24 fps, 3 Mbps – small files, fast upload',
+        config: { ...DEFAULT_RECORDING_CONFIG, fps: 24, bitrate: 3_000_000, quality: 0.8, resolution: 720, memoryBudgetMB: 32 }
+    },
+    archiveMax: {
+        name: 'Archive Max',
+        description: '1080p, 60 fps, 20 Mbps',
+        config: { ...DEFAULT_RECORDING_CONFIG, fps: 60, bitrate: 20_000_000, quality: 0.98, memoryBudgetMB: 128 }
+    }
+});
+
+export const DEFAULT_RECORDING_PRESET_ID = 'reelHd';
+
+/**
+ * Merges a (partial) recording config over the defaults
+ * @param {Object} config - Partial recording config
+ * @returns {Object} Complete recording config
+ */
+export function resolveRecordingConfig(config = {}) {
+    return { ...DEFAULT_RECORDING_CONFIG, ...config };
+}
+
+/**
+ * Checks a complete recording config
+ * @param {Object} config - Recording config from resolveRecordingConfig()
+ * @returns {Array<string>} Error messages, empty if the config is valid
+ */
+export function validateRecordingConfig(config) {
+    const errors = [];
+    if (!RECORDING_FPS.includes(config.fps)) errors.push(`Frame rate must be one of ${RECORDING_FPS.join(', ')}`);
+    if (!(config.bitrate >= 500_000 && config.bitrate <= 50_000_000)) errors.push('Bitrate must be between 0.5 and 50 Mbps');
+    if (!(config.quality > 0 && config.quality <= 1)) errors.push('JPEG quality must be between 0 and 1');
+    if (!OUTPUT_RESOLUTIONS.includes(config.resolution)) errors.push(`Unknown output resolution ${config.resolution}`);
+    if (!VIDEO_CODECS[config.codec]) errors.push(`Unknown codec "${config.codec}"`);
+    if (!(config.memoryBudgetMB >= 8)) errors.push('Frame memory must be at least 8 MB');
+    if (!CAPTION_MODES[config.captions]) errors.push(`Unknown caption mode "${config.captions}"`);
+    return errors;
+}
+
+/**
+ * Lists the MediaRecorder types in the order of the codec preference
+ * @param {string} codec - Preferred codec (key of VIDEO_CODECS)
+ * @returns {Array<string>} MIME types, preferred codec first
+ */
+export function preferredMimeTypes(codec) {
+    const order = [codec, ...Object.keys(VIDEO_CODECS).filter(key => key !== codec)];
+    return order.flatMap(key => VIDEO_CODECS[key].mimeTypes);
+}
+
+/**
+ * Reports which codec MIME types MediaRecorder supports in this browser
+ * @returns {Array<Object>} { mimeType, codec, supported } for every known type
+ */
+export function detectRecorderSupport() {
+    const canRecord = typeof MediaRecorder === 'function';
+    return Object.entries(VIDEO_CODECS).flatMap(([codec, { mimeTypes }]) => mimeTypes.map(mimeType => ({
+        mimeType,
+        codec,
+        supported: canRecord && MediaRecorder.isTypeSupported(mimeType)
+    })));
+}
+
+/**
+ * Converts a recording config into recorder strategy options
+ * @param {Object} config - Recording config
+ * @param {HTMLCanvasElement} canvas - Game canvas (for the aspect ratio)
+ * @returns {Object} fps, bitrate, quality, width, height, codec, memoryBudget (bytes) and captions
+ */
+export function toRecorderOptions(config, canvas) {
+    const width = Math.min(config.resolution, canvas.width);
+    // Even dimensions are required by H.264
+    const height = Math.round(width * canvas.height / canvas.width / 2) * 2;
+    return {
+        fps: config.fps,
+        bitrate: config.bitrate,
+        quality: config.quality,
+        width,
+        height,
+        codec: config.codec,
+        memoryBudget: config.memoryBudgetMB * 1024 * 1024,
+        captions: config.captions
+    };
+}
+
+/**
+ * Creates the canvas frames are captured from
+ * At the game resolution this is the game canvas itself, otherwise a scaled copy drawn on every capture
+ * @param {HTMLCanvasElement} canvas - Game canvas
+ * @param {number} width - Output width
+ * @param {number} height - Output height
+ * @returns {Object} { canvas, draw() } - call draw() before reading a frame from canvas
+ */
+export function createOutputCanvas(canvas, width = canvas.width, height = canvas.height) {
+    if (width === canvas.width && height === canvas.height) {
+        return { canvas, draw() { } };
+    }
+
+    const output = document.createElement('canvas');
+    output.width = width;
+    output.height = height;
+    const ctx = output.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+
+    return {
+        canvas: output,
+        draw() {
+            ctx.drawImage(canvas, 0, 0, width, height);
+        }
+    };
+}
+
+/**
+ * Loads the recording settings
+ * @returns {Object} { presetId, config } - stored settings or the default preset
+ */
+export function loadRecordingSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(RECORDING_SETTINGS_KEY));
+        if (stored && RECORDING_PRESETS[stored.presetId]) {
+            const config = resolveRecordingConfig(stored.config);
+            if (validateRecordingConfig(config).length === 0) {
+                return { presetId: stored.presetId, config };
+            }
+        }
+    } catch (e) {
+        console.warn('Failed to load recording settings:', e);
+    }
+
+    return { presetId: DEFAULT_RECORDING_PRESET_ID, config: resolveRecordingConfig(RECORDING_PRESETS[DEFAULT_RECORDING_PRESET_ID].config) };
+}
+
+/**
+ * Persists the recording settings
+ * @param {Object} settings - { presetId, config }
+ */
+export function saveRecordingSettings({ presetId, config }) {
+    localStorage.setItem(RECORDING_SETTINGS_KEY, JSON.stringify({ presetId, config }));
+}
@@ -0,0 +1,450 @@
+/**
+ * Pizza Royale - Recording Output
+ * Finishes a recorder and delivers its result: loading overlay, download, video preview and library entry
+ */
+
+import { addVideo, isVideoLibrarySupported } from './video-library.js';
+import {
+    PREVIEW_FORMATS, DEFAULT_PREVIEW_OPTIONS, PREVIEW_FPS, PREVIEW_SCALES, PREVIEW_COLORS,
+    isWebpExportSupported, createFrameStoreSource, createVideoSource, exportPreview
+} from './preview-export.js';
+import { createZipWriter } from './zip-writer.js';
+import { hasCaptionFile } from './captions.js';
+
+/**
+ * Stops a recorder and downloads its result
+ * Videos are downloaded, previewed below the canvas and stored in the video library,
+ * frame results are downloaded as one ZIP with the frames, a manifest and an ffmpeg command.
+ * Caption files (WebVTT + SRT) come along if the recorder's caption mode writes files.
+ * @param {Object} recorder - Recorder from createRecorder()
+ * @param {Object} [info] - Battle info for the library entry, see addVideo() in video-library.js
+ *   (thumbnail may be a promise), plus outroDuration to keep the outro out of GIF/WebP previews
+ * @returns {Promise<Object|null>} Recording result, null if generating the video failed
+ */
+export async function finishRecording(recorder, info = {}) {
+    const loadingOverlay = createLoadingOverlay();
+
+    try {
+        const duration = recorder.getStats().duration;
+        const result = await recorder.stop();
+        const captions = hasCaptionFile(recorder.captionMode) ? result.captions : null;
+
+        if (result.type === 'frames') {
+            await downloadFrames(result.frames, result.extension, recorder.fps, captions);
+            removeLoadingOverlay(loadingOverlay);
+        } else {
+            removeLoadingOverlay(loadingOverlay);
+            downloadAndDisplayVideo(result.blob, result.extension, { frames: result.frames, trimEnd: info.outroDuration }, captions);
+            await storeInLibrary(result, { duration, ...info, captions: captions && { vtt: captions.toWebVTT(), srt: captions.toSRT() } });
+        }
+        return result;
+    } catch (error) {
+        console.error('❌ Video generation failed:', error);
+        removeLoadingOverlay(loadingOverlay);
+        alert('Video generation failed: ' + error.message);
+        return null;
+    }
+}
+
+/**
+ * Downloads a video and shows it below the game canvas
+ * @param {Blob} blob - Video file
+ * @param {string} fileExtension - 'mp4' or 'webm'
+ * @param {Object} [preview] - Source of GIF/WebP previews
+ * @param {Object} [preview.frames] - Frame store of the recording, the video is used without it
+ * @param {number} [preview.trimEnd] - Seconds at the end left out of previews
+ * @param {Object|null} [captions] - Caption track, downloaded as .vtt and .srt next to the video
+ */
+export function downloadAndDisplayVideo(blob, fileExtension, preview = {}, captions = null) {
+    const url = URL.createObjectURL(blob);
+    const timestamp = Date.now();
+    const basename = `pizza-royale-canvas-${timestamp}`;
+    const filename = `${basename}.${fileExtension}`;
+
+    // Download the video, caption files share its name so players pick them up
+    downloadUrl(url, filename);
+    console.log(`✅ Canvas video download completed! (${fileExtension.toUpperCase()})`);
+
+    let captionFiles = null;
+    if (captions) {
+        captionFiles = {
+            vtt: { name: `${basename}.vtt`, blob: new Blob([captions.toWebVTT()], { type: 'text/vtt' }) },
+            srt: { name: `${basename}.srt`, blob: new Blob([captions.toSRT()], { type: 'application/x-subrip' }) }
+        };
+        downloadBlob(captionFiles.vtt.blob, captionFiles.vtt.name);
+        downloadBlob(captionFiles.srt.blob, captionFiles.srt.name);
+        console.log(`💬 Captions downloaded (${captions.length} cues)`);
+    }
+
+    // Display video below canvas
+    displayVideoPreview(url, filename, createPreviewExport(blob, preview), captionFiles);
+}
+
+/**
+ * Downloads a file
+ * @param {Blob} blob - File content
+ * @param {string} filename - Download name
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    downloadUrl(url, filename);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function downloadUrl(url, filename) {
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.style.display = 'none';
+
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+}
+
+/**
+ * Creates the GIF/WebP preview controls shown next to the download link
+ * @param {Blob} videoBlob - Recorded video, frame source if no frames are kept
+ * @param {Object} preview - { frames, trimEnd }, see downloadAndDisplayVideo()
+ * @returns {HTMLElement} Controls
+ */
+function createPreviewExport(videoBlob, { frames = null, trimEnd = 0 }) {
+    const controls = document.createElement('div');
+    controls.style.cssText = `
+        margin-top: 15px;
+        color: white;
+        font-family: "GT Maru Medium", system-ui, Arial;
+        font-size: 14px;
+    `;
+
+    const select = (id, values, selected, format) => `
+        <select id="${id}" style="background: #2a2a2a; color: white; border: 1px solid #444; border-radius: 5px; padding: 4px;">
+            ${values.map(value => `<option value="${value}" ${value === selected ? 'selected' : ''}>${format(value)}</option>`).join('')}
+        </select>
+    `;
+
+    controls.innerHTML = `
+        <h4 style="color: #ffd700; margin: 10px 0;">🖼️ Looping Preview</h4>
+        <label>Length <input id="preview-length" type="number" min="1" max="30" step="1" value="${DEFAULT_PREVIEW_OPTIONS.length}"
+            style="width: 50px; background: #2a2a2a; color: white; border: 1px solid #444; border-radius: 5px; padding: 4px;"> s</label>
+        <label>FPS ${select('preview-fps', PREVIEW_FPS, DEFAULT_PREVIEW_OPTIONS.fps, value => value)}</label>
+        <label>Scale ${select('preview-scale', PREVIEW_SCALES, DEFAULT_PREVIEW_OPTIONS.scale, value => `${Math.round(value * 100)}%`)}</label>
+        <label>Colors ${select('preview-colors', PREVIEW_COLORS, DEFAULT_PREVIEW_OPTIONS.colors, value => value)}</label>
+        <div style="display: flex; gap: 10px; justify-content: center; margin-top: 10px;">
+            ${Object.entries(PREVIEW_FORMATS).map(([format, { label }]) => `
+                <button data-format="${format}" style="
+                    padding: 8px 16px;
+                    background: #4444ff;
+                    color: white;
+                    border: none;
+                    border-radius: 5px;
+                    cursor: pointer;
+                ">📥 ${label}</button>
+            `).join('')}
+        </div>
+        <div id="preview-status" style="margin-top: 10px; color: #ffd700;"></div>
+    `;
+
+    const status = controls.querySelector('#preview-status');
+    const buttons = controls.querySelectorAll('button');
+    const webpSupported = isWebpExportSupported();
+    const setButtonsEnabled = enabled => buttons.forEach(b => {
+        b.disabled = !enabled || (b.dataset.format === 'webp' && !webpSupported);
+    });
+
+    if (!webpSupported) {
+        const webpButton = controls.querySelector('[data-format="webp"]');
+        webpButton.disabled = true;
+        webpButton.style.opacity = '0.5';
+        webpButton.title = 'This browser cannot encode WebP';
+    }
+
+    buttons.forEach(button => {
+        button.onclick = async () => {
+            const format = button.dataset.format;
+            const options = {
+                length: Math.max(1, Number(controls.querySelector('#preview-length').value) || DEFAULT_PREVIEW_OPTIONS.length),
+                fps: Number(controls.querySelector('#preview-fps').value),
+                scale: Number(controls.querySelector('#preview-scale').value),
+                colors: Number(controls.querySelector('#preview-colors').value),
+                trimEnd,
+                onProgress: fraction => {
+                    status.textContent = `⏳ Encoding ${PREVIEW_FORMATS[format].label}... ${Math.round(fraction * 100)}%`;
+                }
+            };
+
+            setButtonsEnabled(false);
+            status.style.color = '#ffd700';
+            let source = null;
+            try {
+                // The frames are gone once the next recording started, the video is always there
+                source = frames && frames.count > 0 ? await createFrameStoreSource(frames) : await createVideoSource(videoBlob);
+                const blob = await exportPreview(source, format, options);
+                downloadBlob(blob, `pizza-royale-preview-${Date.now()}.${PREVIEW_FORMATS[format].extension}`);
+                status.textContent = `✅ ${PREVIEW_FORMATS[format].label} ready (${(blob.size / 1024).toFixed(0)} KB)`;
+            } catch (error) {
+                console.error('❌ Preview export failed:', error);
+                status.textContent = '❌ Preview export failed: ' + error.message;
+                status.style.color = '#ff6b6b';
+            } finally {
+                if (source) source.dispose();
+                setButtonsEnabled(true);
+            }
+        };
+    });
+
+    return controls;
+}
+
+/**
+ * Adds a finished video to the library, a full or missing IndexedDB only costs the entry
+ * @param {Object} result - Video result of the recorder
+ * @param {Object} info - Battle info, see addVideo()
+ */
+async function storeInLibrary(result, info) {
+    if (!isVideoLibrarySupported()) return;
+
+    try {
+        const thumbnail = await info.thumbnail;
+        const id = await addVideo(result.blob, result.extension, { ...info, thumbnail });
+        console.log(`📚 Video saved to the library (#${id})`);
+    } catch (error) {
+        console.warn('⚠️ Failed to save video to the library:', error);
+    }
+}
+
+function displayVideoPreview(videoUrl, filename, previewExport, captionFiles) {
+    // Remove any existing video preview
+    const existingPreview = document.getElementById('video-preview-container');
+    if (existingPreview) {
+        existingPreview.remove();
+    }
+
+    // Create video preview container
+    const container = document.createElement('div');
+    container.id = 'video-preview-container';
+    container.style.cssText = `
+        margin-top: 20px;
+        text-align: center;
+        padding: 20px;
+        background: #1a1a1a;
+        border-radius: 10px;
+        box-shadow: 0 4px 15px rgba(0, 0, 0, 0.3);
+    `;
+
+    // Create title
+    const title = document.createElement('h3');
+    title.textContent = '🎬 Your Pizza Royale Recording';
+    title.style.cssText = `
+        color: #ffd700;
+        margin-bottom: 15px;
+        font-family: "GT Maru Medium", system-ui, Arial;
+    `;
+
+    // Create video element
+    const video = document.createElement('video');
+    video.src = videoUrl;
+    video.controls = true;
+    video.autoplay = false;
+    video.loop = true;
+    video.style.cssText = `
+        max-width: 100%;
+        max-height: 400px;
+        border-radius: 8px;
+        box-shadow: 0 2px 10px rgba(0, 0, 0, 0.3);
+    `;
+
+    // Create download link
+    const downloadLink = document.createElement('a');
+    downloadLink.href = videoUrl;
+    downloadLink.download = filename;
+    downloadLink.textContent = `📥 Download ${filename}`;
+    downloadLink.style.cssText = `
+        display: inline-block;
+        margin-top: 15px;
+        padding: 10px 20px;
+        background: #4CAF50;
+        color: white;
+        text-decoration: none;
+        border-radius: 5px;
+        font-family: "GT Maru Medium", system-ui, Arial;
+        transition: background 0.3s;
+    `;
+    downloadLink.onmouseover = () => downloadLink.style.background = '#45a049';
+    downloadLink.onmouseout = () => downloadLink.style.background = '#4CAF50';
+
+    container.appendChild(title);
+    container.appendChild(video);
+    container.appendChild(document.createElement('br'));
+    container.appendChild(downloadLink);
+
+    if (captionFiles) {
+        // Show the captions in the preview player
+        const track = document.createElement('track');
+        track.kind = 'captions';
+        track.label = 'English';
+        track.srclang = 'en';
+        track.src = URL.createObjectURL(captionFiles.vtt.blob);
+        track.default = true;
+        video.appendChild(track);
+
+        const captionLinks = document.createElement('div');
+        captionLinks.style.cssText = 'margin-top: 10px; font-family: "GT Maru Medium", system-ui, Arial; font-size: 14px;';
+        Object.values(captionFiles).forEach(({ name, blob }) => {
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = name;
+            link.textContent = `💬 ${name}`;
+            link.style.cssText = 'color: #ffd700; margin: 0 10px;';
+            captionLinks.appendChild(link);
+        });
+        container.appendChild(captionLinks);
+    }
+
+    container.appendChild(previewExport);
+
+    // Insert after the game canvas
+    const gameCanvas = document.getElementById('game');
+    if (gameCanvas && gameCanvas.parentNode) {
+        gameCanvas.parentNode.insertBefore(container, gameCanvas.nextSibling);
+    } else {
+        document.body.appendChild(container);
+    }
+}
+
+/**
+ * Downloads all frames as one ZIP (fallback without captureStream)
+ * The archive holds the frames, manifest.json with their timestamps and frames.txt, an ffmpeg concat list
+ * that keeps the captured timing: ffmpeg -f concat -safe 0 -i frames.txt ...
+ * @param {Object} frameStore - Frame store from createFrameStore(); the archive references its blobs,
+ *   so it is left to the next recording to dispose it
+ * @param {string} fileExtension - Image extension
+ * @param {number} fps - Capture frame rate, also the frame rate of the assembled video
+ * @param {Object|null} captions - Caption track, added as captions.vtt and captions.srt
+ */
+async function downloadFrames(frameStore, fileExtension, fps, captions) {
+    console.log('📦 Packing frames into a ZIP as fallback...');
+
+    const total = frameStore.count;
+    const digits = Math.max(4, String(total - 1).length);
+    const zip = createZipWriter();
+    const frames = [];
+
+    for (let index = 0; index < total; index++) {
+        const frame = await frameStore.get(index);
+        if (!frame) continue;
+
+        const file = `frames/frame-${String(index).padStart(digits, '0')}.${fileExtension}`;
+        await zip.addFile(file, frame);
+        frames.push({ file, timestamp: Math.round(frameStore.getTimestamp(index)) });
+    }
+
+    if (frames.length === 0) {
+        throw new Error('No frames could be read');
+    }
+
+    // Each frame lasts until the next one, the last one for one frame interval.
+    // The first frame also covers the time before it, so the video time equals the frame timestamps (and captions).
+    const durations = frames.map((frame, i) =>
+        ((i + 1 < frames.length ? frames[i + 1].timestamp : frame.timestamp + 1000 / fps) - (i === 0 ? 0 : frame.timestamp)) / 1000);
+    const concatList = [
+        'ffconcat version 1.0',
+        ...frames.flatMap((frame, i) => [`file '${frame.file}'`, `duration ${Math.max(0.001, durations[i]).toFixed(3)}`]),
+        `file '${frames[frames.length - 1].file}'`  // The concat demuxer ignores the duration of the last entry
+    ].join('\n') + '\n';
+
+    const videoFile = 'pizza-royale.mp4';
+    const subtitleInput = captions ? ' -i captions.srt -c:s mov_text' : '';
+    const ffmpeg = `ffmpeg -f concat -safe 0 -i frames.txt${subtitleInput} -r ${fps} -pix_fmt yuv420p -c:v libx264 -movflags +faststart ${videoFile}`;
+    const manifest = {
+        generator: 'Pizza Royale',
+        createdAt: new Date().toISOString(),
+        fps,
+        frameCount: frames.length,
+        duration: (frames[frames.length - 1].timestamp + 1000 / fps) / 1000,
+        frames,
+        captions: captions ? ['captions.vtt', 'captions.srt'] : [],
+        ffmpeg
+    };
+
+    await zip.addFile('frames.txt', concatList);
+    if (captions) {
+        await zip.addFile('captions.vtt', captions.toWebVTT());
+        await zip.addFile('captions.srt', captions.toSRT());
+    }
+    await zip.addFile('manifest.json', JSON.stringify(manifest, null, 2));
+    const archive = zip.finish();
+
+    downloadBlob(archive, `pizza-royale-frames-${Date.now()}.zip`);
+    console.log(`✅ Frame ZIP ready: ${frames.length} frames, ${(archive.size / 1024 / 1024).toFixed(1)} MB`);
+
+    alert(`📦 Downloaded ${frames.length} frames as ZIP.\n\nTo create the video, unpack it and run in the folder:\n${ffmpeg}`);
+}
+
+function createLoadingOverlay() {
+    const overlay = document.createElement('div');
+    overlay.id = 'video-generation-overlay';
+    overlay.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 0, 0, 0.8);
+        display: flex;
+        justify-content: center;
+        align-items: center;
+        z-index: 10000;
+        font-family: "GT Maru Medium", system-ui, Arial;
+    `;
+
+    const content = document.createElement('div');
+    content.style.cssText = `
+        background: #1a1a1a;
+        color: white;
+        padding: 40px;
+        border-radius: 15px;
+        text-align: center;
+        box-shadow: 0 10px 30px rgba(0, 0, 0, 0.5);
+        max-width: 400px;
+    `;
+
+    content.innerHTML = `
+        <div style="font-size: 48px; margin-bottom: 20px;">🎬</div>
+        <h2 style="color: #ffd700; margin-bottom: 15px;">Generating Video...</h2>
+        <p style="margin-bottom: 20px; opacity: 0.8;">Creating your Pizza Royale recording</p>
+        <div class="spinner" style="
+            border: 3px solid #333;
+            border-top: 3px solid #ffd700;
+            border-radius: 50%;
+            width: 40px;
+            height: 40px;
+            animation: spin 1s linear infinite;
+            margin: 0 auto;
+        "></div>
+    `;
+
+    // Add spinner animation
+    if (!document.getElementById('spinner-style')) {
+        const style = document.createElement('style');
+        style.id = 'spinner-style';
+        style.textContent = `
+            @keyframes spin {
+                0% { transform: rotate(0deg); }
+                100% { transform: rotate(360deg); }
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    overlay.appendChild(content);
+    document.body.appendChild(overlay);
+
+    return overlay;
+}
+
+function removeLoadingOverlay(overlay) {
+    if (overlay && overlay.parentNode) {
+        document.body.removeChild(overlay);
+    }
+}
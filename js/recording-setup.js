@@ -3,14 +3,27 @@
  * Pre-game recording setup with user choice and permissions
  */
 
-import { setupCanvasRecorder } from './canvas-recorder.js';
+import { createRecorder, listRecorderStrategies } from './recorder.js';
+import {
+    RECORDING_PRESETS, RECORDING_FPS, OUTPUT_RESOLUTIONS, VIDEO_CODECS, resolveRecordingConfig, validateRecordingConfig,
+    detectRecorderSupport, toRecorderOptions, loadRecordingSettings, saveRecordingSettings
+} from './recording-config.js';
+import { CAPTION_MODES } from './captions.js';
+
+const FIELD_STYLE = 'width: 100%; padding: 8px; background: #333; color: white; border: none; border-radius: 6px; font-size: 14px;';
 
 /**
  * Shows recording options dialog before game starts
+ * Offers every registered recorder strategy (unsupported ones are disabled), quality presets
+ * and an advanced panel. The chosen quality is remembered for the next game.
  * @param {HTMLCanvasElement} canvas - The game canvas
  * @returns {Promise<Object>} Selected recorder and start permission
  */
 export async function setupRecordingChoice(canvas) {
+    const strategies = listRecorderStrategies();
+    const settings = loadRecordingSettings();
+    const codecSupport = detectRecorderSupport();
+
     return new Promise((resolve) => {
         // Create modal dialog
         const modal = document.createElement('div');
@@ -36,6 +49,8 @@ export async function setupRecordingChoice(canvas) {
             border-radius: 15px;
             text-align: center;
             max-width: 500px;
+            max-height: 90vh;
+            overflow-y: auto;
             box-shadow: 0 10px 30px rgba(0, 0, 0, 0.5);
         `;
 
@@ -44,22 +59,59 @@ export async function setupRecordingChoice(canvas) {
             <p style="margin-bottom: 30px; line-height: 1.6;">
                 Choose if you want to record your Pizza Battle:
             </p>
+
+            <div style="margin-bottom: 25px; text-align: left;">
+                <label for="recording-preset" style="display: block; margin-bottom: 8px;">Quality</label>
+                <select id="recording-preset" style="${FIELD_STYLE}">
+                    ${Object.entries(RECORDING_PRESETS).map(([id, preset]) =>
+                        `<option value="${id}">${preset.name} – ${preset.description}</option>`).join('')}
+                </select>
+
+                <details style="margin-top: 12px;">
+                    <summary style="cursor: pointer; opacity: 0.8;">⚙️ Advanced</summary>
+                    <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px; margin-top: 12px; font-size: 13px;">
+                        <label>Frame rate
+                            <select id="recording-fps" style="${FIELD_STYLE}">
+                                ${RECORDING_FPS.map(fps => `<option value="${fps}">${fps} fps</option>`).join('')}
+                            </select>
+                        </label>
+                        <label>Resolution
+                            <select id="recording-resolution" style="${FIELD_STYLE}">
+                                ${OUTPUT_RESOLUTIONS.map(width =>
+                                    `<option value="${width}">${width}×${Math.round(width * 16 / 9)}</option>`).join('')}
+                            </select>
+                        </label>
+                        <label>Bitrate (Mbps)
+                            <input id="recording-bitrate" type="number" min="0.5" max="50" step="0.5" style="${FIELD_STYLE}">
+                        </label>
+                        <label>Codec preference
+                            <select id="recording-codec" style="${FIELD_STYLE}">
+                                ${Object.entries(VIDEO_CODECS).map(([id, codec]) => `<option value="${id}">${codec.label}</option>`).join('')}
+                            </select>
+                        </label>
+                        <label>JPEG quality (frames)
+                            <input id="recording-quality" type="number" min="0.1" max="1" step="0.01" style="${FIELD_STYLE}">
+                        </label>
+                        <label>Frame memory (MB)
+                            <input id="recording-memory" type="number" min="8" step="8" style="${FIELD_STYLE}">
+                        </label>
+                        <label style="grid-column: 1 / -1;">Captions (game events)
+                            <select id="recording-captions" style="${FIELD_STYLE}">
+                                ${Object.entries(CAPTION_MODES).map(([id, label]) => `<option value="${id}">${label}</option>`).join('')}
+                            </select>
+                        </label>
+                    </div>
+                    <div style="margin-top: 12px; font-size: 12px; opacity: 0.8; line-height: 1.6;">
+                        MediaRecorder on this browser:<br>
+                        ${codecSupport.map(({ mimeType, supported }) => `${supported ? '✅' : '❌'} ${mimeType}`).join('<br>')}
+                        <br>WebCodecs strategies always encode H.264 (MP4).
+                    </div>
+                </details>
+            </div>
             
             <div style="display: flex; flex-direction: column; gap: 15px;">
-                <button id="canvas-record" style="
-                    padding: 15px 20px;
-                    background: #4444ff;
-                    color: white;
-                    border: none;
-                    border-radius: 8px;
-                    font-size: 16px;
-                    cursor: pointer;
-                    transition: background 0.3s;
-                ">
-                    🎮 Record Game Video
-                    <br><small style="opacity: 0.8;">Records the game as MP4 video</small>
-                </button>
-                
+                ${strategies.map(strategyOption).join('')}
+
                 <button id="no-record" style="
                     padding: 15px 20px;
                     background: #666;
@@ -82,29 +134,76 @@ export async function setupRecordingChoice(canvas) {
         document.body.appendChild(modal);
 
         const statusDiv = dialog.querySelector('#status');
+        const presetSelect = dialog.querySelector('#recording-preset');
+        const fields = {
+            fps: dialog.querySelector('#recording-fps'),
+            resolution: dialog.querySelector('#recording-resolution'),
+            bitrate: dialog.querySelector('#recording-bitrate'),
+            codec: dialog.querySelector('#recording-codec'),
+            quality: dialog.querySelector('#recording-quality'),
+            memoryBudgetMB: dialog.querySelector('#recording-memory'),
+            captions: dialog.querySelector('#recording-captions')
+        };
 
-        // Canvas recording option
-        dialog.querySelector('#canvas-record').onclick = async () => {
-            statusDiv.textContent = '🔄 Setting up canvas recording...';
-
-            try {
-                const canvasRecorder = setupCanvasRecorder(canvas);
-                statusDiv.textContent = '✅ Canvas recording ready! Starting game...';
-
-                setTimeout(() => {
-                    document.body.removeChild(modal);
-                    resolve({
-                        recorder: canvasRecorder,
-                        type: 'canvas',
-                        ready: true
-                    });
-                }, 1000);
-            } catch (error) {
-                statusDiv.textContent = '❌ Canvas recording setup failed.';
-                console.error('Canvas recording error:', error);
-            }
+        const fillFields = (config) => {
+            fields.fps.value = config.fps;
+            fields.resolution.value = config.resolution;
+            fields.bitrate.value = config.bitrate / 1_000_000;
+            fields.codec.value = config.codec;
+            fields.quality.value = config.quality;
+            fields.memoryBudgetMB.value = config.memoryBudgetMB;
+            fields.captions.value = config.captions;
         };
 
+        const readConfig = () => resolveRecordingConfig({
+            fps: Number(fields.fps.value),
+            resolution: Number(fields.resolution.value),
+            bitrate: Math.round(Number(fields.bitrate.value) * 1_000_000),
+            codec: fields.codec.value,
+            quality: Number(fields.quality.value),
+            memoryBudgetMB: Number(fields.memoryBudgetMB.value),
+            captions: fields.captions.value
+        });
+
+        presetSelect.value = settings.presetId;
+        fillFields(settings.config);
+        // Presets only set the quality, the caption choice stays
+        presetSelect.onchange = () => fillFields(resolveRecordingConfig({
+            ...RECORDING_PRESETS[presetSelect.value].config,
+            captions: fields.captions.value
+        }));
+
+        // Recorder strategy options
+        strategies.filter(strategy => strategy.supported).forEach(strategy => {
+            dialog.querySelector(`#record-${strategy.name}`).onclick = async () => {
+                const config = readConfig();
+                const errors = validateRecordingConfig(config);
+                if (errors.length > 0) {
+                    statusDiv.textContent = `❌ ${errors.join(', ')}`;
+                    return;
+                }
+                saveRecordingSettings({ presetId: presetSelect.value, config });
+                statusDiv.textContent = `🔄 Setting up ${strategy.label}...`;
+
+                try {
+                    const recorder = await createRecorder(strategy.name, canvas, toRecorderOptions(config, canvas));
+                    statusDiv.textContent = '✅ Recording ready! Starting game...';
+
+                    setTimeout(() => {
+                        document.body.removeChild(modal);
+                        resolve({
+                            recorder,
+                            type: strategy.name,
+                            ready: true
+                        });
+                    }, 1000);
+                } catch (error) {
+                    statusDiv.textContent = `❌ ${error.message}`;
+                    console.error('Recording setup error:', error);
+                }
+            };
+        });
+
         // No recording option
         dialog.querySelector('#no-record').onclick = () => {
             statusDiv.textContent = '⏭️ Starting game without recording...';
@@ -122,6 +221,7 @@ export async function setupRecordingChoice(canvas) {
         // Add hover effects
         const buttons = dialog.querySelectorAll('button');
         buttons.forEach(button => {
+            if (button.disabled) return;
             button.onmouseenter = () => {
                 button.style.transform = 'scale(1.05)';
             };
@@ -132,14 +232,37 @@ export async function setupRecordingChoice(canvas) {
     });
 }
 
+/**
+ * Renders the button of a recorder strategy
+ * @param {Object} strategy - Definition from listRecorderStrategies()
+ * @returns {string} HTML
+ */
+function strategyOption(strategy) {
+    const { name, label, description, color, supported, unsupportedReason } = strategy;
+    return `
+        <button id="record-${name}" ${supported ? '' : 'disabled'} style="
+            padding: 15px 20px;
+            background: ${supported ? color : '#444'};
+            color: white;
+            border: none;
+            border-radius: 8px;
+            font-size: 16px;
+            cursor: ${supported ? 'pointer' : 'not-allowed'};
+            transition: background 0.3s;
+        ">
+            ${label}
+            <br><small style="opacity: 0.8;">${supported ? description : unsupportedReason}</small>
+        </button>`;
+}
+
 /**
  * Creates a recording status indicator during the game
- * @param {Object} recorder - The active recorder
- * @param {string} type - Recording type ('screen', 'canvas', 'none')
+ * Shows duration and stored size from the recorder's progress events
+ * @param {Object} recorder - The active recorder from createRecorder()
  * @returns {HTMLElement} Status indicator element
  */
-export function createRecordingStatus(recorder, type) {
-    if (type === 'none' || !recorder) return null;
+export function createRecordingStatus(recorder) {
+    if (!recorder) return null;
 
     const indicator = document.createElement('div');
     indicator.style.cssText = `
@@ -178,10 +301,33 @@ export function createRecordingStatus(recorder, type) {
     `;
     document.head.appendChild(style);
 
+    const label = recorder.statusLabel;
+    const text = document.createTextNode(label);
     indicator.appendChild(dot);
-    indicator.appendChild(document.createTextNode(`Recording ${type}`));
+    indicator.appendChild(text);
 
     document.body.appendChild(indicator);
 
+    // Progress and size, until the indicator is removed at the end of the game
+    const unsubscribe = recorder.onProgress(stats => {
+        if (!indicator.isConnected) {
+            unsubscribe();
+            return;
+        }
+        text.textContent = formatRecordingStatus(label, stats);
+    });
+
     return indicator;
 }
+
+/**
+ * Formats the indicator text from the recorder stats
+ * @param {string} label - Recording label
+ * @param {Object} stats - frames, duration, bytes and spilledBytes from a progress event
+ * @returns {string} e.g. "Recording · 12.4s · 38.1 MB (22.0 MB on disk)"
+ */
+function formatRecordingStatus(label, { duration, bytes, spilledBytes }) {
+    const toMB = value => (value / 1024 / 1024).toFixed(1);
+    const spilled = spilledBytes > 0 ? ` (${toMB(spilledBytes)} MB on disk)` : '';
+    return `${label} · ${duration.toFixed(1)}s · ${toMB(bytes)} MB${spilled}`;
+}
@@ -0,0 +1,210 @@
+/**
+ * Pizza Royale - Replay Files
+ * Captures everything needed to re-run a battle (seed, roster, config, tick inputs)
+ * and reads it back from an exported JSON file
+ */
+
+import { resolveGameConfig, validateGameConfig } from './game-config.js';
+
+export const REPLAY_FORMAT = 'pizza-byte-fight-replay';
+export const REPLAY_VERSION = 3;  // Bumped whenever the simulation changes how a seed plays out
+
+// Roster fields that influence the simulation (everything else is dropped from the snapshot)
+const ROSTER_FIELDS = [
+    'igUserId', 'username', 'avatarUrl',
+    'baseHp', 'baseArmor', 'baseMass',
+    'boostHp', 'boostArmor', 'boostShield',
+    'eatRate', 'team'
+];
+
+// Accepted simulation timestep of a replay in seconds (0 replays the recorded legacy frame timesteps)
+const MIN_FIXED_DT = 1 / 1000;
+const MAX_FIXED_DT = 0.1;
+const MAX_LEGACY_DT = 0.05;  // Frame time clamp of the legacy timestep (see advanceSimulation in game.js)
+
+/**
+ * Creates the per-tick input log of a battle
+ * The only external input of the simulation is the timestep of each tick, so the log
+ * stores these run-length encoded as [dt, count] pairs (a fixed timestep collapses to one pair)
+ * @param {Array<Array<number>>} [recorded] - Inputs of an existing replay to play back
+ * @returns {Object} Input log with next() and toJSON()
+ */
+export function createInputLog(recorded = null) {
+    const entries = recorded ? recorded.map(([dt, count]) => [dt, count]) : [];
+    let entryIndex = 0;
+    let usedInEntry = 0;
+    let exhaustedWarned = false;
+
+    return {
+        /**
+         * Returns the timestep for the next tick
+         * When recording, the live timestep is logged and returned as-is.
+         * When playing back, the recorded timestep is returned instead.
+         * @param {number} liveDt - Timestep the live loop would use
+         * @returns {number} Timestep to simulate
+         */
+        next(liveDt) {
+            if (!recorded) {
+                const lastEntry = entries[entries.length - 1];
+                if (lastEntry && lastEntry[0] === liveDt) {
+                    lastEntry[1]++;
+                } else {
+                    entries.push([liveDt, 1]);
+                }
+                return liveDt;
+            }
+
+            while (entryIndex < entries.length && usedInEntry >= entries[entryIndex][1]) {
+                entryIndex++;
+                usedInEntry = 0;
+            }
+
+            if (entryIndex >= entries.length) {
+                if (!exhaustedWarned) {
+                    console.warn('⚠️ Replay inputs exhausted, continuing with live timestep');
+                    exhaustedWarned = true;
+                }
+                return liveDt;
+            }
+
+            usedInEntry++;
+            return entries[entryIndex][0];
+        },
+
+        toJSON() {
+            return entries.map(([dt, count]) => [dt, count]);
+        }
+    };
+}
+
+/**
+ * Builds a replay object from a finished (or running) battle
+ * @param {Object} data - Battle data
+ * @param {number} data.seed - Seed of the game RNG
+ * @param {string|null} [data.matchId] - Match the battle was played as (see matches.js)
+ * @param {Array<Object>|null} data.roster - Roster the battle was started with
+ * @param {number} [data.demoRosterSize] - Size of the generated demo roster (replaces the roster snapshot)
+ * @param {Object} data.config - Simulation config (timestep etc.)
+ * @param {Object} data.inputs - Input log from createInputLog()
+ * @param {Object} [data.result] - Optional summary of the outcome, for reference only
+ * @param {Object} [data.season] - Season day and carry-over ({ day, carryOver, bonus }) the battle was played with
+ * @returns {Object} Serializable replay
+ */
+export function buildReplay({ seed, matchId = null, roster, demoRosterSize, config, inputs, result = null, season = null }) {
+    return {
+        format: REPLAY_FORMAT,
+        version: REPLAY_VERSION,
+        createdAt: new Date().toISOString(),
+        seed,
+        matchId,
+        config: { ...config },
+        roster: demoRosterSize
+            ? { demo: demoRosterSize }
+            : roster.map(p => {
+                const entry = {};
+                for (const field of ROSTER_FIELDS) {
+                    if (p[field] !== undefined) entry[field] = p[field];
+                }
+                return entry;
+            }),
+        inputs: inputs.toJSON(),
+        season,
+        result
+    };
+}
+
+/**
+ * Parses and validates a replay from its JSON text
+ * The game config is completed with the defaults, so the replay can be started as is.
+ * @param {string} text - File contents
+ * @returns {Object} Replay object
+ * @throws {Error} If the file is not a valid replay
+ */
+export function parseReplay(text) {
+    let replay;
+    try {
+        replay = JSON.parse(text);
+    } catch (e) {
+        throw new Error('Replay-Datei ist kein gültiges JSON');
+    }
+
+    if (!replay || replay.format !== REPLAY_FORMAT) {
+        throw new Error('Keine Pizza Byte Fight Replay-Datei');
+    }
+    if (replay.version !== REPLAY_VERSION) {
+        throw new Error(`Replay-Version ${replay.version} wird nicht unterstützt (erwartet: ${REPLAY_VERSION})`);
+    }
+    if (!Number.isFinite(replay.seed)) {
+        throw new Error('Replay enthält keinen Seed');
+    }
+    if (!Array.isArray(replay.inputs)) {
+        throw new Error('Replay enthält keine Eingaben');
+    }
+
+    const roster = replay.roster;
+    const validRoster = Array.isArray(roster) ? roster.length > 0 : (Number.isInteger(roster?.demo) && roster.demo > 0);
+    if (!validRoster) {
+        throw new Error('Replay enthält keinen Roster');
+    }
+
+    if (!replay.config || typeof replay.config !== 'object') {
+        throw new Error('Replay enthält keine Konfiguration');
+    }
+    const { fixedDt } = replay.config;
+    if (!(fixedDt === 0 || (Number.isFinite(fixedDt) && fixedDt >= MIN_FIXED_DT && fixedDt <= MAX_FIXED_DT))) {
+        throw new Error(`Replay enthält einen ungültigen Zeitschritt (fixedDt: ${fixedDt})`);
+    }
+
+    // Every input is a [dt, count] pair with a timestep the live loop could have produced
+    const [minDt, maxDt] = fixedDt > 0 ? [MIN_FIXED_DT, MAX_FIXED_DT] : [0, MAX_LEGACY_DT];
+    const invalidInput = replay.inputs.findIndex(entry => !Array.isArray(entry) || entry.length !== 2 ||
+        !(Number.isFinite(entry[0]) && entry[0] >= minDt && entry[0] <= maxDt) ||
+        !(Number.isInteger(entry[1]) && entry[1] > 0));
+    if (invalidInput !== -1) {
+        throw new Error(`Replay enthält eine ungültige Eingabe an Position ${invalidInput}`);
+    }
+
+    let game;
+    let configErrors;
+    try {
+        game = resolveGameConfig(replay.config.game || {});
+        configErrors = validateGameConfig(game);
+    } catch (e) {
+        configErrors = ['unlesbare Werte'];
+    }
+    if (configErrors.length > 0) {
+        throw new Error(`Replay enthält eine ungültige Spielkonfiguration: ${configErrors.join(', ')}`);
+    }
+
+    return { ...replay, config: { ...replay.config, game } };
+}
+
+/**
+ * Reads a replay from a file chosen by the user
+ * @param {File} file - Selected replay file
+ * @returns {Promise<Object>} Replay object
+ */
+export async function readReplayFile(file) {
+    return parseReplay(await file.text());
+}
+
+/**
+ * Triggers a download of the replay as a JSON file
+ * @param {Object} replay - Replay from buildReplay()
+ */
+export function downloadReplay(replay) {
+    const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `pizza-royale-replay-${replay.seed}.json`;
+    a.style.display = 'none';
+
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    console.log(`📼 Replay exported (seed ${replay.seed})`);
+}
@@ -0,0 +1,102 @@
+/**
+ * Pizza Royale - Roster
+ * Turns roster responses into the participant model of the game (igUserId, username, avatarUrl, stats, team)
+ * Accepts the internal array, the documented { participants } shape of /api/roster and the /api/import/followers shape
+ */
+
+// Optional numeric roster values (see stat-model.js), invalid ones are removed so the defaults apply
+const STAT_FIELDS = ['baseHp', 'baseArmor', 'baseMass', 'boostHp', 'boostArmor', 'boostShield', 'eatRate'];
+const POSITIVE_FIELDS = new Set(['baseHp', 'baseMass', 'eatRate']);  // Must be > 0, the others >= 0
+
+/**
+ * Normalizes and validates a roster
+ * Rows without id and duplicate ids are dropped, invalid avatar URLs and stats are removed.
+ * @param {*} data - Response body of /api/roster (or /api/import/followers)
+ * @returns {Object} { roster, issues } - issues: { row, id, reason, dropped } per rejected or corrected row
+ * @throws {Error} If the data is neither an array nor an object with a participants array
+ */
+export function normalizeRoster(data) {
+    const rows = Array.isArray(data) ? data : data?.participants;
+    if (!Array.isArray(rows)) throw new Error('Unbekanntes Roster-Format (erwartet: Array oder { participants: [...] })');
+
+    const roster = [];
+    const issues = [];
+    const seen = new Set();
+
+    rows.forEach((row, index) => {
+        const report = (id, reason, dropped) => issues.push({ row: index, id, reason, dropped });
+
+        if (!row || typeof row !== 'object' || Array.isArray(row)) {
+            report(null, 'Kein Objekt', true);
+            return;
+        }
+
+        const { id, name } = readIdentity(row);
+        if (!id) {
+            report(null, 'ID fehlt (igUserId, id oder username)', true);
+            return;
+        }
+        if (seen.has(id)) {
+            report(id, 'Doppelte ID', true);
+            return;
+        }
+        seen.add(id);
+
+        const entry = { igUserId: id, username: name || id, avatarUrl: null };
+
+        if (row.avatarUrl !== undefined && row.avatarUrl !== null && row.avatarUrl !== '') {
+            if (isValidImageUrl(row.avatarUrl)) entry.avatarUrl = row.avatarUrl;
+            else report(id, `Ungültige avatarUrl entfernt: ${String(row.avatarUrl).slice(0, 60)}`, false);
+        }
+
+        for (const field of STAT_FIELDS) {
+            if (row[field] === undefined || row[field] === null) continue;
+            const value = row[field];
+            if (Number.isFinite(value) && (POSITIVE_FIELDS.has(field) ? value > 0 : value >= 0)) entry[field] = value;
+            else report(id, `Ungültiger Wert ${field}=${value} entfernt`, false);
+        }
+
+        if (typeof row.team === 'string' && row.team.trim()) entry.team = row.team.trim();
+
+        roster.push(entry);
+    });
+
+    return { roster, issues };
+}
+
+/**
+ * Summarizes validation issues for the operator
+ * @param {Array<Object>} issues - Issues from normalizeRoster()
+ * @returns {string} e.g. "2 Einträge verworfen, 1 korrigiert", empty if there are no issues
+ */
+export function summarizeRosterIssues(issues) {
+    const dropped = issues.filter(issue => issue.dropped).length;
+    const corrected = new Set(issues.filter(issue => !issue.dropped).map(issue => issue.id)).size;
+    const parts = [];
+    if (dropped) parts.push(`${dropped} ${dropped === 1 ? 'Eintrag' : 'Einträge'} verworfen`);
+    if (corrected) parts.push(`${corrected} korrigiert`);
+    return parts.join(', ');
+}
+
+/**
+ * Reads id and display name from the supported row shapes
+ * internal: { igUserId, username } · participants: { id, name } · followers: { username, displayName }
+ */
+function readIdentity(row) {
+    const text = value => (typeof value === 'string' || Number.isFinite(value) ? String(value).trim() : '');
+
+    if (row.igUserId !== undefined) return { id: text(row.igUserId), name: text(row.username) };
+    if (row.id !== undefined) return { id: text(row.id), name: text(row.name) || text(row.username) };
+    return { id: text(row.username), name: text(row.displayName) };
+}
+
+function isValidImageUrl(url) {
+    if (typeof url !== 'string') return false;
+    if (url.startsWith('data:image/') || url.startsWith('blob:')) return true;
+    try {
+        const { protocol } = new URL(url, 'http://relative.invalid/');
+        return protocol === 'http:' || protocol === 'https:';
+    } catch (e) {
+        return false;
+    }
+}
@@ -0,0 +1,153 @@
+/**
+ * Pizza Royale - Season Mode
+ * Day counter, carry-over bonus for survivors and season standings across battles
+ * Persisted on the backend when available, in the browser otherwise
+ */
+
+import { apiGet, apiPut } from './api-client.js';
+
+const SEASON_STORAGE_KEY = 'pizzaRoyale.season';
+const SEASON_API_PATH = '/api/season';
+
+// Season points per battle
+export const SEASON_POINTS = Object.freeze({
+    win: 10,      // Placement 1
+    survived: 5,  // Alive at the end of the day
+    kill: 1       // Per elimination
+});
+
+/**
+ * Creates an empty season (no day played yet)
+ * @returns {Object} Season with day, standings and carryOver
+ */
+export function createSeason() {
+    return {
+        day: 0,          // Last completed day
+        standings: {},   // igUserId → { username, points, wins, survivedDays, kills }
+        carryOver: [],   // igUserIds of the survivors of the last day
+        updatedAt: null
+    };
+}
+
+/**
+ * Loads the season from the backend, falling back to the browser storage
+ * @returns {Promise<Object>} Season
+ */
+export async function loadSeason() {
+    try {
+        const season = await apiGet(SEASON_API_PATH);
+        if (Number.isInteger(season?.day)) {
+            localStorage.setItem(SEASON_STORAGE_KEY, JSON.stringify(season));
+            return { ...createSeason(), ...season };
+        }
+    } catch (e) {
+        console.warn(`Season API unavailable (${e.message}), using local season`);
+    }
+
+    try {
+        const stored = JSON.parse(localStorage.getItem(SEASON_STORAGE_KEY));
+        if (stored && Number.isInteger(stored.day)) return { ...createSeason(), ...stored };
+    } catch (e) {
+        console.warn('Failed to load local season:', e);
+    }
+
+    return createSeason();
+}
+
+/**
+ * Persists the season on the backend and in the browser storage
+ * @param {Object} season - Season to store
+ * @returns {Promise<boolean>} True if the backend stored it, false if only the browser storage did
+ * @throws {Error} If neither the backend nor the browser storage stored it
+ */
+export async function saveSeason(season) {
+    let storedLocally = true;
+    try {
+        localStorage.setItem(SEASON_STORAGE_KEY, JSON.stringify(season));
+    } catch (e) {
+        storedLocally = false;
+        console.warn('Failed to store season locally:', e);
+    }
+
+    try {
+        await apiPut(SEASON_API_PATH, season);
+        return true;
+    } catch (e) {
+        if (!storedLocally) throw new Error(`Saison konnte nicht gespeichert werden (${e.message})`);
+        console.warn(`Season API unavailable (${e.message}), season saved locally only`);
+        return false;
+    }
+}
+
+/**
+ * Starts a new season (day counter and standings are cleared)
+ * @returns {Promise<boolean>} True if the backend stored it
+ * @throws {Error} If the season could not be stored at all
+ */
+export async function resetSeason() {
+    return saveSeason(createSeason());
+}
+
+/**
+ * Gives the survivors of the last day their carry-over bonus
+ * Eliminated followers re-join the next day without a bonus
+ * @param {Array<Object>} roster - Roster entries
+ * @param {Array<string>} carryOver - igUserIds of the last day's survivors
+ * @param {number} bonus - Extra boostHp for each survivor
+ * @returns {Array<Object>} Roster entries (survivors copied with the bonus)
+ */
+export function applyCarryOver(roster, carryOver, bonus) {
+    if (!bonus || carryOver.length === 0) return roster;
+
+    const survivors = new Set(carryOver);
+    return roster.map(p => (survivors.has(p.igUserId)
+        ? { ...p, boostHp: (p.boostHp || 0) + bonus }
+        : p));
+}
+
+/**
+ * Adds a finished battle to the season
+ * @param {Object} season - Season before the battle
+ * @param {Array<Object>} placements - Placements from computePlacements()
+ * @returns {Object} New season with the day counted, standings updated and the survivors for the carry-over
+ */
+export function recordSeasonDay(season, placements) {
+    const standings = { ...season.standings };
+
+    for (const placement of placements) {
+        const won = placement.rank === 1 && placement.survived;
+        const points = (won ? SEASON_POINTS.win : 0) +
+            (placement.survived ? SEASON_POINTS.survived : 0) +
+            placement.kills * SEASON_POINTS.kill;
+        if (points === 0) continue;
+
+        const entry = standings[placement.id] || { username: placement.name, points: 0, wins: 0, survivedDays: 0, kills: 0 };
+        standings[placement.id] = {
+            username: placement.name,
+            points: entry.points + points,
+            wins: entry.wins + (won ? 1 : 0),
+            survivedDays: entry.survivedDays + (placement.survived ? 1 : 0),
+            kills: entry.kills + placement.kills
+        };
+    }
+
+    return {
+        day: season.day + 1,
+        standings,
+        carryOver: placements.filter(p => p.survived).map(p => p.id),
+        updatedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Returns the best entries of the season standings
+ * @param {Object} season - Season
+ * @param {number} count - Number of entries
+ * @returns {Array<Object>} Entries with igUserId, username and points, best first
+ */
+export function topStandings(season, count) {
+    return Object.entries(season.standings)
+        .map(([igUserId, entry]) => ({ igUserId, ...entry }))
+        .sort((a, b) => (b.points - a.points) || (b.wins - a.wins) || (a.igUserId < b.igUserId ? -1 : 1))
+        .slice(0, count);
+}
@@ -0,0 +1,222 @@
+/**
+ * Pizza Royale - Game Session Outbox
+ * Game sessions the backend did not accept are kept in IndexedDB with their full payload
+ * and sent again automatically (with backoff) once the backend is reachable; the admin panel lists them
+ */
+
+import { apiPost, ApiHttpError } from './api-client.js';
+import { resolveMatchId } from './matches.js';
+import { linkQueuedGameSession } from './video-library.js';
+
+const OUTBOX_DB_NAME = 'pizzaRoyale.outbox';
+const OUTBOX_DB_VERSION = 1;
+const SESSION_STORE = 'gameSessions';
+const RETRY_DELAY = 30 * 1000;        // ms before the first automatic retry, doubled after every failure
+const MAX_RETRY_DELAY = 30 * 60 * 1000;
+const SYNC_INTERVAL = 30 * 1000;      // ms between checks for due entries
+
+// Entry status: pending entries are retried automatically, rejected ones (4xx) only by hand
+export const OUTBOX_STATUS = Object.freeze({
+    pending: 'Waiting for retry',
+    rejected: 'Rejected by backend'
+});
+
+let dbPromise = null;
+let flushPromise = null;
+let syncTimer = null;
+
+/**
+ * Sends a game session to the backend, local match ids are replaced by their synced backend ids
+ * @param {Object} payload - Game session (see POST /api/game-sessions)
+ * @returns {Promise<Object>} Backend response with gameSessionId
+ * @throws {ApiError} If the backend did not store the session
+ */
+export async function sendGameSession(payload) {
+    const matchId = payload.matchId ? await resolveMatchId(payload.matchId) : null;
+    return apiPost('/api/game-sessions', { ...payload, matchId });
+}
+
+/**
+ * Saves a game session, queueing it in the outbox if the backend does not accept it
+ * @param {Object} payload - Game session (see POST /api/game-sessions)
+ * @returns {Promise<Object>} { saved: true, gameSessionId } or { saved: false, error, outboxId, status }
+ *   - status is the outbox status of the queued entry (key of OUTBOX_STATUS)
+ * @throws {Error} If the session could neither be sent nor queued
+ */
+export async function saveGameSessionWithOutbox(payload) {
+    try {
+        const result = await sendGameSession(payload);
+        // The backend is reachable, send what was queued before
+        flushOutbox({ force: true }).catch(error => console.warn('Outbox sync failed:', error));
+        return { saved: true, gameSessionId: result?.gameSessionId ?? null };
+    } catch (error) {
+        const { id, status } = await queueGameSession(payload, error);
+        console.warn(`📤 Game session queued in outbox as ${status} (${error.message})`);
+        return { saved: false, error, outboxId: id, status };
+    }
+}
+
+/**
+ * Stores a game session in the outbox
+ * @param {Object} payload - Game session
+ * @param {Error} error - Why sending failed
+ * @returns {Promise<Object>} Stored entry, see listOutbox()
+ */
+export async function queueGameSession(payload, error) {
+    const now = Date.now();
+    const entry = applyFailure({ payload, createdAt: now, attempts: 0 }, error, now);
+    const db = await openDb();
+    const id = await runTransaction(db, 'readwrite', store => store.add(entry));
+    return { ...entry, id };
+}
+
+/**
+ * Lists the outbox, oldest first
+ * @returns {Promise<Array<Object>>} Entries { id, payload, createdAt, attempts, status, lastError, lastAttemptAt, nextAttemptAt }
+ */
+export async function listOutbox() {
+    const db = await openDb();
+    return runTransaction(db, 'readonly', store => store.getAll());
+}
+
+/**
+ * Sends an outbox entry now, regardless of its status and backoff
+ * @param {number} id - Entry id
+ * @returns {Promise<Object>} Backend response, the entry is removed and its video linked to the session
+ * @throws {ApiError} If sending failed again (the entry is kept with the new error)
+ */
+export async function retryOutboxEntry(id) {
+    if (flushPromise) await flushPromise.catch(() => { });  // Never send an entry twice at the same time
+    const db = await openDb();
+    const entry = await runTransaction(db, 'readonly', store => store.get(id));
+    if (!entry) throw new Error(`Outbox entry ${id} not found`);
+    return sendEntry(db, entry);
+}
+
+/**
+ * Removes an outbox entry without sending it
+ * @param {number} id - Entry id
+ * @returns {Promise<void>}
+ */
+export async function discardOutboxEntry(id) {
+    const db = await openDb();
+    await runTransaction(db, 'readwrite', store => { store.delete(id); });
+}
+
+/**
+ * Sends all pending entries whose retry is due
+ * Stops at the first entry that fails with a network error or timeout, the backend is still gone then.
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Ignore the backoff of pending entries
+ * @param {boolean} [options.includeRejected] - Also send rejected entries (retry by hand)
+ * @returns {Promise<Object>} { sent, failed, skipped } counts of this run
+ */
+export function flushOutbox({ force = false, includeRejected = false } = {}) {
+    if (!flushPromise) {
+        flushPromise = flush(force, includeRejected).finally(() => { flushPromise = null; });
+    }
+    return flushPromise;
+}
+
+/**
+ * Starts the automatic retries: now, when the browser comes back online and periodically
+ */
+export function startOutboxSync() {
+    if (syncTimer || typeof indexedDB === 'undefined') return;
+
+    const run = () => flushOutbox().catch(error => console.warn('Outbox sync failed:', error));
+    window.addEventListener('online', () => flushOutbox({ force: true }).catch(error => console.warn('Outbox sync failed:', error)));
+    syncTimer = setInterval(run, SYNC_INTERVAL);
+    run();
+}
+
+async function flush(force, includeRejected) {
+    const db = await openDb();
+    const entries = await runTransaction(db, 'readonly', store => store.getAll());
+    const now = Date.now();
+    let sent = 0;
+    let failed = 0;
+
+    const due = entries.filter(entry => (entry.status === 'pending' || (includeRejected && entry.status === 'rejected')) &&
+        (force || entry.nextAttemptAt <= now));
+    for (const entry of due) {
+        try {
+            await sendEntry(db, entry);
+            sent++;
+        } catch (error) {
+            failed++;
+            if (!(error instanceof ApiHttpError)) break;
+        }
+    }
+
+    if (sent > 0) console.log(`📤 Outbox: ${sent} game session(s) sent`);
+    return { sent, failed, skipped: entries.length - sent - failed };
+}
+
+async function sendEntry(db, entry) {
+    try {
+        const result = await sendGameSession(entry.payload);
+        console.log(`✅ Queued game session saved: ${result?.gameSessionId}`);
+        // Link before removing the entry, the video may be stored now or later (see video-library.js)
+        if (result?.gameSessionId !== undefined && result.gameSessionId !== null) {
+            await linkQueuedGameSession(entry.id, result.gameSessionId)
+                .catch(error => console.warn('Failed to link video to game session:', error));
+        }
+        await runTransaction(db, 'readwrite', store => { store.delete(entry.id); });
+        return result;
+    } catch (error) {
+        const updated = applyFailure(entry, error, Date.now());
+        await runTransaction(db, 'readwrite', store => { store.put(updated); });
+        throw error;
+    }
+}
+
+/**
+ * Records a failed attempt: rejected for client errors, otherwise pending with the next backoff step
+ */
+function applyFailure(entry, error, now) {
+    const attempts = entry.attempts + 1;
+    const rejected = error instanceof ApiHttpError && error.status >= 400 && error.status < 500 &&
+        error.status !== 408 && error.status !== 429;
+    return {
+        ...entry,
+        attempts,
+        status: rejected ? 'rejected' : 'pending',
+        lastError: error.message,
+        lastAttemptAt: now,
+        nextAttemptAt: now + Math.min(MAX_RETRY_DELAY, RETRY_DELAY * 2 ** (attempts - 1))
+    };
+}
+
+function openDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(OUTBOX_DB_NAME, OUTBOX_DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(SESSION_STORE, { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Retry on the next call if opening failed (e.g. private mode)
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+}
+
+/**
+ * Runs requests in one transaction on the outbox store
+ * @param {IDBDatabase} db - Outbox database
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} work - Receives the object store, may return a request whose result is resolved
+ * @returns {Promise<*>} Result of the returned request once the transaction is complete
+ */
+function runTransaction(db, mode, work) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(SESSION_STORE, mode);
+        const request = work(transaction.objectStore(SESSION_STORE));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
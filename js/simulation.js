@@ -0,0 +1,870 @@
+/**
+ * Pizza Royale - Simulation Core
+ * Physics, combat, pizza eating and adaptive controllers without any browser dependencies
+ * Runs in the browser (driven by game.js) and in Node (driven by tools/batch-simulate.mjs)
+ */
+
+import { resolveGameConfig } from './game-config.js';
+import { deriveStats, absorbWithShield } from './stat-model.js';
+import {
+    POWER_UP_TYPES, POWER_UP_RADIUS, SPEED_BURST_MULTIPLIER, DOUBLE_BITE_MULTIPLIER, applyPowerUp, hasPowerUp
+} from './power-ups.js';
+
+/**
+ * Fixed game constants shared by the simulation and the renderer
+ * Tunable values live in the game config (see game-config.js)
+ */
+export const SIMULATION_CONSTANTS = Object.freeze({
+    WIDTH: 1080,                // Instagram Reel format
+    HEIGHT: 1920,
+    MAX_ANIMATED_PLAYERS: 2000  // Maximum animated participants for performance
+});
+
+/**
+ * Folds any number into a valid seed for createRng()
+ * The generator needs an integer in [1, 2147483646]
+ * @param {number} seed - Arbitrary seed
+ * @returns {number} Valid seed
+ */
+export function normalizeSeed(seed) {
+    return Math.abs(Math.floor(seed)) % 2147483646 || 1;
+}
+
+/**
+ * Seeded random number generator (Park-Miller) for consistent gameplay
+ * @param {number} seed - Seed from normalizeSeed()
+ * @returns {Function} Generator returning numbers in (-1, 1) (Math.imul wraps to signed 32 bit)
+ */
+export function createRng(seed) {
+    return (s => () => (s = Math.imul(48271, s) % 2147483647) / 2147483647)(seed);
+}
+
+/**
+ * Generates the demo roster used when no backend roster is available
+ * @param {number} count - Number of players
+ * @param {string|null} avatarUrl - Avatar for every demo player
+ * @returns {Array<Object>} Roster entries
+ */
+export function createDemoRoster(count, avatarUrl = null) {
+    return Array.from({ length: count }, (_, i) => ({
+        igUserId: 'p' + i,
+        username: 'Player ' + (i + 1),
+        avatarUrl,
+        baseHp: 100,
+        baseArmor: 0,
+        baseMass: 1.0,
+        boostHp: 0,
+        boostArmor: 0,
+        boostShield: 0,
+        eatRate: 15 + (i % 10)
+    }));
+}
+
+/**
+ * Creates a battle simulation
+ * The simulation only advances through tick(dt); rendering reads its state through the getters
+ * @param {Object} setup - Simulation setup
+ * @param {Array<Object>} setup.roster - Roster entries (igUserId, username, eatRate, ...)
+ * @param {number} setup.seed - Seed from normalizeSeed()
+ * @param {Object} [setup.config] - Game config (see game-config.js), missing values use the defaults
+ * @param {Function} [setup.log] - Log output, pass a no-op for batch runs
+ * @returns {Object} Simulation with tick() and read-only state
+ */
+export function createSimulation({ roster, seed, config = {}, log = console.log }) {
+    const { WIDTH, HEIGHT, MAX_ANIMATED_PLAYERS } = SIMULATION_CONSTANTS;
+    const gameConfig = resolveGameConfig(config);
+    const MAX_SPEED = gameConfig.maxSpeed;
+    const EAT_RADIUS = gameConfig.eatRadius;
+    const CULL_DURATION = gameConfig.cullDuration;
+    const ATTACK_BOOST_PER_BITE = gameConfig.attackBoostPerBite;
+    const WINNER_DISPLAY_TIME = gameConfig.winnerDisplayTime;
+    const ENDGAME_THRESHOLD = gameConfig.endgameThreshold;
+    const AVATAR_SIZE_LADDER = gameConfig.avatarSizeLadder;
+    const STORM_MODE = gameConfig.mode === 'storm';
+    const TEAMS_ENABLED = gameConfig.teams.mode !== 'off';  // Roster entries carry a team (see teams.js)
+    const PIZZA_CENTER = { x: WIDTH / 2, y: HEIGHT / 2 };
+    const ZONE_START_RADIUS = Math.hypot(WIDTH / 2, HEIGHT / 2);  // Safe zone starts around the whole arena
+
+    const rng = createRng(seed);
+    const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
+    const randInt = (min, max) => Math.floor(rng() * (max - min + 1)) + min;
+
+    // createRng() returns values in (-1, 1) because Math.imul wraps to signed 32 bit. The original draws keep
+    // that distribution (combat luck is balanced around it), newer features fold it into [0, 1)
+    const unitRng = () => Math.abs(rng());
+
+    // Generate position outside pizza area
+    const generateSafePosition = (radius, random = rng) => {
+        let x, y, distFromPizza;
+        const minDistFromPizza = EAT_RADIUS + radius + 20; // Extra margin
+
+        do {
+            x = radius * 3 + random() * (WIDTH - radius * 6);
+            y = radius * 3 + random() * (HEIGHT - radius * 6);
+            distFromPizza = Math.hypot(x - PIZZA_CENTER.x, y - PIZZA_CENTER.y);
+        } while (distFromPizza < minDistFromPizza);
+
+        return { x, y };
+    };
+
+    // === ROSTER SETUP ===
+    // Ensure eatRate property, remember the roster position as deterministic tie-breaker for placements
+    roster = roster.map((p, rosterIndex) => ({ ...p, eatRate: p.eatRate ?? 20, rosterIndex }));
+    const participants = roster.length;
+
+    log(`🎮 Game starting with ${participants} total participants`);
+
+    // === PERFORMANCE OPTIMIZATION FOR LARGE GROUPS ===
+    // For >1000 players, only animate a subset for performance
+    const animatedPlayers = participants > MAX_ANIMATED_PLAYERS
+        ? roster.slice().sort(() => rng() - 0.5).slice(0, MAX_ANIMATED_PLAYERS)  // Random selection
+        : roster;
+
+    const animatedIds = new Set(animatedPlayers.map(p => p.igUserId));
+    const staticPlayers = participants > MAX_ANIMATED_PLAYERS
+        ? roster.filter(p => !animatedIds.has(p.igUserId))
+        : [];
+
+    log(`Game setup: ${participants} total, ${animatedPlayers.length} animated, ${staticPlayers.length} static`);
+
+    // === PIZZA HP SCALING ===
+    // Dynamic pizza HP multiplier based on animated player count
+    // Base: 2.5, increase by 0.1 for every 50 animated players (so 1000 players = 4.5)
+    const animatedPlayerGroups = Math.floor(animatedPlayers.length / 50);
+    const PIZZA_HP_MULITPLIER = 1.5 + (animatedPlayerGroups * 0.08);
+    log(`Pizza HP Multiplier adjusted: ${PIZZA_HP_MULITPLIER} (${animatedPlayers.length} animated players, ${animatedPlayerGroups} groups of 50)`);
+
+    // Dynamic pizza HP based on ANIMATED participant count (for game balance)
+    const PIZZA_HP_TOTAL = animatedPlayers.length * PIZZA_HP_MULITPLIER;  // Based on animated players only
+
+    // === DYNAMIC AVATAR SIZING ===
+    // Avatar size scales based on number of alive players (first ladder step the count is above)
+    const avatarSizeByAlive = (n) => {
+        const stepForCount = AVATAR_SIZE_LADDER.find(([above]) => n > above);
+        return (stepForCount || AVATAR_SIZE_LADDER[AVATAR_SIZE_LADDER.length - 1])[1];
+    };
+
+    // === GAME STATE INITIALIZATION ===
+    let pizzaHP = PIZZA_HP_TOTAL;
+    const initialAnimated = animatedPlayers.length;  // Initial animated count (for balance)
+
+    // Adaptive controllers for dynamic gameplay
+    let damageScale = 1.0;  // Combat intensity scaling
+    let eatScale = 2;     // Pizza consumption rate scaling
+    let emaRate = 0;        // Exponential moving average of consumption rate
+    let lastPizzaHP = pizzaHP;
+    let globalEatIntensity = 1.2;  // Global eat intensity multiplier
+    let lastAnimatedAliveCount = animatedPlayers.length;  // Track deaths for eat intensity
+
+    // Safe zone (storm mode only), contracts toward the pizza
+    let zoneRadius = STORM_MODE ? ZONE_START_RADIUS : null;
+
+    // Power-up items lying in the arena
+    const powerUpTypes = Object.keys(POWER_UP_TYPES);
+    let powerUps = [];
+    let nextPowerUpId = 1;
+    let nextPowerUpSpawn = gameConfig.powerUps.spawnInterval;
+
+    // Endgame progression system (only active when <= ENDGAME_THRESHOLD players)
+    let endgameActive = false;  // Flag to track if endgame bonuses are active
+    let endgameStartTime = 0;   // When endgame phase started
+
+    // Avatar size caching for performance optimization
+    let cachedAvatarSize = avatarSizeByAlive(participants);
+    let lastSizeThreshold = participants;
+    const sizeThresholds = AVATAR_SIZE_LADDER.map(([above]) => above);
+
+    // Function to check if avatar size needs to be recalculated
+    const updateAvatarSizeIfNeeded = (aliveCount) => {
+        // Find which threshold we're currently in
+        const currentThreshold = sizeThresholds.find(t => aliveCount > t) || 0;
+        const lastThreshold = sizeThresholds.find(t => lastSizeThreshold > t) || 0;
+
+        // Only recalculate if we crossed a threshold
+        if (currentThreshold !== lastThreshold) {
+            cachedAvatarSize = avatarSizeByAlive(aliveCount);
+            lastSizeThreshold = aliveCount;
+            log(`Avatar size updated: ${cachedAvatarSize}px for ${aliveCount} players`);
+        }
+    };
+
+    // Initialize ANIMATED player objects with random positions and roster-based stats
+    let players = animatedPlayers.map(p => {
+        const initSize = cachedAvatarSize;  // Use cached size for consistency
+        const R = initSize / 2;
+        const pos = generateSafePosition(R);  // Generate position outside pizza area
+        const ang = rng() * Math.PI * 2;
+        const stats = deriveStats(p);
+
+        return {
+            id: p.igUserId,
+            name: p.username,
+            rosterIndex: p.rosterIndex,
+            team: TEAMS_ENABLED ? (p.team ?? null) : null,  // Teammates do not damage each other
+            x: pos.x,
+            y: pos.y,
+            vx: Math.cos(ang) * MAX_SPEED,
+            vy: Math.sin(ang) * MAX_SPEED,
+            score: 0,
+            endgameScore: 0,  // Score from pizza eaten during endgame (<=50 players)
+            eatRate: p.eatRate,
+            hp: stats.hp,            // Health from baseHp + boostHp
+            maxHp: stats.maxHp,
+            def: stats.def,          // Defense from baseArmor + boostArmor
+            shield: stats.shield,    // Absorbs damage before HP, from boostShield
+            maxShield: stats.maxShield,
+            mass: stats.mass,        // Weight in the velocity exchange, from baseMass
+            atk: stats.atk,          // Attack stat (will increase with pizza eating)
+            kills: 0,                // Eliminations credited to this player
+            powerUps: {},            // Power-up type → game time its effect ends
+            eliminatedBy: null,      // Id of the player who eliminated this one
+            eliminatedAt: null,      // Game time of the elimination
+            alive: true,
+            rot: rng() * Math.PI * 2, // Rotation angle
+            isAnimated: true         // Flag to identify animated players
+        };
+    });
+
+    // Initialize STATIC player dots (visual only, will be culled over time)
+    let staticDots = staticPlayers.map((p, index) => {
+        const pos = generateSafePosition(1);  // Use minimal radius for tiny dots
+
+        return {
+            id: p.igUserId,
+            name: p.username,
+            rosterIndex: p.rosterIndex,
+            team: TEAMS_ENABLED ? (p.team ?? null) : null,
+            x: pos.x,
+            y: pos.y,
+            baseX: pos.x,  // Store original position for wiggle animation
+            baseY: pos.y,  // Store original position for wiggle animation
+            wiggleOffset: index * 0.03,  // Even faster staggered animation
+            eliminatedAt: null,  // Game time the dot was culled
+            alive: true,
+            isAnimated: false,  // Static dot
+            cullTime: rng() * CULL_DURATION  // Random time within cull period to die
+        };
+    });
+
+    log(`Static dots initialized: ${staticDots.length}, will be culled over ${CULL_DURATION}s`);
+
+    // === SIMULATION CLOCK ===
+    let time = 0;
+    let gameEnded = false;
+    let finished = false;    // Winner screen shown long enough
+    let gameEndTime = 0;
+    let gameEndReason = '';  // Track how the game ended
+    let lastTotalAliveCount = participants;
+
+    // Game events in order of occurrence, e.g. { type: 'elimination', cause, time, victimId, attackerId, x, y },
+    // { type: 'powerUp', ... }, { type: 'endgame', time, aliveCount } and { type: 'gameEnd', time, reason }
+    const events = [];
+
+    /**
+     * Eliminates a player and records who did it
+     * @param {Object} victim - Player losing its last HP
+     * @param {Object|null} attacker - Player credited with the kill
+     * @param {string} [cause] - 'combat' or 'storm'
+     */
+    function eliminate(victim, attacker, cause = 'combat') {
+        if (!victim.alive) return;
+
+        victim.alive = false;
+        victim.eliminatedAt = time;
+        victim.eliminatedBy = attacker ? attacker.id : null;
+        if (attacker) attacker.kills++;
+
+        events.push({
+            type: 'elimination',
+            cause,
+            time,
+            victimId: victim.id,
+            victimName: victim.name,
+            attackerId: attacker ? attacker.id : null,
+            attackerName: attacker ? attacker.name : null,
+            x: victim.x,
+            y: victim.y
+        });
+    }
+
+    /**
+     * Advances the simulation by one timestep
+     * Runs the adaptive controllers, end condition and physics step
+     */
+    function tick(dt) {
+        time += dt;
+
+        // Current game state
+        const animatedAliveCount = players.reduce((n, p) => n + (p.alive ? 1 : 0), 0);
+
+        // Check if animated players died and increase eat intensity
+        if (animatedAliveCount < lastAnimatedAliveCount) {
+            const playersDied = lastAnimatedAliveCount - animatedAliveCount;
+
+            // Reduce eat intensity increase during endgame to slow down pizza consumption
+            const intensityIncrease = endgameActive ? 0.015 : 0.035;  // 1.5% during endgame vs 3.5% normal
+            globalEatIntensity += playersDied * intensityIncrease;
+
+            log(`${playersDied} players died. Global eat intensity now: ${globalEatIntensity.toFixed(2)}x ${endgameActive ? '(endgame)' : ''}`);
+            lastAnimatedAliveCount = animatedAliveCount;
+        }
+
+        // Check if endgame phase should start (<= ENDGAME_THRESHOLD animated players)
+        if (!endgameActive && animatedAliveCount <= ENDGAME_THRESHOLD) {
+            endgameActive = true;
+            endgameStartTime = time;
+            log(`🔥 ENDGAME ACTIVATED! ${animatedAliveCount} players remaining. Pizza bonuses now active!`);
+            events.push({ type: 'endgame', time, aliveCount: animatedAliveCount });
+
+            // Reset endgame scores for all players
+            for (const p of players) {
+                if (p.alive) {
+                    p.endgameScore = 0;
+                }
+            }
+        }
+
+        // Cull static dots gradually over CULL_DURATION seconds
+        let dotsKilledThisFrame = 0;
+        if (time <= CULL_DURATION) {
+            for (const dot of staticDots) {
+                if (dot.alive && dot.cullTime <= time) {
+                    dot.alive = false;
+                    dot.eliminatedAt = time;
+                    dotsKilledThisFrame++;
+                }
+            }
+        } else {
+            // After CULL_DURATION, force all remaining static dots to die
+            for (const dot of staticDots) {
+                if (dot.alive) {
+                    dot.alive = false;
+                    dot.eliminatedAt = time;
+                    dotsKilledThisFrame++;
+                }
+            }
+        }
+
+        // Debug logging for dot culling
+        if (dotsKilledThisFrame > 0) {
+            const remainingDots = staticDots.filter(d => d.alive).length;
+            log(`Time ${time.toFixed(1)}s: Killed ${dotsKilledThisFrame} dots, ${remainingDots} remaining`);
+        }
+
+        // Calculate real alive count: animated players + remaining static dots
+        const staticAliveCount = staticDots.filter(d => d.alive).length;
+        const totalAliveCount = animatedAliveCount + staticAliveCount;
+
+        // Update avatar size only when crossing thresholds (performance optimization)
+        updateAvatarSizeIfNeeded(totalAliveCount);
+        const AVATAR_SIZE = cachedAvatarSize;  // Use cached size instead of recalculating every frame
+        const AVA_R = AVATAR_SIZE / 2;
+
+        // Pre-clamp player positions to new radius (important when sizes change)
+        for (const p of players) {
+            if (!p.alive) continue;
+            if (p.x < AVA_R) p.x = AVA_R;
+            else if (p.x > WIDTH - AVA_R) p.x = WIDTH - AVA_R;
+            if (p.y < AVA_R) p.y = AVA_R;
+            else if (p.y > HEIGHT - AVA_R) p.y = HEIGHT - AVA_R;
+        }
+
+        // === ADAPTIVE CONTROLLERS ===
+
+        // 1) Damage scaling to maintain 5-10 survivors at finish
+        {
+            const eatenFrac = clamp((PIZZA_HP_TOTAL - pizzaHP) / PIZZA_HP_TOTAL, 0, 1);
+            const targetEndAvg = 7.5;
+            const desiredAlive = targetEndAvg + (initialAnimated - targetEndAvg) * (1 - eatenFrac);
+            const error = animatedAliveCount - desiredAlive;
+            damageScale *= (1 + 0.6 * (error / Math.max(20, initialAnimated)));
+            damageScale = clamp(damageScale, 0.7, 3.5);
+        }
+
+        // 2) Simplified eat-rate controller for consistent 20-30 second duration
+        {
+            const deltaConsumed = Math.max(0, lastPizzaHP - pizzaHP);
+            const instRate = dt > 0 ? deltaConsumed / dt : 0;
+            emaRate = emaRate ? (emaRate * 0.92 + instRate * 0.08) : instRate;
+
+            // Target timing parameters - strict window from the game config (Standard: 20-30 seconds)
+            const { min: T_MIN, target: T_TARGET, max: T_MAX } = gameConfig.duration;
+            const elapsed = time;
+            const remainingTarget = clamp(T_TARGET - elapsed, T_MIN - elapsed, T_MAX - elapsed);
+
+            const desiredRateBase = pizzaHP > 0 ? (pizzaHP / Math.max(remainingTarget, 0.001)) : 0;
+
+            // Simplified crowd-based multiplier - scale based on INITIAL player count, not current
+            let crowdMult = 1.0;  // Start with neutral multiplier
+
+            // Scale based on initial animated players to prevent rate increases as players die
+            if (initialAnimated <= 50) {
+                crowdMult = 0.9;  // Slightly slower for few players
+            } else if (initialAnimated >= 100) {
+                // Less aggressive scaling for better timing
+                const excessPlayers = initialAnimated - 100;
+                crowdMult = Math.max(0.15, 0.8 - (excessPlayers / 1200));  // Less aggressive scaling
+            }
+
+            const desiredRate = desiredRateBase * crowdMult;
+            const currentRate = Math.max(emaRate, 0.001);
+            let newEatScale = desiredRate / currentRate;
+
+            // Remove early boost and late brake to maintain consistent timing
+            eatScale = clamp(eatScale * 0.90 + newEatScale * 0.10, 0.30, 3.0);
+
+            // 3) Safe zone follows whichever is further along: the clock toward T_TARGET or the eaten pizza,
+            // so it is fully closed when the eat-rate controller expects the game to end
+            if (STORM_MODE) {
+                const eatenFrac = clamp((PIZZA_HP_TOTAL - pizzaHP) / PIZZA_HP_TOTAL, 0, 1);
+                const progress = clamp(Math.max(elapsed / T_TARGET, eatenFrac), 0, 1);
+                zoneRadius = ZONE_START_RADIUS + (gameConfig.storm.finalRadius - ZONE_START_RADIUS) * progress;
+            }
+        }
+
+        // === GAME END CONDITION ===
+        // In team mode the battle also ends once all survivors belong to the same team
+        const oneTeamLeft = TEAMS_ENABLED && animatedAliveCount > 1 &&
+            new Set(players.filter(p => p.alive).map(p => p.team)).size <= 1;
+        const justEnded = !gameEnded && (pizzaHP <= 0.1 || animatedAliveCount <= 1 || oneTeamLeft);
+        if (justEnded) {
+            gameEnded = true;
+            gameEndTime = time;
+
+            // Determine end reason
+            if (pizzaHP <= 0.1) {
+                gameEndReason = 'Pizza eaten up';
+            } else if (animatedAliveCount <= 1) {
+                gameEndReason = 'Only one survivor';
+            } else {
+                gameEndReason = 'Only one team left';
+            }
+            events.push({ type: 'gameEnd', time, reason: gameEndReason });
+        }
+
+        if (gameEnded) {
+            finished = time - gameEndTime >= WINNER_DISPLAY_TIME;
+        } else {
+            step(dt, AVA_R, AVATAR_SIZE);
+        }
+        lastPizzaHP = pizzaHP;
+        lastTotalAliveCount = totalAliveCount;
+    }
+
+    /**
+     * Spawns power-ups at seeded positions outside the pizza and lets avatars pick them up on contact
+     */
+    function updatePowerUps(AVA_R) {
+        const { spawnInterval, maxActive, effectDuration } = gameConfig.powerUps;
+
+        while (time >= nextPowerUpSpawn) {
+            nextPowerUpSpawn += spawnInterval;
+            if (powerUps.length >= maxActive) continue;
+
+            const type = powerUpTypes[Math.floor(unitRng() * powerUpTypes.length)];
+            const pos = generateSafePosition(POWER_UP_RADIUS, unitRng);
+            powerUps.push({ id: nextPowerUpId++, type, x: pos.x, y: pos.y, spawnTime: time });
+        }
+
+        if (powerUps.length === 0) return;
+
+        const pickupDist = AVA_R + POWER_UP_RADIUS;
+        powerUps = powerUps.filter(item => {
+            for (const p of players) {
+                if (!p.alive) continue;
+                if (Math.abs(p.x - item.x) > pickupDist || Math.abs(p.y - item.y) > pickupDist) continue;
+                if (Math.hypot(p.x - item.x, p.y - item.y) > pickupDist) continue;
+
+                applyPowerUp(p, item.type, time + effectDuration);
+                events.push({
+                    type: 'powerUp',
+                    powerUp: item.type,
+                    time,
+                    playerId: p.id,
+                    playerName: p.name,
+                    x: item.x,
+                    y: item.y
+                });
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Game physics and logic step
+     * Handles movement, collisions, combat, and pizza eating
+     */
+    function step(dt, AVA_R, AVATAR_SIZE) {
+        // === MOVEMENT AND WALL BOUNCING ===
+        // Pre-calculate pizza collision values for performance
+        const pizzaCenterX = PIZZA_CENTER.x;
+        const pizzaCenterY = PIZZA_CENTER.y;
+        const pizzaBoundary = EAT_RADIUS - AVA_R;
+        const pizzaEatZoneMin = EAT_RADIUS - AVA_R;
+        const pizzaEatZoneMax = EAT_RADIUS + AVA_R;
+
+        for (const p of players) {
+            if (!p.alive) continue;
+
+            // Apply endgame speed reduction (50% slower during endgame)
+            const speedMultiplier = (endgameActive ? 0.7 : 1.0) *
+                (hasPowerUp(p, 'speed', time) ? SPEED_BURST_MULTIPLIER : 1.0);
+            p.x += p.vx * speedMultiplier;
+            p.y += p.vy * speedMultiplier;
+
+            // Check pizza collision FIRST - prevent flying over pizza (optimized)
+            const dx = p.x - pizzaCenterX;
+            const dy = p.y - pizzaCenterY;
+            const distSq = dx * dx + dy * dy; // Use squared distance to avoid sqrt
+            const pizzaBoundarySq = pizzaBoundary * pizzaBoundary;
+
+            if (distSq < pizzaBoundarySq) {
+                // Player is inside pizza area, push them out
+                const dist = Math.sqrt(distSq);
+                const nx = dx / dist;
+                const ny = dy / dist;
+                p.x = pizzaCenterX + nx * pizzaBoundary;
+                p.y = pizzaCenterY + ny * pizzaBoundary;
+
+                // Bounce velocity away from pizza center
+                const vdot = p.vx * nx + p.vy * ny;
+                if (vdot < 0) {
+                    p.vx -= 2 * vdot * nx;
+                    p.vy -= 2 * vdot * ny;
+                }
+            } let bounced = false;
+            if (p.x <= AVA_R) { p.x = AVA_R; p.vx = -p.vx; bounced = true; }
+            if (p.x >= WIDTH - AVA_R) { p.x = WIDTH - AVA_R; p.vx = -p.vx; bounced = true; }
+            if (p.y <= AVA_R) { p.y = AVA_R; p.vy = -p.vy; bounced = true; }
+            if (p.y >= HEIGHT - AVA_R) { p.y = HEIGHT - AVA_R; p.vy = -p.vy; bounced = true; }
+
+            if (bounced) {
+                const s = Math.hypot(p.vx, p.vy);
+                if (s > 0) {
+                    p.vx = (p.vx / s) * MAX_SPEED;
+                    p.vy = (p.vy / s) * MAX_SPEED;
+                }
+            }
+        }
+
+        // === SAFE ZONE (storm mode) ===
+        // Avatars outside the zone steer back toward the pizza and take damage scaled like combat damage
+        if (STORM_MODE) {
+            const stormDamage = gameConfig.storm.damagePerSecond * damageScale * dt;
+            const stormVictims = [];
+
+            for (const p of players) {
+                if (!p.alive) continue;
+
+                const dx = PIZZA_CENTER.x - p.x;
+                const dy = PIZZA_CENTER.y - p.y;
+                const dist = Math.hypot(dx, dy);
+                if (dist <= zoneRadius - AVA_R) continue;
+
+                // Turn the velocity toward the zone center without changing the speed
+                const speed = Math.hypot(p.vx, p.vy);
+                const steerX = p.vx + (dx / dist) * speed * 0.15;
+                const steerY = p.vy + (dy / dist) * speed * 0.15;
+                const steerLength = Math.hypot(steerX, steerY);
+                if (steerLength > 0) {
+                    p.vx = steerX / steerLength * speed;
+                    p.vy = steerY / steerLength * speed;
+                }
+
+                // Shields absorb storm damage like combat damage
+                p.hp -= absorbWithShield(p, stormDamage);
+                if (p.hp <= 0) stormVictims.push(p);
+            }
+
+            // Like combat, the storm never empties the field: if it would, the victim with the highest HP left
+            // (least damage after its shield) survives
+            if (stormVictims.length > 0) {
+                const currentAliveCount = players.reduce((n, p) => n + (p.alive ? 1 : 0), 0);
+                if (stormVictims.length >= currentAliveCount) {
+                    const survivor = stormVictims.reduce((best, p) => (p.hp > best.hp ? p : best));
+                    survivor.hp = 1;
+                    stormVictims.splice(stormVictims.indexOf(survivor), 1);
+                }
+                for (const p of stormVictims) eliminate(p, null, 'storm');
+            }
+        }
+
+        // === POWER-UPS ===
+        updatePowerUps(AVA_R);
+
+        // === COLLISION DETECTION AND COMBAT (Optimized with Spatial Partitioning) ===
+        // Create spatial grid for efficient collision detection
+        const GRID_SIZE = AVA_R * 4; // Grid cell size
+        const gridCols = Math.ceil(WIDTH / GRID_SIZE);
+        const gridRows = Math.ceil(HEIGHT / GRID_SIZE);
+        const grid = Array.from({ length: gridCols * gridRows }, () => []);
+
+        // Populate grid with alive players
+        const alivePlayers = players.filter(p => p.alive);
+        for (const p of alivePlayers) {
+            const gridX = Math.floor(p.x / GRID_SIZE);
+            const gridY = Math.floor(p.y / GRID_SIZE);
+            const gridIndex = gridY * gridCols + gridX;
+            if (gridIndex >= 0 && gridIndex < grid.length) {
+                grid[gridIndex].push(p);
+            }
+        }
+
+        // Check collisions only within nearby grid cells
+        for (let gridIndex = 0; gridIndex < grid.length; gridIndex++) {
+            const cell = grid[gridIndex];
+            if (cell.length < 2) continue; // Skip cells with 0 or 1 players
+
+            // Check collisions within this cell
+            for (let i = 0; i < cell.length; i++) {
+                const A = cell[i];
+                for (let j = i + 1; j < cell.length; j++) {
+                    const B = cell[j];
+
+                    const dx = B.x - A.x;
+                    const dy = B.y - A.y;
+                    const dist = Math.hypot(dx, dy);
+
+                    // Calculate dynamic player sizes based on endgame pizza eaten (only active if <=50 players)
+                    const pizzaBonusA = endgameActive ? Math.floor(A.endgameScore) * 0.5 : 0;  // Reduced from 2 to 0.5
+                    const pizzaBonusB = endgameActive ? Math.floor(B.endgameScore) * 0.5 : 0;  // Reduced from 2 to 0.5
+                    const radiusA = AVA_R + pizzaBonusA;
+                    const radiusB = AVA_R + pizzaBonusB;
+                    const minDist = radiusA + radiusB;
+
+                    if (dist > 0 && dist < minDist) {
+                        // Collision response
+                        const nx = dx / dist;
+                        const ny = dy / dist;
+                        const overlap = minDist - dist;
+                        const totalMass = A.mass + B.mass;
+
+                        // Separate by mass: the lighter avatar is pushed further
+                        A.x -= nx * overlap * (B.mass / totalMass);
+                        A.y -= ny * overlap * (B.mass / totalMass);
+                        B.x += nx * overlap * (A.mass / totalMass);
+                        B.y += ny * overlap * (A.mass / totalMass);
+
+                        // Velocity exchange (elastic collision along the normal, weighted by mass)
+                        const avn = A.vx * nx + A.vy * ny;
+                        const bvn = B.vx * nx + B.vy * ny;
+                        const avnAfter = (avn * (A.mass - B.mass) + 2 * B.mass * bvn) / totalMass;
+                        const bvnAfter = (bvn * (B.mass - A.mass) + 2 * A.mass * avn) / totalMass;
+                        A.vx += (avnAfter - avn) * nx;
+                        A.vy += (avnAfter - avn) * ny;
+                        B.vx += (bvnAfter - bvn) * nx;
+                        B.vy += (bvnAfter - bvn) * ny;
+
+                        // Speed clamping
+                        const as = Math.hypot(A.vx, A.vy);
+                        const bs = Math.hypot(B.vx, B.vy);
+                        if (as > 0) { A.vx = (A.vx / as) * MAX_SPEED; A.vy = (A.vy / as) * MAX_SPEED; }
+                        if (bs > 0) { B.vx = (B.vx / bs) * MAX_SPEED; B.vy = (B.vy / bs) * MAX_SPEED; }
+
+                        // Teammates only bounce off each other
+                        if (A.team !== null && A.team === B.team) continue;
+
+                        // Combat calculations
+                        const luckA = randInt(-10, 10);
+                        const luckB = randInt(-10, 10);
+                        const relNormSpeed = Math.abs((B.vx - A.vx) * nx + (B.vy - A.vy) * ny);
+                        const intensity = 0.5 + (relNormSpeed / MAX_SPEED);
+
+                        const rawDmgToA = Math.max(0, (B.atk + luckB) - A.def) * intensity * damageScale;
+                        const rawDmgToB = Math.max(0, (A.atk + luckA) - B.def) * intensity * damageScale;
+
+                        // Shields absorb damage before it reaches HP
+                        const dmgToA = absorbWithShield(A, rawDmgToA);
+                        const dmgToB = absorbWithShield(B, rawDmgToB);
+
+                        // Apply damage but ensure at least one survivor
+                        const currentAliveCount = players.reduce((n, p) => n + (p.alive ? 1 : 0), 0);
+
+                        if (dmgToA > 0) {
+                            A.hp -= dmgToA;
+                            if (A.hp <= 0) {
+                                // Check if this would be the last player
+                                if (currentAliveCount <= 2) {
+                                    // Last battle: keep the one with less negative HP
+                                    const finalHpA = A.hp;
+                                    const finalHpB = B.hp - dmgToB;
+                                    if (finalHpA >= finalHpB) {
+                                        // A survives with 1 HP
+                                        A.hp = 1;
+                                        A.alive = true;
+                                        if (dmgToB > 0) { B.hp -= dmgToB; if (B.hp <= 0) eliminate(B, A); }
+                                    } else {
+                                        // A dies, B will survive
+                                        eliminate(A, B);
+                                    }
+                                } else {
+                                    eliminate(A, B);
+                                }
+                            }
+                        }
+                        if (dmgToB > 0) {
+                            B.hp -= dmgToB;
+                            if (B.hp <= 0) {
+                                // Check if this would be the last player
+                                if (currentAliveCount <= 2) {
+                                    // Last battle: keep the one with less negative HP
+                                    const finalHpA = A.hp;
+                                    const finalHpB = B.hp;
+                                    if (finalHpB >= finalHpA && A.alive) {
+                                        // B survives with 1 HP
+                                        B.hp = 1;
+                                        B.alive = true;
+                                    } else if (!A.alive) {
+                                        // A is already dead, B must survive
+                                        B.hp = 1;
+                                        B.alive = true;
+                                    } else {
+                                        // B dies, A survives
+                                        eliminate(B, A);
+                                    }
+                                } else {
+                                    eliminate(B, A);
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+
+        // === PIZZA EATING MECHANICS ===
+        for (const p of players) {
+            if (!p.alive) continue;
+
+            const dx = p.x - PIZZA_CENTER.x;
+            const dy = p.y - PIZZA_CENTER.y;
+            const d = Math.hypot(dx, dy);
+
+            // Calculate dynamic player size based on endgame pizza eaten (only active if <=50 players)
+            const pizzaBonus = endgameActive ? Math.floor(p.endgameScore) * 0.5 : 0;  // Reduced from 2 to 0.5
+            const currentPlayerRadius = AVA_R + pizzaBonus;
+
+            // Use same collision zone for both bounce and eating with dynamic player size
+            if (d >= EAT_RADIUS - currentPlayerRadius && d <= EAT_RADIUS + currentPlayerRadius) {
+                // Position player at rim (same as bounce logic)
+                const nx = dx / d;
+                const ny = dy / d;
+                p.x = PIZZA_CENTER.x + nx * (EAT_RADIUS + currentPlayerRadius);
+                p.y = PIZZA_CENTER.y + ny * (EAT_RADIUS + currentPlayerRadius);
+
+                // Bounce off pizza edge (same as collision logic)
+                const vdot = p.vx * nx + p.vy * ny;
+                if (vdot < 0) {
+                    p.vx -= 2 * vdot * nx;
+                    p.vy -= 2 * vdot * ny;
+                }
+
+                // Eat pizza with adaptive scaling
+                if (pizzaHP > 0) {
+                    const aliveAnimatedCount = players.reduce((n, pp) => n + (pp.alive ? 1 : 0), 0);
+
+                    let baseEat = p.eatRate * 0.035;
+
+                    // Crowd-based eating modifier - use INITIAL player count to prevent rate increases
+                    let biteCrowd = 1.0;
+                    if (initialAnimated < 50) {
+                        biteCrowd = Math.max(0.50, initialAnimated / 50);
+                    } else if (initialAnimated > 100) {
+                        // Less aggressive scaling for better timing
+                        const excessPlayers = initialAnimated - 100;
+                        biteCrowd = Math.max(0.08, 0.9 - (excessPlayers / 600));  // Less aggressive (8% minimum)
+                    }
+
+                    let eatAmount = baseEat * eatScale * biteCrowd * globalEatIntensity;  // Apply global eat intensity
+                    if (hasPowerUp(p, 'doubleBite', time)) eatAmount *= DOUBLE_BITE_MULTIPLIER;
+
+                    // Late-game brake for few survivors (based on animated players)
+                    const eatenFrac = clamp((PIZZA_HP_TOTAL - pizzaHP) / PIZZA_HP_TOTAL, 0, 1);
+                    if (eatenFrac > 0.6 && aliveAnimatedCount < 25) {
+                        const scarcity = clamp((25 - aliveAnimatedCount) / 25, 0, 1);
+                        eatAmount *= (1 - 0.45 * scarcity);
+                    }
+
+                    // 🔥 ENDGAME MODERATE SLOWDOWN: Prevent too fast pizza consumption in final phase
+                    if (endgameActive && eatenFrac > 0.85 && pizzaHP < PIZZA_HP_TOTAL * 0.10) {
+                        const finalPhaseSlowdown = Math.max(0.7, 1 - (eatenFrac - 0.85) * 1.5);
+                        eatAmount *= finalPhaseSlowdown;
+                        log(`🔥 FINAL PHASE SLOWDOWN: ${finalPhaseSlowdown.toFixed(2)}x, pizzaHP: ${pizzaHP.toFixed(1)}, eatenFrac: ${eatenFrac.toFixed(2)}`);
+                    }
+
+                    if (pizzaHP >= eatAmount) {
+                        p.score += eatAmount;
+                        pizzaHP -= eatAmount;
+
+                        // Track endgame score for size/stat bonuses (only when <=50 players)
+                        if (endgameActive) {
+                            p.endgameScore += eatAmount;
+                        }
+
+                        // ⚡ PIZZA BITE BONUSES (only active during endgame):
+                        if (endgameActive) {
+                            p.atk += ATTACK_BOOST_PER_BITE;  // Attack increase
+                            p.hp += 1;  // HP increase by 1 point per bite
+                            p.def += 0.5;  // Defense increase by 0.5 per bite
+
+                            // Speed increase (higher boost, capped at reasonable limit)
+                            const currentSpeed = Math.hypot(p.vx, p.vy);
+                            if (currentSpeed > 0 && currentSpeed < MAX_SPEED * 1.8) {  // Cap at 180% of MAX_SPEED
+                                const speedBoost = 1.04;  // 4% speed increase per bite
+                                p.vx *= speedBoost;
+                                p.vy *= speedBoost;
+                            }
+                        }
+                    } else {
+                        p.score += pizzaHP;
+
+                        // Track endgame score for size/stat bonuses (only when <=50 players)
+                        if (endgameActive) {
+                            p.endgameScore += pizzaHP;
+                        }
+
+                        // ⚡ PIZZA BITE BONUSES: Even for final bite (only active during endgame)
+                        if (endgameActive) {
+                            p.atk += ATTACK_BOOST_PER_BITE;
+                            p.hp += 1;  // HP increase by 1 point per bite
+                            p.def += 0.5;  // Defense increase by 0.5 per bite
+
+                            // Speed increase for final bite
+                            const currentSpeed = Math.hypot(p.vx, p.vy);
+                            if (currentSpeed > 0 && currentSpeed < MAX_SPEED * 1.8) {
+                                const speedBoost = 1.04;  // 4% speed increase per bite
+                                p.vx *= speedBoost;
+                                p.vy *= speedBoost;
+                            }
+                        }
+                        pizzaHP = 0;
+                    }
+                }
+            }
+        }
+    }
+
+    return {
+        tick,
+        config: gameConfig,
+        participants,
+        pizzaCenter: PIZZA_CENTER,
+        pizzaHPTotal: PIZZA_HP_TOTAL,
+        teamsEnabled: TEAMS_ENABLED,
+        get time() { return time; },
+        get players() { return players; },
+        get staticDots() { return staticDots; },
+        get events() { return events; },
+        get powerUps() { return powerUps; },
+        get pizzaHP() { return pizzaHP; },
+        get endgameActive() { return endgameActive; },
+        get zoneRadius() { return zoneRadius; },
+        get avatarSize() { return cachedAvatarSize; },
+        get totalAliveCount() { return lastTotalAliveCount; },
+        get gameEnded() { return gameEnded; },
+        get gameEndTime() { return gameEndTime; },
+        get gameEndReason() { return gameEndReason; },
+        get finished() { return finished; }
+    };
+}
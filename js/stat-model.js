@@ -0,0 +1,52 @@
+/**
+ * Pizza Royale - Stat Model
+ * Derives combat stats from the roster's base and boost values
+ */
+
+// Scale roster values into the range the combat formula in simulation.js is balanced for
+const HP_SCALE = 0.4;            // baseHp 100 → 40 HP
+const SHIELD_SCALE = 0.4;        // Shield uses the same scale as HP
+const BASE_DEFENSE = 15;         // Defense without any armor
+const MAX_ARMOR_DEFENSE = 10;    // Defense armor can add at most (diminishing returns)
+const ARMOR_HALF_VALUE = 50;     // Armor points that give half of MAX_ARMOR_DEFENSE
+const BASE_ATTACK = 15;          // Attack of every avatar, grows with endgame pizza bites
+const MIN_MASS = 0.25, MAX_MASS = 4;
+
+/**
+ * Derives the combat stats of an avatar from its roster entry
+ * Missing fields fall back to the values of the demo roster
+ * @param {Object} entry - Roster entry with baseHp, baseArmor, baseMass, boostHp, boostArmor, boostShield
+ * @returns {Object} Stats with hp, maxHp, def, shield, maxShield, mass and atk
+ */
+export function deriveStats(entry) {
+    const num = (value, fallback) => (Number.isFinite(value) ? value : fallback);
+
+    const hp = Math.max(1, (num(entry.baseHp, 100) + num(entry.boostHp, 0)) * HP_SCALE);
+    const armor = Math.max(0, num(entry.baseArmor, 0) + num(entry.boostArmor, 0));
+    const shield = Math.max(0, num(entry.boostShield, 0) * SHIELD_SCALE);
+    const mass = Math.max(MIN_MASS, Math.min(MAX_MASS, num(entry.baseMass, 1)));
+
+    return {
+        hp,
+        maxHp: hp,
+        def: BASE_DEFENSE + MAX_ARMOR_DEFENSE * armor / (armor + ARMOR_HALF_VALUE),
+        shield,
+        maxShield: shield,
+        mass,
+        atk: BASE_ATTACK
+    };
+}
+
+/**
+ * Lets the shield absorb incoming damage before it reaches HP
+ * @param {Object} player - Simulated player (shield is reduced in place)
+ * @param {number} damage - Incoming damage
+ * @returns {number} Damage left for HP
+ */
+export function absorbWithShield(player, damage) {
+    if (damage <= 0 || player.shield <= 0) return damage;
+
+    const absorbed = Math.min(player.shield, damage);
+    player.shield -= absorbed;
+    return damage - absorbed;
+}
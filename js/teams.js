@@ -0,0 +1,111 @@
+/**
+ * Pizza Royale - Teams
+ * Team assignment (manual from the import page or a seeded random split), team colors and the team result
+ */
+
+import { createRng } from './simulation.js';
+
+const TEAM_STORAGE_KEY = 'pizzaRoyale.teamAssignments';
+const REST_TEAM = 'Rest';  // Opponents of a single manually named team
+
+// Ring colors, assigned to the teams in alphabetical order
+const TEAM_COLORS = ['#ff4d5a', '#4d9bff', '#41ff9e', '#ffc148', '#c77dff', '#ff8fd1', '#5ae0e0', '#ffffff'];
+
+/**
+ * Loads the team assignments made on the import page
+ * @returns {Object} Username → team name
+ */
+export function loadTeamAssignments() {
+    try {
+        return JSON.parse(localStorage.getItem(TEAM_STORAGE_KEY)) || {};
+    } catch (e) {
+        console.warn('Failed to load team assignments:', e);
+        return {};
+    }
+}
+
+/**
+ * Persists the team assignments
+ * @param {Object} assignments - Username → team name (empty names are dropped)
+ */
+export function saveTeamAssignments(assignments) {
+    const cleaned = {};
+    for (const [username, team] of Object.entries(assignments)) {
+        if (team && team.trim()) cleaned[username] = team.trim();
+    }
+    localStorage.setItem(TEAM_STORAGE_KEY, JSON.stringify(cleaned));
+}
+
+/**
+ * Assigns a team to every roster entry
+ * The split is seeded, so the same seed and roster always produce the same teams.
+ * In manual mode entries without a team are spread over the named teams, or form the "Rest" team
+ * if only one team was named. Without any assignment manual mode falls back to a random split.
+ * @param {Array<Object>} roster - Roster entries
+ * @param {Object} teams - Team config with mode and count
+ * @param {number} seed - Seed from normalizeSeed()
+ * @param {Object} [assignments] - Username → team name (manual mode)
+ * @returns {Array<Object>} Roster entries with a team field (unchanged roster if teams are off)
+ */
+export function assignTeams(roster, { mode, count }, seed, assignments = {}) {
+    if (mode === 'off') return roster;
+
+    // Seeded Fisher-Yates order, createRng() values are folded into [0, 1)
+    const rng = createRng(seed);
+    const order = roster.map((_, i) => i);
+    for (let i = order.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.abs(rng()) * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+    }
+
+    const manualTeams = mode === 'manual'
+        ? roster.map(p => assignments[p.igUserId] ?? assignments[p.username] ?? null)
+        : roster.map(() => null);
+    let names = [...new Set(manualTeams.filter(Boolean))].sort();
+    if (names.length === 1) {
+        names = [REST_TEAM];
+    } else if (names.length === 0) {
+        for (let i = 1; i <= count; i++) names.push(`Team ${i}`);
+    }
+
+    const result = roster.map((p, i) => ({ ...p, team: manualTeams[i] }));
+    let next = 0;
+    for (const i of order) {
+        if (!result[i].team) result[i].team = names[next++ % names.length];
+    }
+    return result;
+}
+
+/**
+ * Maps every team of the players to its ring color
+ * @param {Array<Object>} players - Simulated players with a team field
+ * @returns {Map<string, string>} Team name → color
+ */
+export function createTeamColors(players) {
+    const names = [...new Set(players.map(p => p.team).filter(Boolean))].sort();
+    return new Map(names.map((name, i) => [name, TEAM_COLORS[i % TEAM_COLORS.length]]));
+}
+
+/**
+ * Summarizes the teams of a battle
+ * Teams are ordered by surviving avatars, then pizza eaten. The MVP of a team has the most kills, then pizza.
+ * @param {Array<Object>} players - Animated players of the simulation
+ * @returns {Array<Object>} Teams with name, alive, score, kills and mvp (best team first)
+ */
+export function summarizeTeams(players) {
+    const teams = new Map();
+    for (const p of players) {
+        if (!p.team) continue;
+        if (!teams.has(p.team)) teams.set(p.team, { name: p.team, alive: 0, score: 0, kills: 0, mvp: null });
+
+        const team = teams.get(p.team);
+        if (p.alive) team.alive++;
+        team.score += p.score;
+        team.kills += p.kills;
+        if (!team.mvp || p.kills > team.mvp.kills || (p.kills === team.mvp.kills && p.score > team.mvp.score)) {
+            team.mvp = p;
+        }
+    }
+
+    return [...teams.values()].sort((a, b) => (b.alive - a.alive) || (b.score - a.score) || (a.name < b.name ? -1 : 1));
+}
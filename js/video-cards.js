@@ -0,0 +1,130 @@
+/**
+ * Pizza Royale - Video Cards
+ * Intro countdown ("3-2-1 FIGHT!") before the battle and the outro card after the winner screen,
+ * drawn onto the game canvas so every recorder captures them
+ */
+
+export const INTRO_COUNTDOWN = 3;       // Seconds of the 3-2-1 countdown
+export const INTRO_FIGHT_DURATION = 1;  // Seconds the fight text stays after the countdown
+export const INTRO_DURATION = INTRO_COUNTDOWN + INTRO_FIGHT_DURATION;
+const OUTRO_FADE_DURATION = 0.4;        // Seconds the outro card fades in
+
+const easeOutCubic = t => 1 - Math.pow(1 - t, 3);
+
+/**
+ * Draws the intro countdown over the first battle frame
+ * @param {CanvasRenderingContext2D} ctx - Game canvas context
+ * @param {Object} options - Intro state
+ * @param {number} options.time - Seconds since the intro started
+ * @param {number} options.width - Canvas width
+ * @param {number} options.height - Canvas height
+ * @param {string} options.font - Canvas font family
+ * @param {number} options.participants - Number of participants
+ * @param {Object} options.intro - Intro config (fightText, countText with {count} placeholder)
+ */
+export function drawIntro(ctx, { time, width, height, font, participants, intro }) {
+    const countdown = time < INTRO_COUNTDOWN;
+    const step = countdown ? time % 1 : Math.min(1, (time - INTRO_COUNTDOWN) / INTRO_FIGHT_DURATION);
+    const scale = 1.6 - 0.6 * easeOutCubic(Math.min(1, step * 2));  // Pops in during the first half of the step
+
+    ctx.save();
+    ctx.fillStyle = `rgba(0,0,0,${countdown ? 0.6 : 0.6 * (1 - step)})`;
+    ctx.fillRect(0, 0, width, height);
+
+    // Big countdown number or fight text
+    ctx.translate(width / 2, height / 2);
+    ctx.scale(scale, scale);
+    ctx.globalAlpha = countdown ? 1 - Math.pow(step, 3) : 1 - Math.pow(step, 4);
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.lineJoin = "round";
+    ctx.font = `bold ${countdown ? 360 : 180}px ${font}`;
+    ctx.lineWidth = 16;
+    ctx.strokeStyle = "#000";
+    ctx.fillStyle = countdown ? "#ffd700" : "#ff4d5a";
+    const text = countdown ? String(INTRO_COUNTDOWN - Math.floor(time)) : intro.fightText;
+    ctx.strokeText(text, 0, 0);
+    ctx.fillText(text, 0, 0);
+    ctx.restore();
+
+    // Participant count below the number
+    if (countdown && intro.countText) {
+        ctx.save();
+        ctx.textAlign = "center";
+        ctx.font = `bold 64px ${font}`;
+        ctx.fillStyle = "#fff";
+        ctx.fillText(intro.countText.replace('{count}', participants), width / 2, height / 2 + 300);
+        ctx.restore();
+    }
+}
+
+/**
+ * Draws the outro card
+ * @param {CanvasRenderingContext2D} ctx - Game canvas context
+ * @param {Object} options - Outro state
+ * @param {number} options.time - Seconds since the outro started
+ * @param {number} options.width - Canvas width
+ * @param {number} options.height - Canvas height
+ * @param {string} options.font - Canvas font family
+ * @param {HTMLImageElement|null} options.logo - Logo image, skipped if missing
+ * @param {Object} options.outro - Outro config (headline, handle)
+ */
+export function drawOutro(ctx, { time, width, height, font, logo, outro }) {
+    const fade = Math.min(1, time / OUTRO_FADE_DURATION);
+
+    ctx.save();
+    ctx.globalAlpha = fade;
+    ctx.fillStyle = "#000";
+    ctx.fillRect(0, 0, width, height);
+
+    ctx.textAlign = "center";
+    let y = height / 2 - 260;
+
+    if (logo) {
+        const size = 320 * (0.9 + 0.1 * easeOutCubic(fade));
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(width / 2, y, size / 2, 0, Math.PI * 2);
+        ctx.clip();
+        ctx.drawImage(logo, width / 2 - size / 2, y - size / 2, size, size);
+        ctx.restore();
+        y += 280;
+    }
+
+    ctx.fillStyle = "#fff";
+    ctx.font = `bold 80px ${font}`;
+    for (const line of wrapText(ctx, outro.headline, width - 160)) {
+        ctx.fillText(line, width / 2, y);
+        y += 96;
+    }
+
+    if (outro.handle) {
+        ctx.fillStyle = "#ffd700";
+        ctx.font = `bold 64px ${font}`;
+        ctx.fillText(outro.handle, width / 2, y + 40);
+    }
+    ctx.restore();
+}
+
+/**
+ * Splits a text into lines that fit the given width with the current font
+ * @param {CanvasRenderingContext2D} ctx - Context with the font set
+ * @param {string} text - Text to wrap
+ * @param {number} maxWidth - Maximum line width in pixels
+ * @returns {Array<string>} Lines
+ */
+function wrapText(ctx, text, maxWidth) {
+    const lines = [];
+    let line = '';
+    for (const word of text.split(/\s+/).filter(Boolean)) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && ctx.measureText(candidate).width > maxWidth) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
+        }
+    }
+    if (line) lines.push(line);
+    return lines;
+}
@@ -0,0 +1,263 @@
+/**
+ * Pizza Royale - Video Gallery
+ * Menu panel listing the recorded battles of the video library: preview, download, rename and delete
+ */
+
+import { listVideos, getVideoFile, renameVideo, deleteVideo, isVideoLibrarySupported } from './video-library.js';
+import { downloadBlob } from './recording-output.js';
+
+/**
+ * Shows the video gallery
+ */
+export async function showVideoGallery() {
+    const modal = document.createElement('div');
+    modal.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 0, 0, 0.9);
+        display: flex;
+        justify-content: center;
+        align-items: center;
+        z-index: 10000;
+        font-family: "GT Maru Medium", system-ui, Arial;
+    `;
+
+    const panel = document.createElement('div');
+    panel.style.cssText = `
+        background: #1a1a1a;
+        color: white;
+        padding: 40px;
+        border-radius: 15px;
+        text-align: center;
+        max-width: 700px;
+        width: 90%;
+        max-height: 90vh;
+        overflow-y: auto;
+        box-shadow: 0 10px 30px rgba(0, 0, 0, 0.5);
+    `;
+
+    panel.innerHTML = `
+        <h2 style="margin-bottom: 20px; color: #ffd700;">📚 Videothek</h2>
+
+        <input id="gallery-filter" type="search" placeholder="Suchen (Titel, Gewinner, Datum)" style="
+            width: 100%;
+            box-sizing: border-box;
+            padding: 10px;
+            background: #2a2a2a;
+            color: white;
+            border: 1px solid #444;
+            border-radius: 8px;
+            font-size: 14px;
+        ">
+
+        <div id="gallery-preview" style="margin-top: 20px;"></div>
+        <div id="gallery-list" style="margin-top: 20px; text-align: left;"></div>
+        <div id="gallery-status" style="margin-top: 20px; color: #ffd700; font-weight: bold;"></div>
+
+        <button id="close-gallery" style="
+            margin-top: 20px;
+            padding: 10px 20px;
+            background: #666;
+            color: white;
+            border: none;
+            border-radius: 8px;
+            font-size: 14px;
+            cursor: pointer;
+            transition: background 0.3s;
+        ">
+            ✕ Schließen
+        </button>
+    `;
+
+    modal.appendChild(panel);
+    document.body.appendChild(modal);
+
+    const list = panel.querySelector('#gallery-list');
+    const preview = panel.querySelector('#gallery-preview');
+    const statusDiv = panel.querySelector('#gallery-status');
+    const filterInput = panel.querySelector('#gallery-filter');
+    const objectUrls = [];  // Thumbnail and preview URLs, revoked when the gallery closes
+
+    let entries = [];
+
+    function close() {
+        objectUrls.forEach(url => URL.revokeObjectURL(url));
+        document.body.removeChild(modal);
+    }
+
+    function showError(message) {
+        statusDiv.textContent = '❌ ' + message;
+        statusDiv.style.color = '#ff6b6b';
+    }
+
+    async function reload() {
+        try {
+            entries = await listVideos();
+            renderList();
+        } catch (error) {
+            console.error('Failed to load video library:', error);
+            showError('Videothek konnte nicht geladen werden: ' + error.message);
+        }
+    }
+
+    function renderList() {
+        const query = filterInput.value.trim().toLowerCase();
+        const visible = entries.filter(entry => !query || [entry.title, entry.winner, formatDate(entry.createdAt)]
+            .some(text => text && text.toLowerCase().includes(query)));
+
+        list.innerHTML = '';
+        if (visible.length === 0) {
+            list.innerHTML = `<p style="text-align: center; opacity: 0.7;">${entries.length === 0
+                ? 'Noch keine Aufnahmen. Videos landen nach jedem aufgenommenen Battle automatisch hier.'
+                : 'Keine Aufnahme gefunden.'}</p>`;
+            return;
+        }
+
+        visible.forEach(entry => list.appendChild(createEntryRow(entry)));
+    }
+
+    function createEntryRow(entry) {
+        const row = document.createElement('div');
+        row.style.cssText = `
+            display: flex;
+            gap: 15px;
+            align-items: center;
+            margin: 10px 0;
+            padding: 10px;
+            background: #2a2a2a;
+            border-radius: 8px;
+        `;
+
+        let thumbnailHtml = '<div style="width: 72px; height: 128px; background: #333; border-radius: 5px;"></div>';
+        if (entry.thumbnail) {
+            const url = URL.createObjectURL(entry.thumbnail);
+            objectUrls.push(url);
+            thumbnailHtml = `<img src="${url}" alt="" style="width: 72px; height: 128px; object-fit: cover; border-radius: 5px;">`;
+        }
+
+        row.innerHTML = `
+            ${thumbnailHtml}
+            <div style="flex: 1; min-width: 0; font-size: 14px;">
+                <strong style="color: #ffd700;">${escapeHtml(entry.title)}</strong><br>
+                <small>${formatDate(entry.createdAt)}</small>
+                <p style="margin: 8px 0 0;">
+                    🏆 ${entry.winner ? escapeHtml(entry.winner) : 'Kein Gewinner'} · 👥 ${entry.players} Spieler ·
+                    ⏱️ ${Math.round(entry.duration)}s · ${(entry.size / 1024 / 1024).toFixed(1)} MB
+                </p>
+                <small style="opacity: 0.7;">
+                    ${formatGameSession(entry)}
+                    ${entry.seed !== null ? ` · Seed ${entry.seed}` : ''}
+                </small>
+                <div style="display: flex; gap: 8px; flex-wrap: wrap; margin-top: 10px;">
+                    <button data-action="play">▶️ Ansehen</button>
+                    <button data-action="download">📥 Download</button>
+                    <button data-action="rename">✏️ Umbenennen</button>
+                    <button data-action="delete">🗑️ Löschen</button>
+                </div>
+            </div>
+        `;
+
+        row.querySelectorAll('button').forEach(button => {
+            button.style.cssText = `
+                padding: 6px 12px;
+                background: ${button.dataset.action === 'delete' ? '#c0392b' : '#444'};
+                color: white;
+                border: none;
+                border-radius: 5px;
+                font-size: 13px;
+                cursor: pointer;
+            `;
+            button.onclick = () => handleAction(button.dataset.action, entry).catch(error => {
+                console.error(`Video library ${button.dataset.action} failed:`, error);
+                showError(error.message);
+            });
+        });
+
+        return row;
+    }
+
+    async function handleAction(action, entry) {
+        statusDiv.textContent = '';
+
+        if (action === 'play' || action === 'download') {
+            const blob = await getVideoFile(entry.id);
+            if (!blob) throw new Error('Videodatei fehlt');
+
+            if (action === 'download') {
+                const basename = toFilename(entry.title);
+                downloadBlob(blob, `${basename}.${entry.extension}`);
+                if (entry.captions) {
+                    downloadBlob(new Blob([entry.captions.vtt], { type: 'text/vtt' }), `${basename}.vtt`);
+                    downloadBlob(new Blob([entry.captions.srt], { type: 'application/x-subrip' }), `${basename}.srt`);
+                }
+                return;
+            }
+
+            const url = URL.createObjectURL(blob);
+            objectUrls.push(url);
+            let trackHtml = '';
+            if (entry.captions) {
+                const captionUrl = URL.createObjectURL(new Blob([entry.captions.vtt], { type: 'text/vtt' }));
+                objectUrls.push(captionUrl);
+                trackHtml = `<track kind="captions" label="English" srclang="en" src="${captionUrl}" default>`;
+            }
+            preview.innerHTML = `
+                <video src="${url}" controls autoplay loop style="
+                    max-width: 100%;
+                    max-height: 400px;
+                    border-radius: 8px;
+                    box-shadow: 0 2px 10px rgba(0, 0, 0, 0.3);
+                ">${trackHtml}</video>
+            `;
+        } else if (action === 'rename') {
+            const title = prompt('Neuer Titel:', entry.title);
+            if (title === null) return;
+            await renameVideo(entry.id, title);
+            await reload();
+        } else if (action === 'delete') {
+            if (!confirm(`"${entry.title}" wirklich löschen?`)) return;
+            await deleteVideo(entry.id);
+            preview.innerHTML = '';
+            await reload();
+        }
+    }
+
+    filterInput.oninput = renderList;
+
+    // Close Button
+    panel.querySelector('#close-gallery').onclick = close;
+
+    // Close on background click
+    modal.onclick = (e) => {
+        if (e.target === modal) close();
+    };
+
+    if (!isVideoLibrarySupported()) {
+        showError('IndexedDB ist in diesem Browser nicht verfügbar');
+        return;
+    }
+    await reload();
+}
+
+function formatDate(timestamp) {
+    return new Date(timestamp).toLocaleString('de-DE', {
+        weekday: 'long', day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+}
+
+function formatGameSession(entry) {
+    if (entry.gameSessionId) return `💾 Game Session ${escapeHtml(String(entry.gameSessionId))}`;
+    if (entry.outboxId) return '📤 Game Session im Postausgang';
+    return 'Spieldaten nicht gespeichert';
+}
+
+function toFilename(title) {
+    return title.replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '').toLowerCase() || 'pizza-royale-video';
+}
+
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
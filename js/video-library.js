@@ -0,0 +1,230 @@
+/**
+ * Pizza Royale - Video Library
+ * Keeps finished recordings in IndexedDB with a thumbnail and the battle they show,
+ * linked to the saved game session
+ */
+
+const VIDEO_DB_NAME = 'pizzaRoyale.videos';
+const VIDEO_DB_VERSION = 2;
+const ENTRY_STORE = 'videos';  // Metadata and thumbnail, listed by the gallery
+const FILE_STORE = 'files';    // Video blobs by entry id, only read for preview and download
+const LINK_STORE = 'sessionLinks';  // Game session ids by outbox id, for sessions sent before their video was stored
+const LINK_MAX_AGE = 7 * 24 * 60 * 60 * 1000;  // ms until an unused session link is dropped
+const THUMBNAIL_WIDTH = 180;
+
+let dbPromise = null;
+
+/**
+ * Checks if the library can be used in this browser
+ * @returns {boolean} True if IndexedDB is available
+ */
+export function isVideoLibrarySupported() {
+    return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Stores a recording in the library
+ * @param {Blob} blob - Video file
+ * @param {string} extension - 'mp4' or 'webm'
+ * @param {Object} [info] - What the video shows
+ * @param {string} [info.title] - Display name (default: date of the battle)
+ * @param {string|null} [info.winner] - Winner name
+ * @param {number} [info.players] - Number of participants
+ * @param {number} [info.duration] - Video length in seconds
+ * @param {number} [info.seed] - Battle seed
+ * @param {string|null} [info.gameSessionId] - Saved game session (see saveGameSession in game.js)
+ * @param {number|null} [info.outboxId] - Outbox entry of a queued game session, replaced by its id once sent
+ * @param {Blob|null} [info.thumbnail] - Thumbnail image
+ * @param {Object|null} [info.captions] - Caption files { vtt, srt } as text
+ * @returns {Promise<number>} Entry id
+ */
+export async function addVideo(blob, extension, {
+    title, winner = null, players = 0, duration = 0, seed = null, gameSessionId = null, outboxId = null,
+    thumbnail = null, captions = null
+} = {}) {
+    const createdAt = Date.now();
+    const entry = {
+        title: title || `Battle vom ${new Date(createdAt).toLocaleString('de-DE')}`,
+        createdAt,
+        extension,
+        size: blob.size,
+        winner,
+        players,
+        duration,
+        seed,
+        gameSessionId,
+        outboxId,
+        thumbnail,
+        captions
+    };
+
+    const db = await openDb();
+    if (outboxId === null) {
+        return runTransaction(db, [ENTRY_STORE, FILE_STORE], 'readwrite', stores => {
+            const request = stores[ENTRY_STORE].add(entry);
+            request.onsuccess = () => stores[FILE_STORE].put(blob, request.result);
+            return request;
+        });
+    }
+
+    // The outbox may have sent the session already, then its id is waiting in the link store
+    let request = null;
+    await runTransaction(db, [ENTRY_STORE, FILE_STORE, LINK_STORE], 'readwrite', stores => {
+        const linkRequest = stores[LINK_STORE].get(outboxId);
+        linkRequest.onsuccess = () => {
+            const link = linkRequest.result;
+            if (link) stores[LINK_STORE].delete(outboxId);
+            request = stores[ENTRY_STORE].add(link ? { ...entry, gameSessionId: link.gameSessionId, outboxId: null } : entry);
+            request.onsuccess = () => stores[FILE_STORE].put(blob, request.result);
+        };
+    });
+    return request.result;
+}
+
+/**
+ * Lists the library, newest first
+ * @returns {Promise<Array<Object>>} Entries (id, title, createdAt, extension, size, winner, players,
+ *   duration, seed, gameSessionId, outboxId, thumbnail, captions) without the video file
+ */
+export async function listVideos() {
+    const db = await openDb();
+    const entries = await runTransaction(db, [ENTRY_STORE], 'readonly', stores => stores[ENTRY_STORE].getAll());
+    return entries.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Reads the video file of an entry
+ * @param {number} id - Entry id
+ * @returns {Promise<Blob|null>} Video file, null if it is missing
+ */
+export async function getVideoFile(id) {
+    const db = await openDb();
+    const blob = await runTransaction(db, [FILE_STORE], 'readonly', stores => stores[FILE_STORE].get(id));
+    return blob || null;
+}
+
+/**
+ * Renames an entry
+ * @param {number} id - Entry id
+ * @param {string} title - New display name
+ * @returns {Promise<void>}
+ * @throws {Error} If the title is empty or the entry does not exist
+ */
+export async function renameVideo(id, title) {
+    const trimmed = String(title || '').trim();
+    if (!trimmed) throw new Error('Titel darf nicht leer sein');
+
+    const db = await openDb();
+    const entry = await runTransaction(db, [ENTRY_STORE], 'readonly', stores => stores[ENTRY_STORE].get(id));
+    if (!entry) throw new Error(`Video ${id} nicht gefunden`);
+
+    await runTransaction(db, [ENTRY_STORE], 'readwrite', stores => {
+        stores[ENTRY_STORE].put({ ...entry, title: trimmed });
+    });
+}
+
+/**
+ * Links the videos of a queued game session to the session once the outbox sent it
+ * If no video is stored under the outbox id yet, the link is kept until addVideo() stores it.
+ * @param {number} outboxId - Outbox entry id the videos were stored with
+ * @param {string} gameSessionId - Id of the saved game session
+ * @returns {Promise<void>}
+ */
+export async function linkQueuedGameSession(outboxId, gameSessionId) {
+    if (!isVideoLibrarySupported()) return;
+
+    const now = Date.now();
+    const db = await openDb();
+    await runTransaction(db, [ENTRY_STORE, LINK_STORE], 'readwrite', stores => {
+        const entriesRequest = stores[ENTRY_STORE].getAll();
+        entriesRequest.onsuccess = () => {
+            const linked = entriesRequest.result.filter(entry => entry.outboxId === outboxId);
+            linked.forEach(entry => stores[ENTRY_STORE].put({ ...entry, gameSessionId, outboxId: null }));
+            if (linked.length === 0) stores[LINK_STORE].put({ outboxId, gameSessionId, createdAt: now });
+        };
+
+        // Battles without recording never pick up their link
+        const linksRequest = stores[LINK_STORE].getAll();
+        linksRequest.onsuccess = () => {
+            linksRequest.result
+                .filter(link => now - link.createdAt > LINK_MAX_AGE)
+                .forEach(link => stores[LINK_STORE].delete(link.outboxId));
+        };
+    });
+}
+
+/**
+ * Deletes an entry and its video file
+ * @param {number} id - Entry id
+ * @returns {Promise<void>}
+ */
+export async function deleteVideo(id) {
+    const db = await openDb();
+    await runTransaction(db, [ENTRY_STORE, FILE_STORE], 'readwrite', stores => {
+        stores[ENTRY_STORE].delete(id);
+        stores[FILE_STORE].delete(id);
+    });
+}
+
+/**
+ * Captures a small JPEG of the canvas for the gallery
+ * @param {HTMLCanvasElement} canvas - Game canvas
+ * @returns {Promise<Blob|null>} Thumbnail, null if the canvas cannot be read
+ */
+export function createThumbnail(canvas) {
+    const thumbnail = document.createElement('canvas');
+    thumbnail.width = THUMBNAIL_WIDTH;
+    thumbnail.height = Math.round(THUMBNAIL_WIDTH * canvas.height / canvas.width);
+    thumbnail.getContext('2d').drawImage(canvas, 0, 0, thumbnail.width, thumbnail.height);
+
+    return new Promise(resolve => {
+        try {
+            thumbnail.toBlob(blob => resolve(blob), 'image/jpeg', 0.8);
+        } catch (error) {
+            // Tainted canvas (cross-origin avatar without proxy)
+            console.warn('Failed to create thumbnail:', error);
+            resolve(null);
+        }
+    });
+}
+
+function openDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(VIDEO_DB_NAME, VIDEO_DB_VERSION);
+            request.onupgradeneeded = (event) => {
+                if (event.oldVersion < 1) {
+                    request.result.createObjectStore(ENTRY_STORE, { keyPath: 'id', autoIncrement: true });
+                    request.result.createObjectStore(FILE_STORE);
+                }
+                if (event.oldVersion < 2) {
+                    request.result.createObjectStore(LINK_STORE, { keyPath: 'outboxId' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Retry on the next call if opening failed (e.g. private mode)
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+}
+
+/**
+ * Runs requests in one transaction on the library stores
+ * @param {IDBDatabase} db - Library database
+ * @param {Array<string>} storeNames - Stores used by the transaction
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} work - Receives the object stores by name, may return a request whose result is resolved
+ * @returns {Promise<*>} Result of the returned request once the transaction is complete
+ */
+function runTransaction(db, storeNames, mode, work) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeNames, mode);
+        const stores = Object.fromEntries(storeNames.map(name => [name, transaction.objectStore(name)]));
+        const request = work(stores);
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
@@ -0,0 +1,168 @@
+/**
+ * Pizza Royale - WebCodecs Encoder
+ * Encodes canvas frames to H.264 while they are captured and muxes them into an MP4 (see mp4-muxer.js)
+ */
+
+import { createMp4Muxer } from './mp4-muxer.js';
+import { createOutputCanvas } from './recording-config.js';
+
+// H.264 profiles to try, best first: High, Main, Constrained Baseline
+const AVC_PROFILES = ['6400', '4d00', '42e0'];
+// H.264 levels with their max macroblocks per second (level 4.0 covers 1080x1920 up to 30 fps)
+const AVC_LEVELS = [[0x1f, 108000], [0x28, 245760], [0x2a, 522240], [0x33, 983040]];
+const MAX_ENCODE_QUEUE = 10;  // Frames waiting in the encoder before new ones are dropped
+
+/**
+ * Checks whether the browser has the WebCodecs APIs needed for encoding
+ * @returns {boolean} True if VideoEncoder and VideoFrame exist
+ */
+export function isWebCodecsSupported() {
+    return typeof window !== 'undefined' &&
+        typeof window.VideoEncoder === 'function' &&
+        typeof window.VideoFrame === 'function';
+}
+
+/**
+ * Lists the H.264 codec strings for a video size and frame rate, best profile first
+ * @param {number} width - Video width
+ * @param {number} height - Video height
+ * @param {number} fps - Frame rate
+ * @returns {Array<string>} Codec strings like 'avc1.640028'
+ */
+function avcCodecs(width, height, fps) {
+    const macroblocksPerSecond = Math.ceil(width / 16) * Math.ceil(height / 16) * fps;
+    const [level] = AVC_LEVELS.find(([, max]) => macroblocksPerSecond <= max) || AVC_LEVELS[AVC_LEVELS.length - 1];
+    const levelHex = level.toString(16).padStart(2, '0');
+    return AVC_PROFILES.map(profile => `avc1.${profile}${levelHex}`);
+}
+
+/**
+ * Creates an H.264 encoder for a canvas
+ * @param {HTMLCanvasElement} canvas - Canvas to encode
+ * @param {Object} options - Encoder options
+ * @param {number} options.fps - Capture frame rate
+ * @param {number} options.bitrate - Target bitrate in bits per second
+ * @param {number} [options.width] - Output width (default: canvas width), frames are scaled
+ * @param {number} [options.height] - Output height (default: canvas height)
+ * @param {number} [options.keyFrameInterval] - Seconds between key frames
+ * @returns {Promise<Object|null>} Encoder with encodeFrame() and finish(), null if H.264 encoding is unavailable
+ */
+export async function createWebCodecsEncoder(canvas, { fps, bitrate, width = canvas.width, height = canvas.height, keyFrameInterval = 2 }) {
+    if (!isWebCodecsSupported()) return null;
+
+    let config = null;
+    for (const codec of avcCodecs(width, height, fps)) {
+        const candidate = { codec, width, height, bitrate, framerate: fps, avc: { format: 'avc' } };
+        try {
+            const support = await VideoEncoder.isConfigSupported(candidate);
+            if (support.supported) {
+                config = candidate;
+                break;
+            }
+        } catch (e) {
+            // Invalid for this browser, try the next profile
+        }
+    }
+
+    if (!config) {
+        console.warn('⚠️ No supported H.264 encoder config, using MediaRecorder fallback');
+        return null;
+    }
+
+    const output = createOutputCanvas(canvas, width, height);
+    const muxer = createMp4Muxer({ width, height, fps });
+    let encodeError = null;
+    let frameIndex = 0;
+    let droppedFrames = 0;
+    let lastKeyFrameTime = -Infinity;
+
+    const encoder = new VideoEncoder({
+        output: (chunk, metadata) => {
+            if (metadata?.decoderConfig?.description) {
+                muxer.setDecoderConfig(metadata.decoderConfig.description);
+            }
+            const data = new Uint8Array(chunk.byteLength);
+            chunk.copyTo(data);
+            muxer.addSample(data, chunk.timestamp, chunk.type === 'key');
+        },
+        error: (error) => {
+            console.error('❌ VideoEncoder error:', error);
+            encodeError = error;
+        }
+    });
+    encoder.configure(config);
+
+    console.log(`🎞️ WebCodecs encoder ready (${config.codec}, ${width}x${height}, ${fps}fps)`);
+
+    return {
+        codec: config.codec,
+
+        /**
+         * Encodes the current canvas content
+         * @param {number} timestamp - Presentation time in microseconds since the recording started
+         * @returns {boolean} False if the frame was dropped
+         */
+        encodeFrame(timestamp) {
+            if (encodeError || encoder.state !== 'configured') return false;
+
+            // Drop frames instead of piling them up when the encoder cannot keep up
+            if (encoder.encodeQueueSize > MAX_ENCODE_QUEUE) {
+                droppedFrames++;
+                return false;
+            }
+
+            const keyFrame = frameIndex === 0 || timestamp - lastKeyFrameTime >= keyFrameInterval * 1_000_000;
+            if (keyFrame) lastKeyFrameTime = timestamp;
+
+            output.draw();
+            const frame = new VideoFrame(output.canvas, { timestamp, duration: Math.round(1_000_000 / fps) });
+            encoder.encode(frame, { keyFrame });
+            frame.close();
+            frameIndex++;
+            return true;
+        },
+
+        /**
+         * Waits until the encoder has room for another frame
+         * Used by the offline render, which must not drop frames
+         * @returns {Promise<void>}
+         */
+        async waitForQueue() {
+            while (!encodeError && encoder.state === 'configured' && encoder.encodeQueueSize > MAX_ENCODE_QUEUE) {
+                await new Promise(resolve => setTimeout(resolve, 4));
+            }
+        },
+
+        get frameCount() {
+            return frameIndex;
+        },
+
+        // Encoded bytes held in memory until finish()
+        get byteLength() {
+            return muxer.byteLength;
+        },
+
+        /**
+         * Flushes the encoder and builds the MP4
+         * @returns {Promise<Blob>} video/mp4 file
+         * @throws {Error} If encoding failed
+         */
+        async finish() {
+            if (!encodeError) await encoder.flush();
+            if (encoder.state !== 'closed') encoder.close();
+            if (encodeError) throw encodeError;
+
+            if (droppedFrames > 0) {
+                console.warn(`⚠️ ${droppedFrames} frames dropped while the encoder was busy`);
+            }
+            return muxer.finalize();
+        },
+
+        /**
+         * Stops encoding without producing a file
+         */
+        cancel() {
+            if (encoder.state !== 'closed') encoder.close();
+        }
+    };
+}
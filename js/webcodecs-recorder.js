@@ -0,0 +1,65 @@
+/**
+ * Pizza Royale - WebCodecs Recorder Strategy
+ * Encodes canvas frames to H.264 while they are captured, the MP4 is ready right after the game
+ * Live: frames are captured on a timer and dropped when the encoder is busy
+ * Frame-driven (offline render): the game loop pushes every frame at a fixed timestep and waits for the encoder
+ */
+
+import { createWebCodecsEncoder } from './webcodecs-encoder.js';
+
+/**
+ * Creates the WebCodecs strategy (see recorder.js for the strategy interface)
+ * @param {HTMLCanvasElement} canvas - The game canvas to record
+ * @param {Object} [options] - Strategy options
+ * @param {number} [options.fps] - Video frame rate
+ * @param {number} [options.bitrate] - Target bitrate in bits per second
+ * @param {number} [options.width] - Output width (default: canvas width)
+ * @param {number} [options.height] - Output height (default: canvas height)
+ * @param {boolean} [options.frameDriven] - True for the offline render (no frame drops)
+ * @returns {Promise<Object|null>} Strategy with captureFrame(), finish() and getStats(), null if H.264 encoding is unavailable
+ */
+export async function createWebCodecsStrategy(canvas, { fps = 20, bitrate = 8_000_000, width, height, frameDriven = false } = {}) {
+    const encoder = await createWebCodecsEncoder(canvas, { fps, bitrate, width, height });
+    if (!encoder) return null;
+
+    return {
+        fps,
+        frameDriven,
+
+        /**
+         * Encodes the current canvas content
+         * @param {number} time - Recording time of the frame in seconds
+         * @returns {Promise<void>}
+         * @throws {Error} If a frame-driven encoder stopped
+         */
+        async captureFrame(time) {
+            // The offline render waits for the encoder instead of dropping the frame
+            if (frameDriven) await encoder.waitForQueue();
+
+            const encoded = encoder.encodeFrame(Math.round(time * 1_000_000));
+            if (!encoded && frameDriven) {
+                throw new Error('Video encoder stopped');
+            }
+
+            if (encoder.frameCount === 1) {
+                console.log('✅ First frame encoded successfully!');
+            } else if (encoded && encoder.frameCount % 50 === 0) {
+                console.log(`📹 Encoded ${encoder.frameCount} frames`);
+            }
+        },
+
+        /**
+         * Flushes the encoder and builds the MP4
+         * @returns {Promise<Object>} { type: 'video', blob, extension: 'mp4' }
+         */
+        async finish() {
+            const blob = await encoder.finish();
+            console.log(`✅ MP4 encoded with ${encoder.codec} (${(blob.size / 1024 / 1024).toFixed(1)} MB)`);
+            return { type: 'video', blob, extension: 'mp4' };
+        },
+
+        getStats() {
+            return { frames: encoder.frameCount, bytes: encoder.byteLength, spilledBytes: 0 };
+        }
+    };
+}
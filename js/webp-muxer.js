@@ -0,0 +1,118 @@
+/**
+ * Pizza Royale - Animated WebP Muxer
+ * Combines still WebP images (canvas.toBlob('image/webp')) into a looping animated WebP
+ * Layout: RIFF/WEBP with VP8X, ANIM and one ANMF chunk per frame holding the frame's VP8/VP8L (and ALPH) data
+ */
+
+/**
+ * Creates an animated WebP muxer
+ * @param {Object} options - Animation options
+ * @param {number} options.width - Canvas width in pixels
+ * @param {number} options.height - Canvas height in pixels
+ * @returns {Object} Muxer with addFrame() and finish()
+ */
+export function createWebpMuxer({ width, height }) {
+    const frames = [];  // ANMF chunks
+    let hasAlpha = false;
+
+    return {
+        /**
+         * Appends a still WebP image as a frame
+         * @param {Uint8Array} webp - Complete still WebP file
+         * @param {number} duration - Display time in milliseconds
+         * @throws {Error} If the data is not a WebP image
+         */
+        addFrame(webp, duration) {
+            const imageChunks = readChunks(webp).filter(chunk => ['ALPH', 'VP8 ', 'VP8L'].includes(chunk.type));
+            if (!imageChunks.some(chunk => chunk.type !== 'ALPH')) throw new Error('Frame is not a WebP image');
+            if (imageChunks.some(chunk => chunk.type === 'ALPH' || chunk.type === 'VP8L')) hasAlpha = true;
+
+            frames.push(chunk('ANMF',
+                u24(0), u24(0),                     // Frame offset / 2
+                u24(width - 1), u24(height - 1),
+                u24(Math.max(1, Math.round(duration))),
+                new Uint8Array([0x02]),             // Do not blend, no disposal
+                ...imageChunks.map(({ type, data }) => chunk(type, data))
+            ));
+        },
+
+        get frameCount() {
+            return frames.length;
+        },
+
+        /**
+         * Builds the animated WebP file
+         * @returns {Blob} image/webp file
+         * @throws {Error} If no frames were added
+         */
+        finish() {
+            if (frames.length === 0) throw new Error('No frames to encode');
+
+            const vp8x = chunk('VP8X',
+                new Uint8Array([0x02 | (hasAlpha ? 0x10 : 0), 0, 0, 0]),  // Animation (+ alpha) flag
+                u24(width - 1), u24(height - 1));
+            const anim = chunk('ANIM', new Uint8Array([0, 0, 0, 0, 0, 0]));  // Black background, loop forever
+
+            const body = [ascii('WEBP'), vp8x, anim, ...frames];
+            const size = body.reduce((sum, part) => sum + part.length, 0);
+            return new Blob([ascii('RIFF'), u32(size), ...body], { type: 'image/webp' });
+        }
+    };
+}
+
+/**
+ * Splits a WebP file into its chunks
+ * @param {Uint8Array} bytes - WebP file
+ * @returns {Array<Object>} { type, data } per chunk
+ * @throws {Error} If the data is not a RIFF/WEBP file
+ */
+function readChunks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (bytes.length < 12 || readAscii(bytes, 0) !== 'RIFF' || readAscii(bytes, 8) !== 'WEBP') {
+        throw new Error('Frame is not a WebP image');
+    }
+
+    const chunks = [];
+    let offset = 12;
+    while (offset + 8 <= bytes.length) {
+        const type = readAscii(bytes, offset);
+        const size = view.getUint32(offset + 4, true);
+        chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + size) });
+        offset += 8 + size + (size & 1);  // Chunks are padded to an even size
+    }
+    return chunks;
+}
+
+function chunk(type, ...payload) {
+    const data = concat(...payload);
+    const padding = new Uint8Array(data.length & 1);
+    return concat(ascii(type), u32(data.length), data, padding);
+}
+
+function readAscii(bytes, offset) {
+    return String.fromCharCode(...bytes.subarray(offset, offset + 4));
+}
+
+function u24(value) {
+    return new Uint8Array([value & 0xff, (value >> 8) & 0xff, (value >> 16) & 0xff]);
+}
+
+function u32(value) {
+    const bytes = new Uint8Array(4);
+    new DataView(bytes.buffer).setUint32(0, value, true);
+    return bytes;
+}
+
+function ascii(text) {
+    return new Uint8Array([...text].map(char => char.charCodeAt(0)));
+}
+
+function concat(...parts) {
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        result.set(part, offset);
+        offset += part.length;
+    }
+    return result;
+}
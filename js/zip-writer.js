@@ -0,0 +1,127 @@
+/**
+ * Pizza Royale - ZIP Writer
+ * Packs files into an uncompressed (stored) ZIP archive in the browser
+ * Recorded frames are JPEGs already, compressing them again would only cost time
+ */
+
+const MAX_ZIP_SIZE = 0xffffffff;  // No ZIP64: archive and entries must stay below 4 GB
+const MAX_ENTRIES = 0xffff;
+
+let crcTable = null;
+
+/**
+ * Creates a ZIP writer
+ * File contents are kept as the given Blobs, the archive is assembled without copying them
+ * @returns {Object} Writer with addFile() and finish()
+ */
+export function createZipWriter() {
+    const parts = [];       // Local headers and file contents
+    const centralDirectory = [];
+    let offset = 0;
+    const { time, date } = dosDateTime(new Date());
+
+    return {
+        /**
+         * Adds a file
+         * @param {string} name - Path inside the archive
+         * @param {Blob|Uint8Array|string} content - File content
+         * @returns {Promise<void>}
+         * @throws {Error} If the archive would exceed the ZIP limits
+         */
+        async addFile(name, content) {
+            const data = content instanceof Blob ? content : new Blob([content]);
+            const crc = crc32(new Uint8Array(await data.arrayBuffer()));
+            const nameBytes = new TextEncoder().encode(name);
+
+            if (centralDirectory.length >= MAX_ENTRIES) throw new Error('Too many files for a ZIP archive');
+            if (offset + 30 + nameBytes.length + data.size > MAX_ZIP_SIZE) throw new Error('ZIP archive would exceed 4 GB');
+
+            // Shared by the local header and the central directory entry
+            const fields = concat(
+                u16(20),                // Version needed (2.0)
+                u16(0x0800),            // UTF-8 names
+                u16(0),                 // Stored
+                u16(time), u16(date),
+                u32(crc),
+                u32(data.size), u32(data.size),
+                u16(nameBytes.length)
+            );
+
+            parts.push(concat(u32(0x04034b50), fields, u16(0), nameBytes), data);
+            centralDirectory.push(concat(
+                u32(0x02014b50),
+                u16(20),                // Version made by
+                fields,
+                u16(0), u16(0),         // Extra field and comment length
+                u16(0), u16(0), u32(0), // Disk, internal and external attributes
+                u32(offset),
+                nameBytes
+            ));
+            offset += 30 + nameBytes.length + data.size;
+        },
+
+        /**
+         * Builds the archive
+         * @returns {Blob} application/zip file
+         */
+        finish() {
+            const directorySize = centralDirectory.reduce((sum, entry) => sum + entry.length, 0);
+            const end = concat(
+                u32(0x06054b50),
+                u16(0), u16(0),         // Disk numbers
+                u16(centralDirectory.length), u16(centralDirectory.length),
+                u32(directorySize),
+                u32(offset),
+                u16(0)                  // Comment length
+            );
+            return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+        }
+    };
+}
+
+/**
+ * Computes the CRC-32 checksum ZIP uses
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Unsigned checksum
+ */
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+function u16(value) {
+    return new Uint8Array([value & 0xff, (value >> 8) & 0xff]);
+}
+
+function u32(value) {
+    const bytes = new Uint8Array(4);
+    new DataView(bytes.buffer).setUint32(0, value >>> 0, true);
+    return bytes;
+}
+
+function concat(...parts) {
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        result.set(part, offset);
+        offset += part.length;
+    }
+    return result;
+}
@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+/**
+ * Pizza Royale - Batch Simulation Runner
+ * Simulates many battles headlessly and reports how duration, survivors and end reasons are distributed
+ *
+ * Usage:
+ *   node tools/batch-simulate.mjs --players 100 --runs 200 [--preset standard] [--mode storm] [--seed 1] [--dt 0.016667] [--json]
+ *
+ * Requires Node 20.19+ / 22.7+ (loads the browser ES modules from js/ directly)
+ */
+
+import { createSimulation, createDemoRoster, normalizeSeed } from '../js/simulation.js';
+import { GAME_PRESETS, GAME_MODES, DEFAULT_PRESET_ID, resolveGameConfig } from '../js/game-config.js';
+
+// Survivor target of the damage controller (around targetEndAvg), the duration target comes from the preset
+const SURVIVOR_TARGET = { min: 5, max: 10 };
+const MAX_SIMULATED_SECONDS = 600;  // Safety stop for battles that never end
+
+/**
+ * Parses --key value pairs from the command line
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Options with defaults applied
+ */
+function parseArgs(argv) {
+    const options = { players: 100, runs: 100, preset: DEFAULT_PRESET_ID, mode: null, seed: 1, dt: 1 / 60, json: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--players': options.players = parseInt(argv[++i], 10); break;
+            case '--runs': options.runs = parseInt(argv[++i], 10); break;
+            case '--preset': options.preset = argv[++i]; break;
+            case '--mode': options.mode = argv[++i]; break;
+            case '--seed': options.seed = parseInt(argv[++i], 10); break;
+            case '--dt': options.dt = parseFloat(argv[++i]); break;
+            case '--json': options.json = true; break;
+            case '--help':
+            case '-h':
+                console.log('Usage: node tools/batch-simulate.mjs --players <n> --runs <n> [--preset <id>] [--mode <id>] [--seed <n>] [--dt <s>] [--json]');
+                console.log(`Presets: ${Object.keys(GAME_PRESETS).join(', ')}`);
+                console.log(`Modes: ${Object.keys(GAME_MODES).join(', ')} (default: mode of the preset)`);
+                process.exit(0);
+                break;
+            default:
+                throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+
+    if (!(options.players > 0) || !(options.runs > 0) || !(options.dt > 0) || !Number.isFinite(options.seed)) {
+        throw new Error('--players, --runs and --dt must be positive numbers, --seed an integer');
+    }
+    if (!GAME_PRESETS[options.preset]) {
+        throw new Error(`Unknown preset "${options.preset}" (available: ${Object.keys(GAME_PRESETS).join(', ')})`);
+    }
+    if (options.mode !== null && !GAME_MODES[options.mode]) {
+        throw new Error(`Unknown mode "${options.mode}" (available: ${Object.keys(GAME_MODES).join(', ')})`);
+    }
+
+    return options;
+}
+
+/**
+ * Runs a single battle until it ends
+ * @returns {Object} Outcome with duration, survivors and end reason
+ */
+function runBattle(roster, seed, dt, config) {
+    const sim = createSimulation({ roster, seed, config, log: () => { } });
+
+    while (!sim.gameEnded && sim.time < MAX_SIMULATED_SECONDS) {
+        sim.tick(dt);
+    }
+
+    const survivors = sim.players.filter(p => p.alive).length + sim.staticDots.filter(d => d.alive).length;
+
+    return {
+        seed,
+        duration: sim.gameEnded ? sim.gameEndTime : sim.time,
+        survivors,
+        endReason: sim.gameEnded ? sim.gameEndReason : 'Timeout'
+    };
+}
+
+/**
+ * Summarizes a list of numbers
+ */
+function describe(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const quantile = q => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+    const mean = sorted.reduce((sum, v) => sum + v, 0) / sorted.length;
+
+    return {
+        min: sorted[0],
+        p10: quantile(0.1),
+        median: quantile(0.5),
+        mean,
+        p90: quantile(0.9),
+        max: sorted[sorted.length - 1]
+    };
+}
+
+/**
+ * Counts values into fixed-width buckets
+ */
+function histogram(values, bucketSize) {
+    const buckets = new Map();
+    for (const v of values) {
+        const start = Math.floor(v / bucketSize) * bucketSize;
+        buckets.set(start, (buckets.get(start) || 0) + 1);
+    }
+    return [...buckets.entries()].sort((a, b) => a[0] - b[0]);
+}
+
+function share(count, total) {
+    return `${(count / total * 100).toFixed(1)}%`;
+}
+
+function printDistribution(title, values, bucketSize, target, format) {
+    const stats = describe(values);
+    const inTarget = values.filter(v => v >= target.min && v <= target.max).length;
+
+    console.log(`\n${title}`);
+    console.log(`  min ${format(stats.min)} | p10 ${format(stats.p10)} | median ${format(stats.median)} | ` +
+        `mean ${format(stats.mean)} | p90 ${format(stats.p90)} | max ${format(stats.max)}`);
+    console.log(`  within target ${target.min}-${target.max}: ${inTarget}/${values.length} (${share(inTarget, values.length)})`);
+
+    const rows = histogram(values, bucketSize);
+    const widest = Math.max(...rows.map(([, count]) => count));
+    for (const [start, count] of rows) {
+        const label = `${format(start)}-${format(start + bucketSize)}`.padStart(13);
+        const bar = '█'.repeat(Math.max(1, Math.round(count / widest * 40)));
+        console.log(`  ${label} ${bar} ${count}`);
+    }
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const roster = createDemoRoster(options.players);
+    const presetConfig = GAME_PRESETS[options.preset].config;
+    const config = resolveGameConfig(options.mode ? { ...presetConfig, mode: options.mode } : presetConfig);
+
+    const results = [];
+    const startedAt = Date.now();
+    for (let i = 0; i < options.runs; i++) {
+        results.push(runBattle(roster, normalizeSeed(options.seed + i), options.dt, config));
+    }
+    const elapsedSec = (Date.now() - startedAt) / 1000;
+
+    const durations = results.map(r => r.duration);
+    const survivors = results.map(r => r.survivors);
+    const endReasons = {};
+    for (const r of results) {
+        endReasons[r.endReason] = (endReasons[r.endReason] || 0) + 1;
+    }
+
+    if (options.json) {
+        console.log(JSON.stringify({
+            options,
+            duration: describe(durations),
+            survivors: describe(survivors),
+            endReasons,
+            results
+        }, null, 2));
+        return;
+    }
+
+    console.log('🍕 Pizza Royale batch simulation');
+    console.log(`Roster: ${options.players} players | Preset: ${GAME_PRESETS[options.preset].name} | ` +
+        `Mode: ${GAME_MODES[config.mode]} | ` +
+        `Runs: ${options.runs} | dt: ${options.dt.toFixed(4)}s | ` +
+        `Seeds: ${options.seed}..${options.seed + options.runs - 1} | Took ${elapsedSec.toFixed(1)}s`);
+
+    printDistribution('Game duration (s)', durations, 5, config.duration, v => v.toFixed(1));
+    printDistribution('Survivors', survivors, 5, SURVIVOR_TARGET, v => String(Math.round(v)));
+
+    console.log('\nEnd reasons');
+    for (const [reason, count] of Object.entries(endReasons).sort((a, b) => b[1] - a[1])) {
+        console.log(`  ${reason.padEnd(20)} ${String(count).padStart(5)} (${share(count, results.length)})`);
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}